@@ -1,74 +1,123 @@
 // ----- PodcastPreview.js -----
-// Web component + App init for the PodcastApp
-// This file implements the <podcast-preview> Web Component (Shadow DOM, attributes/properties, event dispatch)
-// and app-level glue: filter, sort, search, modal, accessibility and JSDoc for major functions.
-
-/**
- * Format a raw date string into a short human-friendly "Updated..." string.
- * @param {string} raw - ISO date string
- * @returns {string} Human friendly string like "Updated 2 days ago" or "Updated Jan 3"
- */
-function formatUpdated(raw) {
-  if (!raw) return ''; // if no date provided, return empty string
-  const d = new Date(raw); // parse raw string into Date object
-  if (isNaN(d)) return raw; // if invalid date, return raw string
-  const now = Date.now(); // current timestamp in milliseconds
-  const diff = Math.floor((now - d.getTime()) / 1000); // difference in seconds
-
-  // display relative time based on thresholds
-  if (diff < 60) return 'Updated just now'; // less than 1 minute
-  if (diff < 3600) return `Updated ${Math.floor(diff / 60)}m ago`; // less than 1 hour
-  if (diff < 86400) return `Updated ${Math.floor(diff / 3600)}h ago`; // less than 1 day
-  if (diff < 7 * 86400) return `Updated ${Math.floor(diff / 86400)} days ago`; // less than a week
-
-  // fallback: show month & day for older updates
-  return `Updated ${d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
-}
-
-/**
- * Creates a small inline SVG placeholder data URI for images when an image URL is missing.
- * @param {number} w - width
- * @param {number} h - height
- * @returns {string} data:image/svg+xml;utf8,...
- */
-function placeholderDataURI(w = 400, h = 300) {
-  // generate a small gradient SVG with text
-  const svg = `<svg xmlns='http://www.w3.org/2000/svg' width='${w}' height='${h}' viewBox='0 0 ${w} ${h}'>
-    <defs>
-      <linearGradient id='g' x1='0' y1='0' x2='1' y2='1'>
-        <stop offset='0' stop-color='#e2e8f0' />
-        <stop offset='1' stop-color='#c7d2fe' />
-      </linearGradient>
-    </defs>
-    <rect width='100%' height='100%' fill='url(#g)' rx='8' ry='8'/>
-    <text x='50%' y='50%' font-family='Arial, Helvetica, sans-serif' font-size='20' fill='#374151' dominant-baseline='middle' text-anchor='middle'>Podcast Cover</text>
-  </svg>`;
-  return 'data:image/svg+xml;utf8,' + encodeURIComponent(svg); // encode as data URI
-}
-/**
- * Debounce utility - returns a debounced version of fn.
- * @param {Function} fn
- * @param {number} wait
- * @returns {Function}
- */
-function debounce(fn, wait) {
-  let t; // timer
-  return function (...a) {
-    clearTimeout(t); // clear previous timer
-    t = setTimeout(() => fn.apply(this, a), wait); // call fn after delay
-  };
-}
+// <podcast-preview> Web Component for the PodcastApp
+// Shadow DOM card for one podcast: attributes / properties, batched rendering, slots, themeable tokens and
+// the podcast-selected / genre-selected / favourite-toggled events. The app that uses it lives in app.js.
+
+import { t, formatNumber } from './i18n.js';
+import { formatUpdated, placeholderDataURI } from './format.js';
+import { highlightInto } from './search.js';
+
+// string-valued attributes exposed 1:1 as properties on <podcast-preview>
+const PREVIEW_STRING_PROPS = ['pid', 'title', 'cover', 'updated', 'news', 'description'];
+// boolean attributes exposed as boolean properties
+const PREVIEW_BOOLEAN_PROPS = ['favourite', 'playing'];
+const PREVIEW_EXCERPT_LENGTH = 240; // characters of the description the list variant shows (then clamped to two lines)
+
+// shadow styles, shared by every card (see _renderShell)
+const PREVIEW_STYLES = `
+  :host{display:block}
+  .card{position:relative;background:var(--pp-card-bg,var(--card,#fff));border-radius:var(--pp-card-radius,10px);overflow:hidden;border:1px solid var(--pp-card-border,rgba(0,0,0,0.03));box-shadow:var(--pp-card-shadow,none);cursor:pointer;transition:transform .15s ease, box-shadow .15s ease}
+  .card:hover{transform:translateY(-6px);box-shadow:var(--pp-card-shadow-hover,0 18px 36px rgba(2,6,23,0.06))}
+  .open{font:inherit;color:inherit;background:none;border:0;padding:0;margin:0;text-align:start;cursor:pointer}
+  .open::after{content:"";position:absolute;inset:0;border-radius:var(--pp-card-radius,10px)}
+  .open:focus-visible{outline:none}
+  .open:focus-visible::after{box-shadow:var(--pp-focus-ring,0 0 0 3px rgba(59,130,246,0.5))}
+  .cover{position:relative;height:var(--pp-cover-height,180px);background:var(--pp-cover-bg,#e9eef2);display:flex;align-items:center;justify-content:center}
+  .fav{position:absolute;top:var(--pp-gap,8px);inset-inline-end:var(--pp-gap,8px);width:34px;height:34px;border-radius:50%;border:0;background:var(--pp-overlay-bg,rgba(15,23,42,0.6));color:var(--pp-overlay-color,#fff);font-size:18px;line-height:1;cursor:pointer;z-index:1}
+  .fav[aria-pressed="true"]{color:var(--pp-fav-active,#facc15)}
+  .fav:hover{background:var(--pp-overlay-bg-hover,rgba(15,23,42,0.85))}
+  .now-playing{position:absolute;inset-inline-start:var(--pp-gap,8px);bottom:var(--pp-gap,8px);padding:var(--pp-badge-padding,4px 10px);border-radius:var(--pp-pill-radius,999px);background:var(--pp-badge-bg,rgba(59,130,246,0.9));color:var(--pp-badge-color,#fff);font-size:12px;font-weight:600}
+  .now-playing[hidden]{display:none}
+  .news{position:absolute;inset-inline-end:var(--pp-gap,8px);bottom:var(--pp-gap,8px);padding:var(--pp-badge-padding,4px 10px);border-radius:var(--pp-pill-radius,999px);background:var(--pp-news-bg,#16a34a);color:var(--pp-news-color,#fff);font-size:12px;font-weight:600}
+  .news[hidden]{display:none}
+  .badge{position:absolute;top:var(--pp-gap,8px);inset-inline-start:var(--pp-gap,8px);display:flex;gap:var(--pp-slot-gap,6px);z-index:1}
+  .actions{position:relative;z-index:1;margin-inline-start:auto;display:flex;gap:var(--pp-slot-gap,6px)}
+  .footer{position:relative;z-index:1}
+  .footer:not(:empty){margin-top:var(--pp-meta-gap,10px)}
+  .cover img{width:100%;height:100%;object-fit:cover;display:block}
+  .body{padding:var(--pp-body-padding,14px)}
+  .title{font-size:16px;margin:0 0 var(--pp-gap,8px);font-weight:600;color:var(--pp-title-color,#111827)}
+  .meta{display:flex;align-items:center;gap:var(--pp-meta-gap,10px);flex-wrap:wrap}
+  .seasons{color:var(--pp-text-muted,#6b7280);font-size:13px;display:flex;align-items:center;gap:var(--pp-gap,8px)}
+  .genre-list{margin-top:var(--pp-gap,8px);display:flex;gap:var(--pp-gap,8px);flex-wrap:wrap}
+  .genre-pill{background:var(--pp-pill-bg,var(--pill-bg,#f3f4f6));padding:var(--pp-pill-padding,6px 10px);border-radius:var(--pp-pill-radius,999px);font-size:12px;color:var(--pp-pill-color,#111827);box-shadow:var(--pp-pill-shadow,inset 0 -1px 0 rgba(0,0,0,0.02))}
+  button.genre-pill{position:relative;z-index:1;border:0;font:inherit;font-size:12px;cursor:pointer}
+  button.genre-pill:hover{box-shadow:inset 0 0 0 1px currentColor}
+  .updated{margin-top:var(--pp-updated-gap,12px);color:var(--pp-text-muted,#6b7280);font-size:13px}
+  mark{background:var(--pp-mark-bg,var(--mark-bg,#fde68a));color:inherit;border-radius:var(--pp-mark-radius,3px);padding:0 1px}
+  .excerpt{display:none;margin:0 0 var(--pp-gap,8px);color:var(--pp-text-muted,#6b7280);font-size:14px;line-height:1.45}
+  :host([variant="list"]) .card{display:flex;align-items:stretch}
+  :host([variant="list"]) .card:hover, :host([variant="compact"]) .card:hover{transform:none}
+  :host([variant="list"]) .cover{flex:0 0 var(--pp-thumb-size,140px);height:auto;min-height:var(--pp-thumb-size,140px)}
+  :host([variant="list"]) .body{flex:1;min-width:0}
+  :host([variant="list"]) .excerpt{display:-webkit-box;-webkit-box-orient:vertical;-webkit-line-clamp:2;overflow:hidden}
+  :host([variant="list"]) .updated{margin-top:var(--pp-gap,8px)}
+  :host([variant="list"]) .now-playing, :host([variant="list"]) .news{padding:2px 8px;font-size:11px}
+  :host([variant="compact"]) .cover, :host([variant="compact"]) .meta, :host([variant="compact"]) .genre-list, :host([variant="compact"]) .updated, :host([variant="compact"]) .footer{display:none}
+  :host([variant="compact"]) .body{padding:10px var(--pp-body-padding,14px);display:flex;align-items:center;gap:var(--pp-gap,8px)}
+  :host([variant="compact"]) .title{flex:1;min-width:0;margin:0;font-size:15px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+  :host([variant="compact"]) .open{display:block;max-width:100%;overflow:hidden;text-overflow:ellipsis}
+  :host([variant="compact"]) .badge, :host([variant="compact"]) .fav, :host([variant="compact"]) .now-playing, :host([variant="compact"]) .news{position:static;flex:none}
+  :host([variant="compact"]) .fav{width:28px;height:28px;font-size:15px}
+  :host([variant="compact"]) .now-playing, :host([variant="compact"]) .news{padding:2px 8px;font-size:11px}
+`;
+// card markup; the text is filled in by _applyAttributes in the active language
+const PREVIEW_MARKUP = `
+  <div class="card">
+    <div class="cover">
+      <img part="cover" src="" alt="Podcast Cover" loading="lazy" decoding="async">
+      <div class="badge"><slot name="badge"></slot></div>
+      <button class="fav" part="favourite" type="button" aria-pressed="false" aria-label="Add to favourites">☆</button>
+      <span class="now-playing" part="now-playing" hidden>▶ Now playing</span>
+      <span class="news" part="news" hidden></span>
+    </div>
+    <div class="body">
+      <h3 class="title" part="title"><button class="open" type="button" aria-haspopup="dialog"></button></h3>
+      <p class="excerpt" part="excerpt"></p>
+      <div class="meta">
+        <div class="seasons" part="seasons">🗓️ <span class="season-count"></span></div>
+        <div class="actions" part="actions"><slot name="actions"></slot></div>
+      </div>
+      <div class="genre-list" part="genres"></div>
+      <div class="updated" part="updated"></div>
+      <div class="footer" part="footer"><slot name="footer"></slot></div>
+    </div>
+  </div>
+`;
+let previewSheet = null; // constructable stylesheet adopted by every card's shadow root
+let previewTemplate = null; // <template> holding PREVIEW_MARKUP, parsed once and cloned for each card
 
 /**
  * <podcast-preview> Web Component
- * - Accepts attributes/properties: pid/id, title, cover, genres (JSON or CSV), seasons, updated
+ * - Accepts attributes/properties: pid/id, title, cover, genres (JSON or CSV), seasons, updated, description
+ *   Properties mirror the attributes: el.title = '...', el.seasons = 14, el.genres = [...],
+ *   el.highlight = ['word'], el.favourite = true, or everything at once with el.podcast = { id, title, image, ... }
+ *   Attribute changes are batched, so setting several in a row renders once (in a microtask)
+ * - Named slots: "badge" (over the cover), "actions" (next to the seasons), "footer" (below the updated date)
+ *   genres JSON may hold names or { id, title } objects; pills with an id are clickable
+ *   highlight holds space-separated normalized words to <mark> in the title and the excerpt (see search.js)
+ *   favourite (boolean attribute) fills the star on the favourite toggle
+ *   playing (boolean attribute) shows the "Now playing" badge on the cover
+ *   news ("new" or "updated") shows a "New" / "Updated" badge on the cover (see visits.js)
+ *   variant picks the layout: "card" (default: cover above the body), "list" (a row with a thumbnail and a
+ *   description excerpt) or "compact" (the title, with the badges and favourite toggle beside it)
+ *   max-genres (property maxGenres) caps the genre pills, the rest become "+N"; without it the cap is
+ *   PodcastPreview.genreLimits[variant]
+ *   card-tabindex ("0" default, or "-1") takes the card and its buttons out of the Tab order, for roving focus
+ *   in a grid; el.focus() focuses the card's open button inside the shadow root
+ * - The title is a button that opens the podcast, stretched over the card so a click anywhere opens it;
+ *   the favourite toggle, genre pills and slotted controls sit next to it, not inside it
  * - Encapsulates markup & styles via Shadow DOM
- * - Dispatches "podcast-selected" custom event with detail { id }
+ *   all cards adopt one shared stylesheet where supported, and covers load lazily (loading="lazy")
+ * - Dispatches "podcast-selected" custom event with detail { id } when the open button is pressed
+ * - Dispatches "genre-selected" custom event with detail { id, title } when a genre pill is clicked
+ * - Dispatches "favourite-toggled" custom event with detail { id, favourite } (the requested new state);
+ *   the component stays stateless, so the parent must update the favourite attribute
  */
-class PodcastPreview extends HTMLElement {
+export class PodcastPreview extends HTMLElement {
   // Observe attributes for reactive updates
   static get observedAttributes() {
-    return ['title', 'cover', 'genres', 'seasons', 'updated', 'pid'];
+    return ['title', 'cover', 'genres', 'seasons', 'updated', 'pid', 'highlight', 'favourite', 'playing', 'news', 'description', 'variant', 'max-genres', 'card-tabindex'];
   }
 
   constructor() {
@@ -78,65 +127,177 @@ class PodcastPreview extends HTMLElement {
   }
 
   _renderShell() {
-    // template for shadow DOM
-    const tpl = document.createElement('template');
-    tpl.innerHTML = `
-      <style>
-        :host{display:block}
-        .card{background:var(--card,#fff);border-radius:10px;overflow:hidden;border:1px solid rgba(0,0,0,0.03);cursor:pointer;transition:transform .15s ease, box-shadow .15s ease}
-        .card:hover{transform:translateY(-6px);box-shadow:0 18px 36px rgba(2,6,23,0.06)}
-        .cover{height:180px;background:#e9eef2;display:flex;align-items:center;justify-content:center}
-        .cover img{width:100%;height:100%;object-fit:cover;display:block}
-        .body{padding:14px}
-        .title{font-size:16px;margin:0 0 8px;font-weight:600;color:#111827}
-        .meta{display:flex;align-items:center;gap:10px;flex-wrap:wrap}
-        .seasons{color:#6b7280;font-size:13px;display:flex;align-items:center;gap:8px}
-        .genre-list{margin-top:8px;display:flex;gap:8px;flex-wrap:wrap}
-        .genre-pill{background:var(--pill-bg,#f3f4f6);padding:6px 10px;border-radius:999px;font-size:12px;color:#111827;box-shadow:inset 0 -1px 0 rgba(0,0,0,0.02)}
-        .updated{margin-top:12px;color:#6b7280;font-size:13px}
-      </style>
-
-      <article class="card" tabindex="0" role="button" aria-pressed="false">
-        <div class="cover"><img part="cover" src="" alt="Podcast Cover"></div>
-        <div class="body">
-          <h3 class="title" part="title"></h3>
-          <div class="meta">
-            <div class="seasons" part="seasons">🗓️ <span class="season-count"></span></div>
-          </div>
-          <div class="genre-list" part="genres"></div>
-          <div class="updated" part="updated"></div>
-        </div>
-      </article>
-    `;
-    this.shadowRoot.appendChild(tpl.content.cloneNode(true)); // attach template
+    // one stylesheet for all cards where constructable stylesheets exist, else a <style> per card
+    if (PodcastPreview.sharedStyles && typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype && 'adoptedStyleSheets' in this.shadowRoot) {
+      if (!previewSheet) {
+        previewSheet = new CSSStyleSheet();
+        previewSheet.replaceSync(PREVIEW_STYLES);
+      }
+      this.shadowRoot.adoptedStyleSheets = [previewSheet];
+    } else {
+      const style = document.createElement('style');
+      style.textContent = PREVIEW_STYLES;
+      this.shadowRoot.appendChild(style);
+    }
+    if (!previewTemplate) {
+      previewTemplate = document.createElement('template'); // markup is parsed once, then cloned
+      previewTemplate.innerHTML = PREVIEW_MARKUP;
+    }
+    this.shadowRoot.appendChild(previewTemplate.content.cloneNode(true)); // attach template
     // store references to elements for later updates
-    this._card = this.shadowRoot.querySelector('.card');
+    this._coverEl = this.shadowRoot.querySelector('.cover');
+    this._bodyEl = this.shadowRoot.querySelector('.body');
     this._img = this.shadowRoot.querySelector('img');
-    this._titleEl = this.shadowRoot.querySelector('.title');
+    this._openBtn = this.shadowRoot.querySelector('.open'); // opens the podcast; stretched over the whole card
+    this._excerptEl = this.shadowRoot.querySelector('.excerpt');
     this._seasonsEl = this.shadowRoot.querySelector('.season-count');
     this._genresEl = this.shadowRoot.querySelector('.genre-list');
     this._updatedEl = this.shadowRoot.querySelector('.updated');
+    this._favBtn = this.shadowRoot.querySelector('.fav');
+    this._playingEl = this.shadowRoot.querySelector('.now-playing');
+    this._newsEl = this.shadowRoot.querySelector('.news');
+    this._overlays = [this.shadowRoot.querySelector('.badge'), this._favBtn, this._playingEl, this._newsEl]; // shown over the cover
 
     this._onClick = this._onClick.bind(this); // bind click handler
-    this._onKey = this._onKey.bind(this); // bind keyboard handler
+    this._onGenreClick = this._onGenreClick.bind(this); // bind genre pill handler
+    this._onFavClick = this._onFavClick.bind(this); // bind favourite toggle handler
+    this._onThemeChange = this._onThemeChange.bind(this); // bind theme change handler
+    this._onLocaleChange = this._scheduleRender.bind(this); // re-render text in the new language
   }
 
   connectedCallback() {
+    // properties set before the element was upgraded shadow the accessors; re-apply them through the setters
+    ['podcast', 'genres', 'seasons', 'highlight', 'variant', 'maxGenres', 'cardTabIndex', ...PREVIEW_STRING_PROPS, ...PREVIEW_BOOLEAN_PROPS].forEach(prop => {
+      if (Object.prototype.hasOwnProperty.call(this, prop)) {
+        const value = this[prop];
+        delete this[prop];
+        this[prop] = value;
+      }
+    });
     // attach event listeners when component added to DOM
-    this._card.addEventListener('click', this._onClick);
-    this._card.addEventListener('keydown', this._onKey);
-    this._applyAttributes(); // initialize content
+    this._openBtn.addEventListener('click', this._onClick);
+    this._genresEl.addEventListener('click', this._onGenreClick);
+    this._favBtn.addEventListener('click', this._onFavClick);
+    document.addEventListener('theme-changed', this._onThemeChange);
+    document.addEventListener('locale-changed', this._onLocaleChange);
+    this._renderQueued = false;
+    this._applyAttributes(); // initialize content synchronously so the first paint is complete
   }
 
   disconnectedCallback() {
     // cleanup event listeners when removed from DOM
-    this._card.removeEventListener('click', this._onClick);
-    this._card.removeEventListener('keydown', this._onKey);
+    this._openBtn.removeEventListener('click', this._onClick);
+    this._genresEl.removeEventListener('click', this._onGenreClick);
+    this._favBtn.removeEventListener('click', this._onFavClick);
+    document.removeEventListener('theme-changed', this._onThemeChange);
+    document.removeEventListener('locale-changed', this._onLocaleChange);
   }
 
   attributeChangedCallback(name, oldV, newV) {
     if (oldV === newV) return; // ignore if unchanged
-    this._applyAttributes(); // re-render on attribute change
+    this._scheduleRender(); // re-render once after a batch of attribute changes
+  }
+
+  // coalesce attribute/property changes into a single render per microtask
+  _scheduleRender() {
+    if (this._renderQueued || !this.isConnected) return; // connectedCallback renders detached changes
+    this._renderQueued = true;
+    queueMicrotask(() => {
+      if (!this._renderQueued) return; // already rendered by connectedCallback
+      this._renderQueued = false;
+      this._applyAttributes();
+    });
+  }
+
+  /** @returns {Array<string|{id: (string|number), title: string}>} parsed genres attribute */
+  get genres() {
+    return this._parseGenres(this.getAttribute('genres') || '');
+  }
+
+  /** @param {Array<string|{id: (string|number), title: string}>|string|null} value - array, JSON / CSV string, or null to clear */
+  set genres(value) {
+    if (value === null || value === undefined) this.removeAttribute('genres');
+    else this.setAttribute('genres', typeof value === 'string' ? value : JSON.stringify(Array.from(value)));
+  }
+
+  /** @returns {number} season count (0 when unset) */
+  get seasons() {
+    return Number(this.getAttribute('seasons')) || 0;
+  }
+
+  /** @param {number|string|null} value */
+  set seasons(value) {
+    if (value === null || value === undefined || value === '') this.removeAttribute('seasons');
+    else this.setAttribute('seasons', String(Number(value) || 0));
+  }
+
+  /** @returns {string[]} words highlighted in the title */
+  get highlight() {
+    return (this.getAttribute('highlight') || '').split(/\s+/).filter(Boolean);
+  }
+
+  /** @param {string[]|string|null} value */
+  set highlight(value) {
+    const words = Array.isArray(value) ? value.join(' ') : String(value || '');
+    if (words.trim()) this.setAttribute('highlight', words.trim());
+    else this.removeAttribute('highlight');
+  }
+
+  /** @returns {string} layout: "card", "list" or "compact" (anything else reads as "card") */
+  get variant() {
+    const value = this.getAttribute('variant');
+    return PodcastPreview.variants.includes(value) ? value : 'card';
+  }
+
+  /** @param {string|null} value */
+  set variant(value) {
+    if (value === null || value === undefined || value === '') this.removeAttribute('variant');
+    else this.setAttribute('variant', String(value));
+  }
+
+  /** @returns {number|null} most genre pills to show, null to use PodcastPreview.genreLimits */
+  get maxGenres() {
+    const value = parseInt(this.getAttribute('max-genres'), 10);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  /** @param {number|string|null} value */
+  set maxGenres(value) {
+    if (value === null || value === undefined || value === '') this.removeAttribute('max-genres');
+    else this.setAttribute('max-genres', String(value));
+  }
+
+  /**
+   * Snapshot of the card's data in data.js shape.
+   * @returns {{id: string, title: string, description: string, image: string, seasons: number, updated: string, genres: Array}}
+   */
+  get podcast() {
+    return { id: this.pid, title: this.title, description: this.description, image: this.cover, seasons: this.seasons, updated: this.updated, genres: this.genres };
+  }
+
+  /**
+   * Set every attribute from one podcast object (data.js shape; `image` or `cover` for the picture).
+   * @param {{id: (string|number), title?: string, description?: string, image?: string, cover?: string, seasons?: number, updated?: string, genres?: Array}} p
+   */
+  set podcast(p) {
+    const data = p || {};
+    this.pid = data.id === undefined || data.id === null ? '' : String(data.id);
+    this.title = data.title || '';
+    this.description = data.description || '';
+    this.cover = data.image || data.cover || '';
+    this.seasons = data.seasons || 0;
+    this.updated = data.updated || '';
+    this.genres = Array.isArray(data.genres) ? data.genres : [];
+  }
+
+  // parse genres (JSON preferred, fallback to CSV)
+  _parseGenres(raw) {
+    try {
+      const arr = JSON.parse(raw);
+      return Array.isArray(arr) ? arr : [];
+    } catch (e) {
+      return raw ? raw.split(',').map(s => s.trim()).filter(Boolean) : [];
+    }
   }
 
   _applyAttributes() {
@@ -144,299 +305,164 @@ class PodcastPreview extends HTMLElement {
     const cover = this.getAttribute('cover') || '';
     const seasons = this.getAttribute('seasons') || '';
     const updated = this.getAttribute('updated') || '';
-    const genresRaw = this.getAttribute('genres') || '';
-
-    this._titleEl.textContent = title; // update title
-    this._img.src = cover || placeholderDataURI(450, 300); // cover image fallback
-    this._img.alt = title ? `${title} cover` : 'Podcast cover';
+    const terms = this.highlight;
+    if (terms.length) highlightInto(this._openBtn, title, terms); // title with search matches marked
+    else this._openBtn.textContent = title; // update title
+    const variant = this.variant;
+    this._placeOverlays(variant);
+    const excerpt = variant === 'list' ? excerptOf(this.getAttribute('description') || '') : ''; // only the list variant shows it
+    highlightInto(this._excerptEl, excerpt, terms);
+    this._img.src = cover || placeholderDataURI(450, 300, this); // cover image fallback
+    this._img.alt = title ? t('card.cover', { title }) : t('card.coverFallback');
 
     // fallback if image fails to load
     this._img.onerror = () => {
       if (!this._img.src || !this._img.src.startsWith('data:')) {
-        this._img.src = placeholderDataURI(450, 300);
+        this._img.src = placeholderDataURI(450, 300, this);
       }
     };
-     this._seasonsEl.textContent = seasons ? `${seasons} ${seasons === '1' ? 'season' : 'seasons'}` : '';
-    this._card.setAttribute('aria-label', title || 'Podcast preview'); // for accessibility
+    this._seasonsEl.textContent = seasons ? t('card.seasons', { count: Number(seasons) }) : ''; // plural form for the locale
+    const news = ['new', 'updated'].includes(this.getAttribute('news')) ? t(`card.${this.getAttribute('news')}`) : '';
+    this._newsEl.textContent = news;
+    this._newsEl.hidden = !news;
+    this._openBtn.setAttribute('aria-label', news ? t('card.labelWithNews', { title: title || t('card.label'), status: news }) : title || t('card.label')); // the badge is read with the title
 
-    // parse genres (JSON preferred, fallback to CSV)
-    let arr = [];
-    try {
-      arr = JSON.parse(genresRaw);
-      if (!Array.isArray(arr)) arr = [];
-    } catch (e) {
-      arr = genresRaw ? genresRaw.split(',').map(s => s.trim()).filter(Boolean) : [];
-    }
+    const arr = this.genres;
 
+    const limit = this.maxGenres !== null ? this.maxGenres : PodcastPreview.genreLimits[variant];
     this._genresEl.innerHTML = '';
-    arr.slice(0, 4).forEach(g => { // show first 4 genres
-      const sp = document.createElement('span');
+    arr.slice(0, limit).forEach(g => { // show the first `limit` genres
+      const hasId = g && typeof g === 'object' && g.id !== undefined && g.id !== null;
+      const sp = document.createElement(hasId ? 'button' : 'span'); // only genres with an id can be filtered on
       sp.className = 'genre-pill';
-      sp.textContent = g;
+      sp.textContent = g && typeof g === 'object' ? (g.title || String(g.id)) : g;
+      if (hasId) {
+        sp.type = 'button';
+        sp.dataset.genreId = String(g.id);
+        sp.setAttribute('aria-label', t('genre.filterBy', { genre: sp.textContent }));
+        sp.tabIndex = Math.min(0, this.cardTabIndex); // reachable only while the card is
+      }
       this._genresEl.appendChild(sp);
     });
-    if (arr.length > 4) { // show "+N" if more genres
+    if (limit > 0 && arr.length > limit) { // show "+N" if more genres (no pills at all without room for one)
       const more = document.createElement('span');
       more.className = 'genre-pill';
-      more.textContent = `+${arr.length - 4}`;
+      more.textContent = `+${formatNumber(arr.length - limit)}`;
       this._genresEl.appendChild(more);
     }
 
     this._updatedEl.textContent = formatUpdated(updated); // formatted last update
-  }
 
-  _onClick() {
-    // retrieve id from pid, id, or data-id attribute
-    const id = this.getAttribute('pid') || this.getAttribute('id') || this.getAttribute('data-id');
-    if (!id) return; // do nothing if no id
-    this.dispatchEvent(new CustomEvent('podcast-selected', { bubbles: true, composed: true, detail: { id } })); // dispatch event
-  }
-
-  _onKey(e) {
-    // handle Enter or Space key to trigger click
-    if (e.key === 'Enter' || e.key === ' ') {
-      e.preventDefault();
-      this._onClick();
-    }
-  }
-}
+    const fav = this.hasAttribute('favourite');
+    this._favBtn.setAttribute('aria-pressed', String(fav));
+    this._favBtn.setAttribute('aria-label', t(fav ? 'favourite.remove' : 'favourite.add'));
+    this._favBtn.textContent = fav ? '★' : '☆';
 
-// register custom element if not already defined
-if (!customElements.get('podcast-preview')) customElements.define('podcast-preview', PodcastPreview);
+    this._playingEl.textContent = t('card.nowPlaying');
+    this._playingEl.hidden = !this.hasAttribute('playing');
 
-/* -----------------------
-   App initialization
-   - fills filters
-   - renders grid
-   - handles search, sort, filter
-   - modal open/close with accessibility (escape key, backdrop, focus restore)
-   ----------------------- */
-
-document.addEventListener('DOMContentLoaded', () => {
-  // DOM elements
-  const grid = document.getElementById('podcast-grid');
-  const genreSelect = document.getElementById('genre-filter');
-  const sortSelect = document.getElementById('sort-filter');
-  const searchInput = document.getElementById('search-input');
-
-  const modal = document.getElementById('podcast-modal');
-  const backdrop = document.getElementById('modal-backdrop');
-  const modalClose = document.getElementById('modal-close');
-  const modalCover = document.getElementById('modal-cover');
-  const modalTitle = document.getElementById('modal-title');
-  const modalDescription = document.getElementById('modal-description');
-  const modalGenres = document.getElementById('modal-genres');
-  const modalUpdated = document.getElementById('modal-updated');
-  const seasonsList = document.getElementById('seasons-list');
-
-  let lastFocusedElementBeforeModal = null; // store focus for accessibility
-
-  // fill genre filter dropdown
-  function fillGenres() {
-    const allOpt = document.createElement('option');
-    allOpt.value = 'all';
-    allOpt.textContent = 'All Genres';
-    genreSelect.appendChild(allOpt);
-    genres.forEach(g => {
-      const opt = document.createElement('option');
-      opt.value = g.id;
-      opt.textContent = g.title;
-      genreSelect.appendChild(opt);
-    });
+    const tabIndex = this.cardTabIndex;
+    this._openBtn.tabIndex = tabIndex;
+    this._favBtn.tabIndex = Math.min(0, tabIndex);
   }
 
-  // get shallow copy of podcasts array
-  function getPodcasts() {
-    return (Array.isArray(podcasts) ? podcasts.slice() : []);
+  // the compact variant hides the cover, so the badges and the favourite toggle move into the body, after the title
+  _placeOverlays(variant) {
+    const parent = variant === 'compact' ? this._bodyEl : this._coverEl;
+    if (this._favBtn.parentNode !== parent) parent.append(...this._overlays);
   }
 
-  // apply search, filter, and sort
-  function applyFilters() {
-    let list = getPodcasts();
-
-    // search filter
-    const q = (searchInput.value || '').trim().toLowerCase();
-    if (q) {
-      list = list.filter(p => (p.title || '').toLowerCase().includes(q) || (p.description || '').toLowerCase().includes(q));
-    }
-
-    // genre filter
-    const g = genreSelect.value;
-    if (g && g !== 'all') {
-      const genreObj = genres.find(x => String(x.id) === String(g));
-      if (genreObj && Array.isArray(genreObj.shows)) {
-        const set = new Set(genreObj.shows.map(s => String(s)));
-        list = list.filter(p => set.has(String(p.id)));
-      } else {
-        list = list.filter(p => Array.isArray(p.genres) && p.genres.includes(Number(g)));
-      }
-    }
-
-    // sort
-    const sort = sortSelect.value;
-    if (sort === 'recent') {
-      list.sort((a, b) => new Date(b.updated) - new Date(a.updated));
-    } else if (sort === 'seasons-desc') {
-      list.sort((a, b) => (b.seasons || 0) - (a.seasons || 0));
-    } else if (sort === 'title-asc') {
-      list.sort((a, b) => String(a.title || '').localeCompare(b.title || ''));
-    }
-      renderGrid(list); // render filtered & sorted podcasts
+  /** @returns {number} tab index of the card: 0 (default) or -1 while another card holds the roving focus */
+  get cardTabIndex() {
+    const value = parseInt(this.getAttribute('card-tabindex'), 10);
+    return Number.isFinite(value) ? value : 0;
   }
 
-  // render podcast grid
-  function renderGrid(list) {
-    grid.innerHTML = '';
-    if (!list || list.length === 0) {
-      const empty = document.createElement('div');
-      empty.textContent = 'No podcasts found.';
-      empty.style.color = '#6b7280';
-      grid.appendChild(empty);
-      return;
-    }
-
-    const limited = list.slice(0, 8); // only show first 8 podcasts
-
-    limited.forEach(p => {
-      const el = document.createElement('podcast-preview');
-      el.setAttribute('pid', p.id);
-      el.setAttribute('title', p.title || '');
-      el.setAttribute('cover', p.image || '');
-      el.setAttribute('seasons', String(p.seasons || '0'));
-      el.setAttribute('updated', p.updated || '');
-      const gnames = (p.genres || []).map(id => {
-        const gg = genres.find(x => x.id === id);
-        return gg ? gg.title : String(id);
-      });
-      el.setAttribute('genres', JSON.stringify(gnames));
-      grid.appendChild(el);
-    });
+  set cardTabIndex(value) {
+    if (value === null || value === undefined) this.removeAttribute('card-tabindex');
+    else this.setAttribute('card-tabindex', String(value));
   }
 
-  // open modal with podcast info
-  function openModalForPodcast(p) {
-    lastFocusedElementBeforeModal = document.activeElement;
-
-    modalCover.src = p.image || placeholderDataURI(500, 300);
-    modalCover.onerror = function () {
-      if (!modalCover.src || !modalCover.src.startsWith('data:')) {
-        modalCover.src = placeholderDataURI(500, 300);
-      }
-    };
-
-    modalTitle.textContent = p.title || '';
-    modalDescription.textContent = p.description || '';
-    modalGenres.innerHTML = '';
-    (Array.isArray(p.genres) ? p.genres : []).forEach(gid => {
-      const gobj = genres.find(g => g.id === gid);
-      const sp = document.createElement('span');
-      sp.className = 'genre-pill';
-      sp.textContent = gobj ? gobj.title : gid;
-      modalGenres.appendChild(sp);
-    });
-    modalUpdated.textContent = `Last updated: ${new Date(p.updated || '').toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })}`;
- // seasons list
-    seasonsList.innerHTML = '';
-    const s = seasons.find(x => String(x.id) === String(p.id));
-    if (s && Array.isArray(s.seasonDetails)) {
-      s.seasonDetails.forEach(sd => {
-        const node = document.createElement('div');
-        node.className = 'season-item';
-        node.innerHTML = `<div><div class="season-title">${sd.title}</div><div class="season-sub">${sd.episodes && sd.episodes > 0 ? `${sd.episodes} episodes` : ''}</div></div><div class="kv">${sd.episodes || ''}</div>`;
-        seasonsList.appendChild(node);
-      });
-    } else {
-      const node = document.createElement('div');
-      node.className = 'season-item';
-      node.innerHTML = `<div><div class="season-title">Seasons</div><div class="season-sub">${p.seasons > 0 ? p.seasons : 'No seasons yet'}</div></div><div class="kv"></div>`;
-      seasonsList.appendChild(node);
-    }
+  /**
+   * Focus the card itself (the host element is not focusable).
+   * @param {FocusOptions} [options]
+   */
+  focus(options) {
+    this._openBtn.focus(options);
+  }
 
-    backdrop.hidden = false;
-    modal.hidden = false;
-    modal.removeAttribute('aria-hidden');
+  // retrieve id from pid, id, or data-id attribute
+  _podcastId() {
+    return this.getAttribute('pid') || this.getAttribute('id') || this.getAttribute('data-id');
+  }
 
-    trapFocus(modal); // trap focus inside modal
-    modalClose.focus(); // focus close button for accessibility
+  _onClick() {
+    const id = this._podcastId();
+    if (!id) return; // do nothing if no id
+    this.dispatchEvent(new CustomEvent('podcast-selected', { bubbles: true, composed: true, detail: { id } })); // dispatch event
   }
 
-  // close modal
-  function closeModal() {
-    backdrop.hidden = true;
-    modal.hidden = true;
-    modal.setAttribute('aria-hidden', 'true');
+  _onGenreClick(e) {
+    const pill = e.target.closest('button.genre-pill');
+    if (!pill) return;
+    this.dispatchEvent(new CustomEvent('genre-selected', { bubbles: true, composed: true, detail: { id: pill.dataset.genreId, title: pill.textContent } }));
+  }
 
-    if (modal._trapKeydown) {
-      modal.removeEventListener('keydown', modal._trapKeydown);
-      delete modal._trapKeydown;
-    }
+  _onFavClick() {
+    const id = this._podcastId();
+    if (!id) return;
+    this.dispatchEvent(new CustomEvent('favourite-toggled', { bubbles: true, composed: true, detail: { id, favourite: !this.hasAttribute('favourite') } }));
+  }
 
-    if (lastFocusedElementBeforeModal) {
-      try { lastFocusedElementBeforeModal.focus(); } catch (e) {}
-      lastFocusedElementBeforeModal = null;
-    }
+  // redraw the generated placeholder cover in the new theme's colours
+  _onThemeChange() {
+    if (this._img.src.startsWith('data:')) this._img.src = placeholderDataURI(450, 300, this);
   }
+}
 
-  // trap focus inside modal
-  function trapFocus(element) {
-    const focusableSelectors = 'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), [tabindex]:not([tabindex="-1"])';
-    const focusables = Array.from(element.querySelectorAll(focusableSelectors)).filter(el => el.offsetParent !== null);
-    if (focusables.length === 0) return;
-    const first = focusables[0];
-    const last = focusables[focusables.length - 1];
-
-    function handleKey(e) {
-      if (e.key === 'Tab') {
-        if (e.shiftKey) {
-          if (document.activeElement === first) {
-            e.preventDefault();
-            last.focus();
-          }
-        } else {
-          if (document.activeElement === last) {
-            e.preventDefault();
-            first.focus();
-          }
-        }
-      } else if (e.key === 'Escape') {
-        closeModal();
-      }
-    }
+// adopt the shared stylesheet where the browser supports it; set to false before creating cards to give each
+// card its own <style> again (benchmark.html does this to measure the difference)
+PodcastPreview.sharedStyles = true;
+// layouts of the variant attribute, and how many genre pills each shows before "+N" (max-genres overrides it per card)
+PodcastPreview.variants = ['card', 'list', 'compact'];
+PodcastPreview.genreLimits = { card: 4, list: 3, compact: 0 };
 
-    element.removeEventListener('keydown', element._trapKeydown);
-    element._trapKeydown = handleKey;
-    element.addEventListener('keydown', handleKey);
-  }
+/**
+ * The start of a description for the list variant, cut at a word boundary.
+ * @param {string} text
+ * @returns {string}
+ */
+function excerptOf(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= PREVIEW_EXCERPT_LENGTH) return clean;
+  const cut = clean.slice(0, PREVIEW_EXCERPT_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
 
-  // initialize filters and listeners
-  fillGenres();
-  document.addEventListener('podcast-selected', evt => {
-    const id = String(evt.detail && evt.detail.id);
-    const p = podcasts.find(x => String(x.id) === id);
-    if (!p) return;
-    openModalForPodcast(p);
+// generate the plain string / boolean property accessors so they stay in sync with the attributes
+PREVIEW_STRING_PROPS.forEach(prop => {
+  Object.defineProperty(PodcastPreview.prototype, prop, {
+    configurable: true,
+    get() {
+      return this.getAttribute(prop) || '';
+    },
+    set(value) {
+      if (value === null || value === undefined) this.removeAttribute(prop);
+      else this.setAttribute(prop, String(value));
+    },
   });
-
-  modalClose.addEventListener('click', closeModal);
-  backdrop.addEventListener('click', closeModal);
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') closeModal();
+});
+PREVIEW_BOOLEAN_PROPS.forEach(prop => {
+  Object.defineProperty(PodcastPreview.prototype, prop, {
+    configurable: true,
+    get() {
+      return this.hasAttribute(prop);
+    },
+    set(value) {
+      this.toggleAttribute(prop, !!value);
+    },
   });
+});
 
-  genreSelect.addEventListener('change', applyFilters);
-  sortSelect.addEventListener('change', applyFilters);
-  searchInput.addEventListener('input', debounce(applyFilters, 180));
-
-  const searchBtn = document.querySelector('.icon-btn[aria-label="Search"]');
-  if (searchBtn) {
-    searchBtn.addEventListener('click', () => {
-      try { searchInput.focus(); } catch (e) {}
-    });
-  }
-
-  backdrop.hidden = true;
-  modal.hidden = true;
-  modal.setAttribute('aria-hidden', 'true');
-
-  applyFilters(); // initial grid render
-});
\ No newline at end of file
+// register custom element if not already defined
+if (!customElements.get('podcast-preview')) customElements.define('podcast-preview', PodcastPreview);
@@ -0,0 +1,193 @@
+// ----- a11y.js -----
+// Accessibility helpers for the PodcastApp
+// A dialog controller that stacks modal dialogs (the podcast modal, "Add feed", shortcut help) over one
+// shared backdrop, makes everything behind the top dialog inert, and keeps Tab inside it; plus a polite
+// live region for announcing changes such as the number of filter results.
+
+const DIALOG_Z_BASE = 60; // backdrop sits at base + 2 * depth - 1, the dialog one above it
+const LIVE_REGION_SELECTOR = '[aria-live], [role="status"], [role="alert"]'; // kept out of inert so announcements are still read
+const FOCUSABLE_SELECTOR = 'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Focusable elements inside a container, in Tab order, skipping hidden ones.
+ * Computed on demand so content added while a dialog is open (e.g. expanded seasons) is included.
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+export function focusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+    .filter(el => !el.closest('[hidden], [inert]') && el.getClientRects().length > 0);
+}
+
+/**
+ * Create the controller for the page's modal dialogs.
+ * Dialogs open on a stack: only the top one is interactive, Escape and backdrop clicks dismiss it, and
+ * closing it returns focus to whatever opened it. Works with <dialog> elements (opened with show(), so the
+ * controller, not the browser's top layer, decides the stacking) and with [hidden] role="dialog" elements.
+ * @param {HTMLElement} backdrop - overlay shown behind the top dialog
+ * @param {HTMLElement} [root] - element whose children are made inert behind the dialogs (default: body)
+ * @param {{signal?: AbortSignal}} [options] - aborting signal closes every open dialog and removes the controller's listeners
+ * @returns {{open: Function, close: Function, dismiss: Function, isOpen: Function, top: Function}}
+ */
+export function createDialogController(backdrop, root = document.body, { signal } = {}) {
+  const stack = []; // { dialog, opener, onDismiss, onClose }, bottom first
+  const inerted = new Set(); // elements this controller made inert, restored when the stack empties
+
+  // show / hide a dialog element of either kind
+  function setShown(dialog, shown) {
+    if (dialog.localName === 'dialog') {
+      if (shown && typeof dialog.show === 'function') dialog.show();
+      else if (!shown && typeof dialog.close === 'function') dialog.close();
+      else dialog.toggleAttribute('open', shown); // browsers without <dialog> support
+    } else {
+      dialog.hidden = !shown;
+      if (shown) dialog.removeAttribute('aria-hidden');
+      else dialog.setAttribute('aria-hidden', 'true');
+    }
+  }
+
+  // make everything except the top dialog (and the backdrop / live regions) inert; layer the z-indexes
+  function update() {
+    inerted.forEach(el => el.removeAttribute('inert'));
+    inerted.clear();
+    const top = stack[stack.length - 1];
+    backdrop.hidden = !top;
+    if (!top) return;
+
+    backdrop.style.zIndex = String(DIALOG_Z_BASE + 2 * stack.length - 1);
+    stack.forEach((entry, i) => {
+      entry.dialog.style.zIndex = String(DIALOG_Z_BASE + 2 * (i + 1));
+      if (entry !== top) inerted.add(entry.dialog); // lower dialogs stay visible but can't be used
+    });
+    Array.from(root.children).forEach(el => {
+      if (el === backdrop || el.contains(top.dialog) || el.localName === 'script' || el.matches(LIVE_REGION_SELECTOR)) return;
+      inerted.add(el);
+    });
+    inerted.forEach(el => {
+      if (!el.hasAttribute('inert')) el.setAttribute('inert', '');
+      else inerted.delete(el); // already inert for another reason; leave it alone on restore
+    });
+  }
+
+  function indexOf(dialog) {
+    return stack.findIndex(entry => entry.dialog === dialog);
+  }
+
+  /**
+   * Open a dialog on top of the stack and move focus into it.
+   * @param {HTMLElement} dialog
+   * @param {{initialFocus?: HTMLElement, onDismiss?: Function, onClose?: Function}} [options]
+   *   onDismiss replaces close() for Escape / backdrop clicks (e.g. to go through history.back());
+   *   onClose runs after the dialog has closed
+   */
+  function open(dialog, options = {}) {
+    if (indexOf(dialog) !== -1) return;
+    stack.push({ dialog, opener: document.activeElement, onDismiss: options.onDismiss, onClose: options.onClose });
+    setShown(dialog, true);
+    update();
+    const target = options.initialFocus || focusableElements(dialog)[0] || dialog;
+    try { target.focus(); } catch (e) {}
+  }
+
+  /**
+   * Close a dialog (and any opened above it), then return focus to its opener.
+   * @param {HTMLElement} dialog
+   */
+  function close(dialog) {
+    const index = indexOf(dialog);
+    if (index === -1) return;
+    const closing = stack.splice(index).reverse(); // top first
+    closing.forEach(entry => setShown(entry.dialog, false));
+    update();
+    const opener = closing[closing.length - 1].opener;
+    if (opener && opener.isConnected) {
+      try { opener.focus(); } catch (e) {}
+    }
+    closing.forEach(entry => {
+      if (entry.onClose) entry.onClose();
+    });
+  }
+
+  // user asked to leave the top dialog (Escape, backdrop click)
+  function dismiss() {
+    const top = stack[stack.length - 1];
+    if (!top) return;
+    if (top.onDismiss) top.onDismiss();
+    else close(top.dialog);
+  }
+
+  // Tab / Shift+Tab wrap within the top dialog; focusables are looked up on every key press
+  function onKeydown(e) {
+    const top = stack[stack.length - 1];
+    if (!top) return;
+    if (e.key === 'Escape') {
+      e.preventDefault(); // also stops a native <dialog> from closing itself behind the controller's back
+      dismiss();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const focusables = focusableElements(top.dialog);
+    if (!focusables.length) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || !top.dialog.contains(active))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || !top.dialog.contains(active))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // a <dialog> closed by its own form (method="dialog") still has to leave the stack
+  function onNativeClose(e) {
+    if (indexOf(e.target) !== -1) close(e.target);
+  }
+
+  document.addEventListener('keydown', onKeydown, { signal });
+  document.addEventListener('close', onNativeClose, { capture: true, signal }); // "close" doesn't bubble
+  backdrop.addEventListener('click', dismiss, { signal });
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      if (stack.length) close(stack[0].dialog);
+    });
+  }
+
+  return {
+    open,
+    close,
+    dismiss,
+    /** @param {HTMLElement} [dialog] @returns {boolean} whether that dialog (or any, without an argument) is open */
+    isOpen(dialog) {
+      return dialog ? indexOf(dialog) !== -1 : stack.length > 0;
+    },
+    /** @returns {HTMLElement|null} the dialog currently on top */
+    top() {
+      return stack.length ? stack[stack.length - 1].dialog : null;
+    },
+  };
+}
+
+/**
+ * Create a function that announces messages through a polite live region.
+ * Rapid calls (typing in the search box) are debounced so only the last message is read.
+ * @param {HTMLElement} region - element with role="status" / aria-live="polite"
+ * @param {number} [delay] - ms to wait for the input to settle
+ * @returns {Function} announce(message)
+ */
+export function createAnnouncer(region, delay = 500) {
+  let timer = null;
+  return function announce(message) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      region.textContent = ''; // clear first so the same message is read again
+      setTimeout(() => {
+        region.textContent = message;
+      }, 50);
+    }, delay);
+  };
+}
@@ -0,0 +1,1370 @@
+// ----- app.js -----
+// The PodcastApp controller
+// createPodcastApp() mounts the app on a root element: it finds its controls inside that root, loads the
+// catalog from a data provider, and wires the grid, filters, paging, favourites, offline saves, feed
+// import, filter presets, "new since your last visit" badges, keyboard navigation, the genre browse view and the
+// podcast modal together. Pure query / URL logic lives in state.js;
+// every catalog is checked and normalized by catalogSchema.js before the app uses it.
+
+import { PodcastPreview } from './PodcastPreview.js';
+import { t, getLocale, setLocale, availableLocales, localeDirection, formatNumber } from './i18n.js';
+import { debounce, buildStatus } from './format.js';
+import { paginate, buildGenreIndex, buildEpisodeIndex, queryPodcasts, genresFor, matchedTerms, parseSort, formatSort, hasSortDirection, DEFAULT_SORT, UPDATED_PRESETS, normalizeUpdatedFilter, normalizeSeasonRange, normalizeFilters, summarizeGenres, normalizeBrowse, parseAppUrl, buildAppUrl } from './state.js';
+import { buildSearchIndex } from './search.js';
+import { buildSimilarityIndex, similarPodcasts } from './recommend.js';
+import { providerFromElement } from './dataProvider.js';
+import { validateCatalog, validateRecord, summarizeProblems } from './catalogSchema.js';
+import { showProblemOverlay } from './devOverlay.js';
+import { createLibrary } from './library.js';
+import { createPresetStore } from './presets.js';
+import { createVisitTracker } from './visits.js';
+import { createPlayer } from './player.js';
+import { parseFeed, mergeFeedIntoCatalog } from './feedImport.js';
+import { createOfflineStore, watchConnection } from './offline.js';
+import { createDialogController, createAnnouncer } from './a11y.js';
+import { createPodcastModal } from './modal.js';
+import { createGenreBrowser } from './genreBrowser.js';
+import { reconcileChildren, virtualWindow } from './gridView.js';
+
+const mountedRoots = new WeakSet(); // roots of every mounted app, so an app mounted inside another keeps its own events
+const VIRTUAL_CARD_HEIGHT = 360; // row height assumed by the virtual grid until a card has been measured
+const SIMILAR_LIMIT = 4; // cards in the modal's "You might also like" row
+const LAYOUT_STORAGE_KEY = 'podcastapp:layout'; // grid layout picked with the layout toggle
+
+/**
+ * Mount the PodcastApp on a root element that contains the app markup (see index.html).
+ * Elements are looked up by id inside root only, so a page can mount the app more than once by giving
+ * each copy of the markup its own idPrefix.
+ * @param {HTMLElement} root - element containing the app markup (document.body for index.html)
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - data provider (dataProvider.js); defaults to the grid's data attributes
+ * @param {boolean} [options.routing] - keep filters and the open podcast in the URL and history (one app per page)
+ * @param {boolean} [options.shortcuts] - page-wide keyboard shortcuts (/, g, o, ?)
+ * @param {string} [options.idPrefix] - prefix of every id in this copy of the markup, e.g. "second-"
+ * @param {boolean} [options.dev] - list catalog problems in an overlay on the page as well as in the console
+ * @returns {{ready: Promise<void>, openPodcast: Function, refresh: Function, destroy: Function}}
+ * @throws {Error} when root has no podcast grid
+ */
+export function createPodcastApp(root, options = {}) {
+  const { routing = false, shortcuts = false, idPrefix = '', dev = false } = options;
+  const $ = id => root.querySelector(`[id="${idPrefix}${id}"]`); // scoped: two copies of the markup never cross
+  mountedRoots.add(root);
+
+  // DOM elements
+  const grid = $('podcast-grid');
+  if (!grid) throw new Error(`createPodcastApp: no #${idPrefix}podcast-grid inside the root element`);
+  const genreChips = $('genre-filter');
+  const genreMatch = $('genre-match');
+  const genreClear = $('genre-clear');
+  const sortSelect = $('sort-filter');
+  const sortDirection = $('sort-direction');
+  const searchInput = $('search-input');
+  const searchBtn = $('search-open');
+  const pageSizeSelect = $('page-size');
+  const layoutToggle = $('layout-toggle');
+  const viewSelect = $('view-filter');
+  const markSeen = $('mark-seen');
+  const filtersToggle = $('filters-toggle');
+  const filterPanel = $('filter-panel');
+  const updatedSelect = $('filter-updated');
+  const updatedRange = $('filter-updated-range');
+  const updatedFrom = $('filter-updated-from');
+  const updatedTo = $('filter-updated-to');
+  const seasonsMin = $('filter-seasons-min');
+  const seasonsMax = $('filter-seasons-max');
+  const presetSelect = $('filter-preset');
+  const presetName = $('preset-name');
+  const presetSave = $('preset-save');
+  const presetDelete = $('preset-delete');
+  const presetStatus = $('preset-status');
+  const activeFilters = $('active-filters');
+  const themeSelect = $('theme-select');
+  const localeSelect = $('locale-select');
+  const libraryExport = $('library-export');
+  const libraryImport = $('library-import');
+  const libraryFile = $('library-file');
+  const libraryStatus = $('library-status');
+  const feedOpen = $('feed-open');
+  const feedDialog = $('feed-dialog');
+  const feedForm = $('feed-form');
+  const feedXml = $('feed-xml');
+  const feedFile = $('feed-file');
+  const feedError = $('feed-error');
+  const feedCancel = $('feed-cancel');
+  const shortcutsDialog = $('shortcuts-dialog');
+  const shortcutsOpen = $('shortcuts-open');
+  const shortcutsClose = $('shortcuts-close');
+  const resultCount = $('result-count');
+  const pagination = $('pagination');
+  const sentinel = $('scroll-sentinel');
+  const offlineBanner = $('offline-banner');
+  const browseAll = $('browse-all');
+  const browseGenres = $('browse-genres');
+  const catalogParts = [$('catalog-controls'), filterPanel, activeFilters, $('grid-title'), grid, $('grid-footer')].filter(Boolean); // hidden while browsing genres
+
+  const lifetime = new AbortController(); // every listener the app adds goes with it; aborted by destroy()
+  const { signal } = lifetime;
+  const dialogs = createDialogController($('modal-backdrop'), document.body, { signal }); // stacking, inert background, focus trap and Escape (a11y.js)
+  const announce = createAnnouncer($('live-status')); // screen reader status messages
+
+  // catalog data comes from a provider (static data.js by default, or JSON endpoints via data-source="fetch")
+  const provider = options.provider || providerFromElement(grid);
+  let catalog = { podcasts: [], genres: [], seasons: [] }; // normalized by validateCatalog: podcast ids are strings, genre ids numbers
+  let genreIndex = new Map(); // podcast id -> genre ids, reconciled from both sides of data.js
+  let searchIndex = { terms: new Map() }; // rebuilt whenever the catalog loads
+  let searchResults = null; // podcast id -> { score, terms } for the current query, null without a query
+  let similarityIndex = { entries: new Map() }; // for "You might also like", rebuilt with the search index
+  let episodeCounts = new Map(); // podcast id -> total episodes, for the episodes sort
+  let sortDir = 'desc'; // direction of the key in sortSelect
+  let sortBeforeSearch = null; // sort to go back to when the search box is cleared
+  const library = createLibrary(); // favourites, persisted in localStorage
+  const presets = createPresetStore(); // named filter sets, persisted in localStorage
+  const visits = createVisitTracker(); // last visit and when each show was opened, for the "New" / "Updated" badges
+  const player = createPlayer($('mini-player'), { signal }); // lives outside the modal and the grid
+  const offlineStore = createOfflineStore(); // shows saved for offline use (offline.js)
+  const selectedGenres = new Set(); // genre ids chosen in the chip filter
+  let catalogReady = false; // filters are ignored until the first successful load
+  let waitingForPopState = false; // set while history.back() is closing the modal
+  let runAfterPopState = null; // follow-up action queued by dismissModal
+  let devProblems = []; // catalog problems listed in the dev overlay
+  let browse = ''; // "" for the podcast grid, "genres" or "genre-<id>" for the genre browse view (see normalizeBrowse)
+
+  const modal = createPodcastModal({
+    modal: $('podcast-modal'),
+    close: $('modal-close'),
+    cover: $('modal-cover'),
+    title: $('modal-title'),
+    favourite: $('modal-favourite'),
+    offline: $('modal-offline'),
+    offlineStatus: $('modal-offline-status'),
+    description: $('modal-description'),
+    genres: $('modal-genres'),
+    updated: $('modal-updated'),
+    seasons: $('seasons-list'),
+    similar: $('modal-similar'),
+    similarSection: $('modal-similar-section'),
+  }, {
+    dialogs,
+    player,
+    library,
+    offlineStore,
+    loadSeasons,
+    idPrefix,
+    signal,
+    onDismiss: () => dismissModal(),
+    // show the filtered grid (or, while browsing genres, the genre's page) instead of the podcast
+    onGenre: id => dismissModal(() => (browse ? navigateBrowse(`genre-${Number(id)}`) : setGenreSelected(id, true))),
+  });
+
+  const genreBrowser = $('genre-browse') ? createGenreBrowser({
+    section: $('genre-browse'),
+    index: $('genre-index'),
+    indexTitle: $('genre-index-title'),
+    tiles: $('genre-tiles'),
+    page: $('genre-page'),
+    title: $('genre-title'),
+    description: $('genre-description'),
+    count: $('genre-count'),
+    crumb: $('genre-crumb'),
+    sort: $('genre-sort'),
+    sortDirection: $('genre-sort-direction'),
+    shows: $('genre-shows'),
+  }, {
+    library,
+    isPlaying: isPlayingPodcast,
+    newsFor: p => visits.status(p),
+    variant: () => layout,
+    hrefFor: browseHref,
+    onNavigate: navigateBrowse,
+    signal,
+  }) : null;
+
+  // paging state: mode and default page size come from data attributes on the grid
+  const defaultPageSize = Number(grid.dataset.pageSize) || 8;
+  const paging = {
+    mode: ['pages', 'load-more', 'infinite', 'virtual'].includes(grid.dataset.paging) ? grid.dataset.paging : 'load-more',
+    pageSize: defaultPageSize,
+    page: 1,
+  };
+  let currentList = []; // last filtered & sorted list, kept so paging does not refilter
+  let visibleItems = []; // podcasts on the current page (in virtual mode all of them, mounted or not)
+  let cards = []; // mounted <podcast-preview> elements, in grid order
+  let mountedStart = 0; // index in visibleItems of cards[0]; above 0 only in virtual mode
+  let cardHeight = 0; // tallest card measured so far, the virtual grid's row height
+  let layout = readLayout(); // <podcast-preview> variant of the grid's cards: "card", "list" or "compact"
+  let windowFrame = 0; // pending animation frame that re-renders the virtual window
+  let gridFocusIndex = 0; // index in visibleItems of the card holding the grid's single Tab stop (roving tabindex)
+  let scrollObserver = null; // IntersectionObserver used by infinite mode
+
+  // fill genre filter chips (one toggle button per genre)
+  function fillGenres() {
+    genreChips.innerHTML = ''; // refill from scratch after every catalog load
+    catalog.genres.forEach(g => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'genre-chip';
+      chip.dataset.genreId = String(g.id);
+      chip.textContent = g.title;
+      genreChips.appendChild(chip);
+    });
+    updateGenreChips();
+  }
+
+  // reflect the selected genres on the chips, the match toggle and the clear button
+  function updateGenreChips() {
+    genreChips.querySelectorAll('.genre-chip').forEach(chip => {
+      chip.setAttribute('aria-pressed', String(selectedGenres.has(Number(chip.dataset.genreId))));
+    });
+    genreMatch.disabled = selectedGenres.size < 2; // any/all only matters with two or more genres
+    genreClear.hidden = selectedGenres.size === 0;
+  }
+
+  // add, remove or toggle a genre in the filter and refilter
+  function setGenreSelected(id, selected) {
+    const gid = Number(id);
+    if (!catalog.genres.some(g => Number(g.id) === gid)) return; // unknown genre id
+    if (selected === undefined) selected = !selectedGenres.has(gid);
+    if (selected) selectedGenres.add(gid);
+    else selectedGenres.delete(gid);
+    updateGenreChips();
+    applyFilters();
+  }
+
+  function findPodcast(id) {
+    return catalog.podcasts.find(x => x.id === String(id));
+  }
+
+  // seasons already in the catalog (static data, imported feeds) win; otherwise ask the provider
+  function loadSeasons(p) {
+    const local = catalog.seasons.find(x => x.id === p.id);
+    if (local) return Promise.resolve(local.seasonDetails);
+    return provider.loadSeasons(p.id).then(details => {
+      const problems = [];
+      const entry = validateRecord({ id: p.id, seasonDetails: details }, 'seasonsEntry', `seasons(${p.id})`, problems);
+      reportProblems(problems);
+      buildEpisodeIndex([entry]).forEach((count, id) => episodeCounts.set(id, count)); // counted from now on
+      return entry.seasonDetails;
+    });
+  }
+
+  // validate and normalize a catalog from the provider or a feed import (catalogSchema.js)
+  function checkCatalog(raw) {
+    const { catalog: checked, problems } = validateCatalog(raw);
+    reportProblems(problems);
+    return checked;
+  }
+
+  // catalog problems go to the console, and in dev mode to the overlay as well (which keeps every problem so far)
+  function reportProblems(problems) {
+    if (!problems.length) return;
+    console.warn(`Catalog: ${summarizeProblems(problems)}`, problems);
+    if (!dev) return;
+    devProblems = devProblems.concat(problems);
+    showProblemOverlay(root, devProblems);
+  }
+
+  // current sort value from the key select and the direction toggle
+  function currentSort() {
+    return formatSort(sortSelect.value, sortDir);
+  }
+
+  // put a sort value into the controls
+  function setSort(value) {
+    const { key, dir } = parseSort(value);
+    sortSelect.value = key;
+    sortDir = dir;
+    updateSortControls();
+  }
+
+  // relevance is only offered while searching; it and the news sort have no direction
+  function updateSortControls() {
+    const relevance = sortSelect.querySelector('option[value="relevance"]');
+    if (relevance) relevance.disabled = !searchInput.value.trim();
+    if (!sortDirection) return;
+    sortDirection.disabled = !hasSortDirection(sortSelect.value);
+    sortDirection.textContent = t(sortDir === 'asc' ? 'sort.ascending' : 'sort.descending');
+  }
+
+  // a new search ranks by relevance; clearing it goes back to the sort used before (unless another was picked meanwhile)
+  function syncSortToSearch() {
+    const searching = !!searchInput.value.trim();
+    if (searching && sortBeforeSearch === null) {
+      sortBeforeSearch = currentSort();
+      setSort('relevance');
+    } else if (!searching && sortBeforeSearch !== null) {
+      if (sortSelect.value === 'relevance') setSort(sortBeforeSearch);
+      sortBeforeSearch = null;
+    }
+    updateSortControls();
+  }
+
+  // apply search, filter, and sort
+  function applyFilters() {
+    if (!catalogReady || signal.aborted) return; // keep the loading / error state visible; nothing to do once destroyed
+    syncSortToSearch();
+
+    const query = queryPodcasts(catalog.podcasts, {
+      query: searchInput.value,
+      searchIndex, // ranked and typo tolerant (see search.js)
+      view: viewSelect.value,
+      isFavourite: id => library.has(id),
+      isSaved: id => offlineStore.has(id),
+      hasNews: p => visits.status(p) !== '',
+      newsOf: p => visits.status(p),
+      genreIndex,
+      genres: Array.from(selectedGenres),
+      match: genreMatch.value,
+      updated: currentUpdated(),
+      seasons: currentSeasons(),
+      sort: currentSort(),
+      episodeCounts,
+      genreList: catalog.genres,
+    });
+    searchResults = query.results;
+
+    currentList = query.list;
+    paging.page = 1; // any change to search, filter or sort starts again from the first page
+    gridFocusIndex = 0;
+    renderGrid(currentList); // render filtered & sorted podcasts
+    updateFilterPanel();
+    renderActiveFilters();
+    syncPresetSelection();
+    updateMarkSeen();
+    announce(t('results.found', { count: currentList.length })); // read out once typing / clicking settles
+    syncUrl();
+  }
+
+  // update recency chosen in the filter panel ("" for any time, or while a custom range has no dates yet)
+  function currentUpdated() {
+    if (!updatedSelect) return '';
+    if (updatedSelect.value !== 'custom') return updatedSelect.value;
+    return normalizeUpdatedFilter(`${updatedFrom.value}..${updatedTo.value}`);
+  }
+
+  // season count range from the filter panel ("" without one)
+  function currentSeasons() {
+    if (!seasonsMin) return '';
+    return normalizeSeasonRange(`${seasonsMin.value.trim()}..${seasonsMax.value.trim()}`);
+  }
+
+  // put normalised update recency and season range values into the filter panel
+  function setPanelFilters(updated, seasons) {
+    if (updatedSelect) {
+      const custom = !!updated && !UPDATED_PRESETS[updated];
+      const [from = '', to = ''] = custom ? updated.split('..') : [];
+      updatedSelect.value = custom ? 'custom' : updated;
+      updatedFrom.value = from;
+      updatedTo.value = to;
+    }
+    if (seasonsMin) {
+      const [min = '', max = ''] = seasons ? seasons.split('..') : [];
+      seasonsMin.value = min;
+      seasonsMax.value = max;
+    }
+    updateFilterPanel();
+  }
+
+  // date inputs only for a custom range; the toggle counts the panel's active filters while it is closed
+  function updateFilterPanel() {
+    if (updatedRange) updatedRange.hidden = updatedSelect.value !== 'custom';
+    if (!filtersToggle) return;
+    const count = [currentUpdated(), currentSeasons()].filter(Boolean).length;
+    filtersToggle.textContent = count ? t('filters.moreActive', { count }) : t('filters.more');
+  }
+
+  // chip text for an update recency: the preset's name, or the dates of a custom range ("…" for an open end)
+  function describeUpdated(value) {
+    if (UPDATED_PRESETS[value]) return t(`filters.updated${value}`);
+    const day = iso => (iso ? new Date(`${iso}T00:00:00`).toLocaleDateString(getLocale(), { year: 'numeric', month: 'short', day: 'numeric' }) : '…');
+    const [from, to] = value.split('..');
+    return `${day(from)} – ${day(to)}`;
+  }
+
+  // chip text for a season range: "3–10", "3+", "≤ 10"
+  function describeSeasons(value) {
+    const [min, max] = value.split('..').map(n => (n === '' ? null : formatNumber(Number(n))));
+    if (min !== null && max !== null) return min === max ? min : `${min}–${max}`;
+    return min !== null ? `${min}+` : `≤ ${max}`;
+  }
+
+  // one removable chip per active filter (search, genres, view, update recency, seasons), plus "Clear all"
+  function renderActiveFilters() {
+    if (!activeFilters) return;
+    const chips = [];
+    const q = searchInput.value.trim();
+    if (q) chips.push({ label: t('chips.search', { q }), remove: () => { searchInput.value = ''; } });
+    catalog.genres.filter(g => selectedGenres.has(Number(g.id))).forEach(g => {
+      chips.push({ label: g.title, remove: () => selectedGenres.delete(Number(g.id)) });
+    });
+    if (viewSelect.value !== 'all') {
+      chips.push({ label: viewSelect.selectedOptions[0].textContent, remove: () => { viewSelect.value = 'all'; } });
+    }
+    const updated = currentUpdated();
+    if (updated) chips.push({ label: t('chips.updated', { range: describeUpdated(updated) }), remove: () => setPanelFilters('', currentSeasons()) });
+    const seasons = currentSeasons();
+    if (seasons) chips.push({ label: t('chips.seasons', { range: describeSeasons(seasons) }), remove: () => setPanelFilters(currentUpdated(), '') });
+    if (chips.length > 1) chips.push({ clearAll: true, label: t('chips.clearAll'), remove: clearAllFilters });
+
+    const focused = Array.from(activeFilters.children).indexOf(document.activeElement); // keep keyboard users in the row
+    activeFilters.innerHTML = '';
+    chips.forEach(chip => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = chip.clearAll ? 'filter-chip filter-chip-clear' : 'filter-chip';
+      btn.textContent = chip.clearAll ? chip.label : `${chip.label} ✕`;
+      if (!chip.clearAll) btn.setAttribute('aria-label', t('chips.remove', { label: chip.label }));
+      btn.addEventListener('click', () => {
+        chip.remove();
+        updateGenreChips();
+        applyFilters();
+      });
+      activeFilters.appendChild(btn);
+    });
+    activeFilters.hidden = chips.length === 0;
+    if (focused !== -1) {
+      const next = activeFilters.children[Math.min(focused, activeFilters.children.length - 1)];
+      if (next) next.focus();
+      else searchInput.focus(); // the last chip went
+    }
+  }
+
+  // drop every filter (the sort stays)
+  function clearAllFilters() {
+    searchInput.value = '';
+    selectedGenres.clear();
+    viewSelect.value = 'all';
+    setPanelFilters('', '');
+  }
+
+  // refill the preset select from the store
+  function fillPresets() {
+    if (!presetSelect) return;
+    while (presetSelect.options.length > 1) presetSelect.remove(1); // the first option is the "Saved filters…" prompt
+    presets.list().forEach(preset => {
+      const opt = document.createElement('option');
+      opt.value = preset.name;
+      opt.textContent = preset.name;
+      presetSelect.appendChild(opt);
+    });
+    presetSelect.disabled = presets.list().length === 0;
+    syncPresetSelection();
+  }
+
+  // select the preset the current filters match, if any; only a selected preset can be deleted
+  function syncPresetSelection() {
+    if (!presetSelect) return;
+    const key = JSON.stringify(normalizeFilters(currentFilters()));
+    const match = presets.list().find(preset => JSON.stringify(preset.filters) === key);
+    presetSelect.value = match ? match.name : '';
+    if (presetDelete) presetDelete.disabled = !match;
+  }
+
+  // put a saved preset's filters into the controls and refilter
+  function applyPreset(name) {
+    const preset = presets.get(name);
+    if (!preset) return;
+    restoreControls({ ...preset.filters });
+    applyFilters();
+  }
+
+  // save the current filters under the name typed in the panel (an existing preset of that name is replaced)
+  function savePreset() {
+    const name = presetName.value.trim();
+    if (!name) {
+      presetStatus.textContent = t('presets.nameRequired');
+      presetName.focus();
+      return;
+    }
+    const preset = presets.save(name, currentFilters());
+    presetName.value = '';
+    presetStatus.textContent = t('presets.saved', { name: preset.name });
+  }
+
+  // delete the preset shown in the select
+  function deletePreset() {
+    const name = presetSelect.value;
+    if (name && presets.remove(name)) presetStatus.textContent = t('presets.deleted', { name });
+  }
+
+  // move to another page (or reveal the next one) without refiltering
+  function goToPage(page) {
+    paging.page = page;
+    if (paging.mode === 'pages') gridFocusIndex = 0; // a new page replaces the cards; accumulating modes keep the position
+    renderGrid(currentList);
+    syncUrl();
+  }
+
+  // current search, filters and sort, as kept in the URL and in presets
+  function currentFilters() {
+    return {
+      q: (searchInput.value || '').trim(),
+      view: viewSelect.value,
+      genres: Array.from(selectedGenres).sort((a, b) => a - b),
+      match: genreMatch.value,
+      sort: currentSort(),
+      updated: currentUpdated(),
+      seasons: currentSeasons(),
+    };
+  }
+
+  // current filter/sort/search/page/browse/modal state in URL form
+  function currentUrlState() {
+    return { ...currentFilters(), page: paging.page, pageSize: paging.pageSize !== defaultPageSize ? paging.pageSize : null, browse, podcastId: modal.openId() };
+  }
+
+  // URL of a browse route; the grid's filters stay in it for the way back
+  function browseHref(next) {
+    return buildAppUrl(location.href, { ...currentUrlState(), browse: next, podcastId: null });
+  }
+
+  // what the genre browser shows, from the current catalog
+  function browseData() {
+    return { summaries: summarizeGenres(catalog.podcasts, catalog.genres, genreIndex), genreIndex, genreList: catalog.genres, episodeCounts };
+  }
+
+  // switch between the podcast grid and the genre browse view (an unknown genre shows the genre tiles)
+  function showBrowse(next) {
+    browse = genreBrowser ? normalizeBrowse(next) : '';
+    if (browse && !genreBrowser.show(browse, browseData())) {
+      browse = 'genres';
+      genreBrowser.show(browse, browseData());
+    }
+    if (!browse && genreBrowser) genreBrowser.hide();
+    catalogParts.forEach(el => el.classList.toggle('browse-hidden', !!browse));
+    updateBrowseLinks();
+    if (!browse) scheduleWindow(); // the virtual grid may have scrolled while hidden
+  }
+
+  // "All podcasts" / "Genres": mark the current one and keep their URLs up to date for opening in a new tab
+  function updateBrowseLinks() {
+    [[browseAll, ''], [browseGenres, 'genres']].forEach(([a, route]) => {
+      if (!a) return;
+      a.href = browseHref(route);
+      if (route ? !browse : browse) a.removeAttribute('aria-current');
+      else a.setAttribute('aria-current', browse === 'genres' || !browse ? 'page' : 'true'); // on a genre's page "Genres" is the section
+    });
+  }
+
+  // the user moved between the grid and the browse view: one history entry per step, focus on the new view
+  function navigateBrowse(next) {
+    showBrowse(next);
+    if (routing) {
+      const url = buildAppUrl(location.href, currentUrlState());
+      if (url !== location.href) history.pushState(null, '', url);
+    }
+    if (browse) genreBrowser.focusHeading();
+    else if (browseAll) browseAll.focus(); // the breadcrumb link that was clicked is gone
+  }
+
+  // mirror filter state into the query string; replaceState so typing doesn't flood the history
+  function syncUrl() {
+    updateBrowseLinks();
+    if (!routing) return;
+    const next = buildAppUrl(location.href, currentUrlState());
+    if (next !== location.href) history.replaceState(history.state, '', next);
+  }
+
+  // put URL or preset state back into the controls (unknown genre ids are ignored; values are already normalised)
+  function restoreControls(state) {
+    searchInput.value = state.q;
+    viewSelect.value = state.view;
+    selectedGenres.clear();
+    state.genres.forEach(id => {
+      if (catalog.genres.some(g => Number(g.id) === id)) selectedGenres.add(id);
+    });
+    genreMatch.value = state.match;
+    updateGenreChips();
+    setPanelFilters(state.updated, state.seasons);
+    setSort(state.q || state.sort !== 'relevance' ? state.sort : DEFAULT_SORT);
+    sortBeforeSearch = state.q ? DEFAULT_SORT : null; // a shared search keeps its sort; clearing it returns to the default
+  }
+
+  // put the URL's page size into effect if the page size select offers it, else the grid's default;
+  // returns whether it changed
+  function restorePageSize(size) {
+    if (paging.mode === 'virtual') return false; // one page holding everything
+    const offered = !pageSizeSelect || Array.from(pageSizeSelect.options).some(o => Number(o.value) === size);
+    const next = size && offered ? size : defaultPageSize;
+    if (next === paging.pageSize) return false;
+    paging.pageSize = next;
+    if (pageSizeSelect) pageSizeSelect.value = String(next);
+    return true;
+  }
+
+  // open or close the modal to match the route in the hash
+  function syncModalToUrl(state) {
+    const p = state.podcastId && findPodcast(state.podcastId);
+    if (p) {
+      if (modal.openId() !== String(p.id)) openModalForPodcast(p);
+    } else if (modal.openId() !== null) {
+      modal.close();
+    }
+  }
+
+  // Back/Forward: restore filters if they differ, then open/close the modal for the route
+  function onPopState() {
+    waitingForPopState = false;
+    const after = runAfterPopState;
+    runAfterPopState = null;
+    if (!catalogReady) return;
+    const state = parseAppUrl(location.href);
+    if (state.browse !== browse) showBrowse(state.browse);
+    syncModalToUrl(state); // first, so the filter sync below writes the right route back
+    const current = currentUrlState();
+    const genresChanged = state.genres.join(',') !== current.genres.join(',') || state.match !== current.match;
+    const panelChanged = state.updated !== current.updated || state.seasons !== current.seasons;
+    const sizeChanged = restorePageSize(state.pageSize);
+    if (state.q !== current.q || state.view !== current.view || genresChanged || state.sort !== current.sort || panelChanged) {
+      restoreControls(state);
+      applyFilters();
+    } else if (sizeChanged) {
+      renderGrid(currentList);
+    }
+    if (state.page !== paging.page) goToPage(state.page);
+    if (after) after();
+  }
+
+  // open a podcast from the grid; with routing, push a #/podcast/<id> history entry so Back closes it.
+  // Picked from the open modal ("You might also like") it replaces that entry, so Back still closes the modal
+  function selectPodcast(p) {
+    const fromModal = modal.openId() !== null;
+    openModalForPodcast(p);
+    if (!routing) return;
+    const next = buildAppUrl(location.href, currentUrlState());
+    if (next === location.href) return;
+    if (fromModal) history.replaceState(history.state, '', next);
+    else history.pushState({ podcastModal: true }, '', next);
+  }
+
+  // user closed the modal (button, backdrop, Escape); afterClose runs once the history has settled
+  function dismissModal(afterClose) {
+    if (modal.openId() === null || waitingForPopState) return; // already closed or closing
+    if (routing && history.state && history.state.podcastModal) {
+      waitingForPopState = true;
+      runAfterPopState = typeof afterClose === 'function' ? afterClose : null;
+      history.back(); // popstate closes the modal, keeping Back/Forward consistent
+      return;
+    }
+    // modal came from a shared link or a reload (or routing is off): drop the route without adding history
+    modal.close();
+    if (routing) history.replaceState(null, '', buildAppUrl(location.href, currentUrlState()));
+    if (typeof afterClose === 'function') afterClose();
+  }
+
+  // show a podcast with its genre names, the words matching the current search and similar shows
+  function openModalForPodcast(p) {
+    visits.markViewed(p.id); // its "New" / "Updated" badge goes once the user has looked
+    const similar = similarPodcasts(similarityIndex, p.id, SIMILAR_LIMIT)
+      .map(({ podcast }) => ({ ...podcast, genres: genresFor(podcast, genreIndex, catalog.genres) }));
+    modal.open(p, { genres: genresFor(p, genreIndex, catalog.genres), terms: matchedTerms(p, searchResults), similar });
+  }
+
+  // replace the grid with a loading or error message (error state gets a retry button)
+  function renderGridStatus(state, message, onRetry) {
+    clearGrid();
+    grid.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+    resultCount.textContent = '';
+    pagination.innerHTML = '';
+    sentinel.hidden = true;
+    grid.appendChild(buildStatus(state, message, onRetry));
+  }
+
+  // load the catalog from the provider, then fill filters and render the grid
+  async function loadCatalog() {
+    renderGridStatus('loading', t('grid.loading'));
+    genreChips.setAttribute('aria-busy', 'true');
+    try {
+      const raw = await provider.load();
+      if (signal.aborted) return; // destroyed while loading
+      catalog = checkCatalog(raw);
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error(err);
+      renderGridStatus('error', `${t('grid.failed')} ${err.message || ''}`.trim(), loadCatalog);
+      return;
+    }
+    catalogReady = true;
+    grid.setAttribute('aria-busy', 'false');
+    genreChips.setAttribute('aria-busy', 'false');
+    genreIndex = buildGenreIndex(catalog.podcasts, catalog.genres);
+    episodeCounts = buildEpisodeIndex(catalog.seasons);
+    searchIndex = buildSearchIndex(catalog, genreIndex);
+    similarityIndex = buildSimilarityIndex(catalog.podcasts, genreIndex);
+    fillGenres();
+    if (!routing) {
+      applyFilters(); // initial grid render
+      showBrowse(browse);
+      return;
+    }
+    const state = parseAppUrl(location.href);
+    restoreControls(state); // restore shared/reloaded state before the first render
+    restorePageSize(state.pageSize);
+    applyFilters(); // initial grid render
+    if (state.page > 1) goToPage(state.page);
+    showBrowse(state.browse);
+    syncModalToUrl(state);
+    syncUrl(); // drop values that didn't survive restoring (e.g. unknown genre) and keep the route
+  }
+
+  // render the visible page of the podcast grid
+  function renderGrid(list) {
+    if (!list || list.length === 0) {
+      clearGrid();
+      const empty = document.createElement('div');
+      empty.textContent = viewSelect.value === 'favourites' && library.ids().length === 0
+        ? t('grid.emptyFavourites')
+        : viewSelect.value === 'offline' && offlineStore.ids().length === 0
+          ? t('grid.emptyOffline')
+          : viewSelect.value === 'new'
+            ? t('grid.emptyNew')
+            : t('grid.empty');
+      empty.style.color = 'var(--muted)';
+      grid.appendChild(empty);
+      renderPagination(paginate([], 1, paging.pageSize, paging.mode));
+      return;
+    }
+
+    const view = paginate(list, paging.page, paging.pageSize, paging.mode);
+    paging.page = view.page; // keep state clamped when the list shrinks
+    visibleItems = view.items;
+    gridFocusIndex = Math.min(gridFocusIndex, visibleItems.length - 1);
+
+    if (paging.mode === 'virtual') renderWindow();
+    else renderCards(visibleItems, 0);
+    renderPagination(view);
+  }
+
+  // drop every card (and the space a virtual grid reserves) before showing a message instead
+  function clearGrid() {
+    grid.innerHTML = '';
+    grid.style.paddingTop = grid.style.paddingBottom = '';
+    visibleItems = [];
+    cards = [];
+  }
+
+  // mount cards for items (visibleItems from index offset on), reusing the cards already in the grid by podcast id
+  function renderCards(items, offset) {
+    cards = reconcileChildren(grid, items, {
+      keyOf: p => p.id,
+      create: () => document.createElement('podcast-preview'),
+      update: (el, p, i) => {
+        el.cardTabIndex = offset + i === gridFocusIndex ? 0 : -1; // only one card is in the Tab order
+        el.podcast = { ...p, genres: genresFor(p, genreIndex, catalog.genres) };
+        el.favourite = library.has(p.id);
+        el.playing = isPlayingPodcast(p.id);
+        el.news = visits.status(p);
+        el.variant = layout;
+        el.highlight = matchedTerms(p, searchResults);
+        syncOfflineBadge(el, offlineStore.has(p.id));
+      },
+    });
+    mountedStart = offset;
+    // the tab stop's card can be scrolled out of a virtual window; keep the grid reachable with Tab
+    if (cards.length && !cards.some(el => el.cardTabIndex === 0)) cards[0].cardTabIndex = 0;
+  }
+
+  // saved layout, else the grid's data-layout
+  function readLayout() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(LAYOUT_STORAGE_KEY);
+    } catch (e) {} // storage blocked
+    if (PodcastPreview.variants.includes(saved)) return saved;
+    return PodcastPreview.variants.includes(grid.dataset.layout) ? grid.dataset.layout : 'card';
+  }
+
+  // switch the grid (and the genre pages) to another card layout, and remember it
+  function setLayout(value) {
+    if (!PodcastPreview.variants.includes(value)) return;
+    layout = value;
+    try {
+      localStorage.setItem(LAYOUT_STORAGE_KEY, layout);
+    } catch (e) {} // keep the choice for this page only
+    showLayout();
+    cards.forEach(el => {
+      el.variant = layout;
+    });
+    if (genreBrowser) genreBrowser.refresh(browseData());
+    if (paging.mode === 'virtual') {
+      cardHeight = 0; // rows change height with the layout: measure again
+      grid.style.gridAutoRows = '';
+      scheduleWindow();
+    }
+  }
+
+  // grid layout attribute and the toggle's pressed button
+  function showLayout() {
+    grid.dataset.layout = layout;
+    if (!layoutToggle) return;
+    layoutToggle.querySelectorAll('[data-layout]').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.layout === layout));
+    });
+  }
+
+  // distance from one grid row to the next in virtual mode
+  function rowStride() {
+    return (cardHeight || VIRTUAL_CARD_HEIGHT) + (parseFloat(getComputedStyle(grid).rowGap) || 0);
+  }
+
+  // virtual mode: mount only the rows around the viewport (or around item centreOn, before focusing it);
+  // padding above and below stands in for the rest
+  function renderWindow(centreOn) {
+    const stride = rowStride();
+    const columns = gridColumnCount();
+    const range = virtualWindow({
+      total: visibleItems.length,
+      columns,
+      rowHeight: stride,
+      viewportTop: centreOn === undefined
+        ? -grid.getBoundingClientRect().top
+        : Math.floor(centreOn / columns) * stride - (window.innerHeight - stride) / 2,
+      viewportHeight: window.innerHeight,
+    });
+    grid.style.paddingTop = `${range.padStart}px`;
+    grid.style.paddingBottom = `${range.padEnd}px`;
+    renderCards(visibleItems.slice(range.start, range.end), range.start);
+
+    // rows share one height: grow it to the tallest card seen, then lay the window out again
+    const tallest = Math.max(0, ...cards.map(el => el.offsetHeight));
+    if (tallest > cardHeight) {
+      cardHeight = tallest;
+      grid.style.gridAutoRows = `${cardHeight}px`;
+      scheduleWindow();
+    }
+  }
+
+  // re-render the virtual window once per frame while scrolling or resizing
+  function scheduleWindow() {
+    if (windowFrame || paging.mode !== 'virtual') return;
+    windowFrame = requestAnimationFrame(() => {
+      windowFrame = 0;
+      if (visibleItems.length && !browse) renderWindow();
+    });
+  }
+
+  // render "Showing X of Y" plus the paging control for the current mode
+  function renderPagination(view) {
+    resultCount.textContent = view.total === 0
+      ? ''
+      : paging.mode === 'pages'
+        ? t('results.range', { start: view.start + 1, end: view.end, total: view.total })
+        : t('results.count', { shown: view.end, total: view.total });
+
+    pagination.innerHTML = '';
+    const hasMore = view.end < view.total;
+
+    if (paging.mode === 'pages') {
+      if (view.pageCount > 1) renderPageNumbers(view);
+    } else if (hasMore && (paging.mode === 'load-more' || !('IntersectionObserver' in window))) {
+      // load-more mode, and the fallback for infinite mode in browsers without IntersectionObserver
+      const more = document.createElement('button');
+      more.type = 'button';
+      more.className = 'page-btn load-more';
+      more.textContent = t('pagination.more');
+      more.addEventListener('click', () => goToPage(view.page + 1));
+      pagination.appendChild(more);
+    }
+
+    sentinel.hidden = !(paging.mode === 'infinite' && hasMore); // only observe while more pages exist
+    if (scrollObserver && !sentinel.hidden) {
+      // re-observe so a sentinel that is still on screen after rendering triggers the next page too
+      scrollObserver.unobserve(sentinel);
+      scrollObserver.observe(sentinel);
+    }
+  }
+
+  // previous / numbered / next buttons for "pages" mode
+  function renderPageNumbers(view) {
+    const addBtn = (label, page, opts = {}) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'page-btn';
+      btn.textContent = label;
+      if (opts.ariaLabel) btn.setAttribute('aria-label', opts.ariaLabel);
+      if (opts.current) btn.setAttribute('aria-current', 'page');
+      btn.disabled = !!opts.disabled;
+      btn.addEventListener('click', () => {
+        goToPage(page);
+        grid.scrollIntoView({ block: 'start', behavior: 'smooth' }); // bring the new page into view
+      });
+      pagination.appendChild(btn);
+    };
+
+    const rtl = localeDirection() === 'rtl'; // arrows point the way the row reads
+    addBtn(rtl ? '›' : '‹', view.page - 1, { ariaLabel: t('pagination.previous'), disabled: view.page === 1 });
+    for (let i = 1; i <= view.pageCount; i++) {
+      addBtn(formatNumber(i), i, { ariaLabel: t('pagination.page', { page: i }), current: i === view.page });
+    }
+    addBtn(rtl ? '‹' : '›', view.page + 1, { ariaLabel: t('pagination.next'), disabled: view.page === view.pageCount });
+  }
+
+  // number of grid columns at the current breakpoint
+  function gridColumnCount() {
+    const columns = getComputedStyle(grid).gridTemplateColumns || '';
+    const repeat = columns.match(/^repeat\((\d+)/); // unresolved value (no layout, e.g. tests)
+    if (repeat) return Number(repeat[1]);
+    return Math.max(1, columns.split(' ').filter(Boolean).length);
+  }
+
+  // move the roving tab stop to the card at index (clamped) and focus it
+  function focusGridCard(index) {
+    if (!visibleItems.length) return;
+    gridFocusIndex = Math.min(Math.max(0, index), visibleItems.length - 1);
+    const mounted = gridFocusIndex >= mountedStart && gridFocusIndex < mountedStart + cards.length;
+    if (paging.mode === 'virtual' && !mounted) renderWindow(gridFocusIndex); // focus() then scrolls it into view
+    cards.forEach((el, i) => {
+      el.cardTabIndex = mountedStart + i === gridFocusIndex ? 0 : -1;
+    });
+    const card = cards[gridFocusIndex - mountedStart];
+    if (card) card.focus();
+  }
+
+  // arrow keys move between cards (left/right follow the reading direction), Home/End within a row,
+  // Ctrl+Home/End to the first / last card
+  function onGridKeydown(e) {
+    const origin = e.composedPath()[0];
+    if (!(origin instanceof Element) || !origin.classList.contains('open')) return; // keys on a card's other buttons are theirs
+    const cols = gridColumnCount();
+    const count = visibleItems.length; // in virtual mode this includes cards that aren't mounted
+    const rtl = localeDirection() === 'rtl';
+    const i = gridFocusIndex;
+    const rowStart = i - (i % cols);
+    const moves = {
+      ArrowRight: rtl ? i - 1 : i + 1,
+      ArrowLeft: rtl ? i + 1 : i - 1,
+      ArrowDown: i + cols,
+      ArrowUp: i - cols,
+      Home: e.ctrlKey ? 0 : rowStart,
+      End: e.ctrlKey ? count - 1 : Math.min(rowStart + cols, count) - 1,
+    };
+    if (!(e.key in moves)) return;
+    e.preventDefault(); // don't scroll the page
+    const next = moves[e.key];
+    if (next >= 0 && next < count) focusGridCard(next);
+  }
+
+  // keep the tab stop on whichever card received focus (click, Tab, focus restored after the modal)
+  function onGridFocusin(e) {
+    const position = cards.indexOf(e.target);
+    if (position === -1) return;
+    gridFocusIndex = mountedStart + position;
+    cards.forEach((el, i) => {
+      el.cardTabIndex = i === position ? 0 : -1;
+    });
+  }
+
+  // true when keys typed into the target should not trigger shortcuts
+  function isTypingTarget(el) {
+    if (!(el instanceof Element)) return false;
+    if (el.isContentEditable) return true;
+    if (el.matches('textarea, select')) return true;
+    return el.matches('input') && !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'file'].includes(el.type);
+  }
+
+  // global shortcuts: / search, g genre filter, o open the focused card, ? help (Escape is handled by the dialog controller)
+  function onShortcutKey(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+    if (e.key === '?' && shortcutsDialog && !dialogs.isOpen(shortcutsDialog)) {
+      e.preventDefault();
+      openShortcutsDialog(); // also from the podcast modal: the help stacks on top of it
+      return;
+    }
+    if (dialogs.isOpen()) return; // the rest only apply to the page itself
+    if (browse && (e.key === '/' || e.key === 'g')) navigateBrowse(''); // search and genre chips belong to the grid
+    if (e.key === '/') {
+      e.preventDefault(); // don't type the slash into the box
+      searchInput.focus();
+      searchInput.select();
+    } else if (e.key === 'g') {
+      const chip = genreChips.querySelector('.genre-chip[aria-pressed="true"]') || genreChips.querySelector('.genre-chip');
+      if (chip) chip.focus();
+    } else if (e.key === 'o') {
+      const el = document.activeElement;
+      const p = el && el.localName === 'podcast-preview' && root.contains(el) && findPodcast(el.pid); // grid or genre page
+      if (p) selectPodcast(p);
+    }
+  }
+
+  function openShortcutsDialog() {
+    dialogs.open(shortcutsDialog, { initialFocus: shortcutsClose });
+  }
+
+  function closeShortcutsDialog() {
+    dialogs.close(shortcutsDialog);
+  }
+
+  // infinite mode: reveal the next page whenever the sentinel below the grid scrolls into view
+  function setupInfiniteScroll() {
+    if (paging.mode !== 'infinite' || !('IntersectionObserver' in window)) return;
+    scrollObserver = new IntersectionObserver(entries => {
+      if (entries.some(e => e.isIntersecting) && !sentinel.hidden) goToPage(paging.page + 1);
+    }, { rootMargin: '200px 0px' });
+    scrollObserver.observe(sentinel);
+  }
+
+  // after any library change: refresh stars on visible cards and the favourites view (the modal syncs itself)
+  function onLibraryChange() {
+    grid.querySelectorAll('podcast-preview').forEach(el => {
+      el.favourite = library.has(el.pid);
+    });
+    if (viewSelect.value === 'favourites') applyFilters();
+  }
+
+  // "available offline" badge in a card's badge slot
+  function syncOfflineBadge(el, saved) {
+    const badge = el.querySelector('.offline-badge');
+    if (saved && !badge) {
+      const span = document.createElement('span');
+      span.slot = 'badge';
+      span.className = 'offline-badge';
+      span.textContent = '⤓';
+      span.title = t('offline.badge');
+      span.setAttribute('aria-label', t('offline.badge'));
+      el.appendChild(span);
+    } else if (!saved && badge) {
+      badge.remove();
+    }
+  }
+
+  // after any offline store change: badges and the saved-for-offline view
+  function onOfflineChange() {
+    grid.querySelectorAll('podcast-preview').forEach(el => syncOfflineBadge(el, offlineStore.has(el.pid)));
+    if (viewSelect.value === 'offline') applyFilters();
+  }
+
+  // download the library as a JSON file
+  function exportLibrary() {
+    const blob = new Blob([library.exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'podcast-library.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // text for a failed import: errors thrown with a message key as their code (library.js, feedImport.js) in the active language
+  function errorText(err) {
+    return err && err.code ? t(err.code) : String((err && err.message) || err);
+  }
+
+  // merge a chosen JSON file into the library
+  function importLibrary(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const added = library.importJSON(String(reader.result));
+        libraryStatus.textContent = added ? t('library.imported', { count: added }) : t('library.nothingNew');
+      } catch (err) {
+        libraryStatus.textContent = t('library.importFailed', { message: errorText(err) });
+      }
+    };
+    reader.onerror = () => {
+      libraryStatus.textContent = t('file.readFailed');
+    };
+    reader.readAsText(file);
+  }
+
+  // true while a track from this podcast is playing
+  function isPlayingPodcast(id) {
+    const track = player.current();
+    return !!track && player.isPlaying() && track.podcastId === String(id);
+  }
+
+  // after a show was opened or everything marked as seen: news badges on cards and the "Mark all as seen" button.
+  // The what's new view keeps an opened show until the next filter change, so closing the modal returns to its card
+  function onVisitsChange() {
+    grid.querySelectorAll('podcast-preview').forEach(el => {
+      const p = findPodcast(el.pid);
+      el.news = p ? visits.status(p) : '';
+    });
+    if (genreBrowser) genreBrowser.updateCards();
+    updateMarkSeen();
+  }
+
+  // "Mark all as seen" is offered while some show has news
+  function updateMarkSeen() {
+    if (markSeen) markSeen.hidden = !catalog.podcasts.some(p => visits.status(p));
+  }
+
+  function markAllSeen() {
+    visits.markAllSeen();
+    if (viewSelect.value === 'new' || sortSelect.value === 'news') applyFilters();
+    viewSelect.focus(); // the button hides itself
+    announce(t('news.markedSeen'));
+  }
+
+  // after any player change: "now playing" badges on cards (the modal updates its own play buttons)
+  function onPlayerChange() {
+    grid.querySelectorAll('podcast-preview').forEach(el => {
+      el.playing = isPlayingPodcast(el.pid);
+    });
+    if (genreBrowser) genreBrowser.updateCards();
+  }
+
+  // "Add feed" dialog: paste XML or pick a local .xml/.rss file
+  function openFeedDialog() {
+    feedForm.reset();
+    feedError.textContent = '';
+    dialogs.open(feedDialog, { initialFocus: feedXml });
+  }
+
+  function closeFeedDialog() {
+    dialogs.close(feedDialog);
+  }
+
+  // read the pasted text, or the chosen file when one was picked
+  function readFeedInput() {
+    const file = feedFile.files && feedFile.files[0];
+    if (!file) return Promise.resolve(feedXml.value);
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result));
+      reader.onerror = () => reject(Object.assign(new Error('file.readFailed'), { code: 'file.readFailed' }));
+      reader.readAsText(file);
+    });
+  }
+
+  // parse the feed, merge it into the catalog and show it
+  async function importFeed(e) {
+    e.preventDefault();
+    feedError.textContent = '';
+    let parsed;
+    try {
+      const text = await readFeedInput();
+      if (!text.trim()) throw Object.assign(new Error('feed.empty'), { code: 'feed.empty' });
+      parsed = parseFeed(text, catalog.genres);
+    } catch (err) {
+      feedError.textContent = errorText(err);
+      return;
+    }
+    catalog = checkCatalog(mergeFeedIntoCatalog(catalog, parsed));
+    genreIndex = buildGenreIndex(catalog.podcasts, catalog.genres);
+    episodeCounts = buildEpisodeIndex(catalog.seasons);
+    searchIndex = buildSearchIndex(catalog, genreIndex);
+    similarityIndex = buildSimilarityIndex(catalog.podcasts, genreIndex);
+    fillGenres(); // new categories may have added genres; selection is kept
+    applyFilters();
+    if (genreBrowser) genreBrowser.refresh(browseData());
+    closeFeedDialog();
+    const imported = findPodcast(parsed.podcast.id); // the normalized entry the grid shows; gone if validation dropped it
+    if (imported) selectPodcast(imported); // show what was imported
+  }
+
+  // true when the nearest mounted app around the event's target is this one
+  function ownsEvent(evt) {
+    let node = evt.target;
+    while (node && !mountedRoots.has(node)) node = node.parentNode;
+    return node === root;
+  }
+
+  // initialize listeners; card events bubble (composed) to the root
+  root.addEventListener('podcast-selected', evt => {
+    if (!ownsEvent(evt)) return;
+    const p = evt.detail && findPodcast(evt.detail.id);
+    if (p) selectPodcast(p);
+  }, { signal });
+
+  player.onChange(onPlayerChange);
+  if (shortcuts) document.addEventListener('keydown', onShortcutKey, { signal });
+  grid.addEventListener('keydown', onGridKeydown, { signal });
+  grid.addEventListener('focusin', onGridFocusin, { signal });
+  if (shortcutsOpen) shortcutsOpen.addEventListener('click', openShortcutsDialog, { signal });
+  if (shortcutsClose) shortcutsClose.addEventListener('click', closeShortcutsDialog, { signal });
+  if (routing) window.addEventListener('popstate', onPopState, { signal });
+
+  genreChips.addEventListener('click', e => {
+    const chip = e.target.closest('.genre-chip');
+    if (chip) setGenreSelected(chip.dataset.genreId);
+  }, { signal });
+  genreMatch.addEventListener('change', applyFilters, { signal });
+  viewSelect.addEventListener('change', applyFilters, { signal });
+
+  // "All podcasts" / "Genres"; modified clicks still open the link in a new tab
+  [[browseAll, ''], [browseGenres, 'genres']].forEach(([a, route]) => {
+    if (!a) return;
+    a.addEventListener('click', e => {
+      if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      if (route !== browse) navigateBrowse(route);
+    }, { signal });
+  });
+
+  // advanced filters: update recency, season range and saved presets
+  if (filterPanel) {
+    filtersToggle.addEventListener('click', () => {
+      const open = filterPanel.hidden;
+      filterPanel.hidden = !open;
+      filtersToggle.setAttribute('aria-expanded', String(open));
+    }, { signal });
+    updatedSelect.addEventListener('change', () => {
+      updateFilterPanel();
+      if (updatedSelect.value === 'custom') updatedFrom.focus(); // the range applies once a date is picked
+      applyFilters();
+    }, { signal });
+    updatedFrom.addEventListener('change', applyFilters, { signal });
+    updatedTo.addEventListener('change', applyFilters, { signal });
+    const onSeasonsInput = debounce(applyFilters, 180);
+    seasonsMin.addEventListener('input', onSeasonsInput, { signal });
+    seasonsMax.addEventListener('input', onSeasonsInput, { signal });
+    presetSave.addEventListener('click', savePreset, { signal });
+    presetName.addEventListener('keydown', e => {
+      if (e.key === 'Enter') savePreset();
+    }, { signal });
+    presetDelete.addEventListener('click', deletePreset, { signal });
+  }
+  if (presetSelect) {
+    presetSelect.addEventListener('change', () => {
+      if (presetSelect.value) applyPreset(presetSelect.value);
+    }, { signal });
+    presets.onChange(fillPresets);
+    fillPresets();
+  }
+
+  // favourites: star on cards, export / import of the library
+  library.onChange(onLibraryChange);
+  visits.onChange(onVisitsChange);
+  if (markSeen) markSeen.addEventListener('click', markAllSeen, { signal });
+  root.addEventListener('favourite-toggled', evt => {
+    if (!ownsEvent(evt)) return;
+    const p = evt.detail && findPodcast(evt.detail.id);
+    if (p) library.toggle(p, evt.detail.favourite);
+  }, { signal });
+  offlineStore.onChange(onOfflineChange);
+  if (offlineBanner) watchConnection(offlineBanner, null, { signal });
+  if (feedOpen) {
+    feedOpen.addEventListener('click', openFeedDialog, { signal });
+    feedCancel.addEventListener('click', closeFeedDialog, { signal });
+    feedForm.addEventListener('submit', importFeed, { signal });
+  }
+
+  if (libraryExport) {
+    libraryExport.addEventListener('click', exportLibrary, { signal });
+    libraryImport.addEventListener('click', () => libraryFile.click(), { signal });
+    libraryFile.addEventListener('change', () => {
+      if (libraryFile.files && libraryFile.files[0]) importLibrary(libraryFile.files[0]);
+      libraryFile.value = ''; // allow importing the same file again
+    }, { signal });
+  }
+  genreClear.addEventListener('click', () => {
+    selectedGenres.clear();
+    updateGenreChips();
+    applyFilters();
+  }, { signal });
+
+  // genre pills on cards add that genre to the filter (the modal's pills go through onGenre above)
+  root.addEventListener('genre-selected', evt => {
+    if (evt.detail && ownsEvent(evt)) setGenreSelected(evt.detail.id, true);
+  }, { signal });
+  // picking a sort starts in its natural direction (newest, most, A→Z); the toggle reverses it
+  sortSelect.addEventListener('change', () => {
+    setSort(formatSort(sortSelect.value));
+    applyFilters();
+  }, { signal });
+  if (sortDirection) {
+    sortDirection.addEventListener('click', () => {
+      sortDir = sortDir === 'asc' ? 'desc' : 'asc';
+      applyFilters();
+    }, { signal });
+  }
+  setSort(DEFAULT_SORT);
+  searchInput.addEventListener('input', debounce(applyFilters, 180), { signal });
+
+  // the virtual grid scrolls through every result, so it has no pages; cards mounting while scrolling
+  // shouldn't be read out either (result counts go through #live-status)
+  if (paging.mode === 'virtual') {
+    grid.removeAttribute('aria-live');
+    document.addEventListener('scroll', scheduleWindow, { capture: true, passive: true, signal }); // the page or any scrolling ancestor
+    window.addEventListener('resize', scheduleWindow, { signal });
+    if (pageSizeSelect) pageSizeSelect.hidden = true;
+  }
+
+  // page size select is optional; the grid's data-page-size is the default
+  if (pageSizeSelect && paging.mode !== 'virtual') {
+    pageSizeSelect.value = String(paging.pageSize);
+    pageSizeSelect.addEventListener('change', () => {
+      paging.pageSize = Number(pageSizeSelect.value) || paging.pageSize;
+      paging.page = 1;
+      renderGrid(currentList);
+      syncUrl();
+    }, { signal });
+  }
+  setupInfiniteScroll();
+
+  showLayout();
+  if (layoutToggle) {
+    layoutToggle.addEventListener('click', e => {
+      const btn = e.target.closest('[data-layout]');
+      if (btn) setLayout(btn.dataset.layout);
+    }, { signal });
+  }
+
+  // theme picker; theme.js is a classic script (it must run before first paint), so its functions are globals
+  if (themeSelect && typeof window.setThemePreference === 'function') {
+    themeSelect.value = window.getThemePreference();
+    themeSelect.addEventListener('change', () => window.setThemePreference(themeSelect.value), { signal });
+  }
+  // language picker (i18n.js persists the choice, sets lang / dir and translates data-i18n markup)
+  if (localeSelect) {
+    availableLocales().forEach(({ code, name }) => {
+      const opt = document.createElement('option');
+      opt.value = code;
+      opt.lang = code;
+      opt.textContent = name; // each language is listed in its own name
+      localeSelect.appendChild(opt);
+    });
+    localeSelect.value = getLocale();
+    localeSelect.addEventListener('change', () => setLocale(localeSelect.value), { signal });
+  }
+  // redraw generated text in the new language: re-sort titles and the grid footer (the modal redraws itself)
+  document.addEventListener('locale-changed', () => {
+    if (!catalogReady) return;
+    const page = paging.page;
+    applyFilters(); // title order depends on the locale's collation
+    if (page > 1) goToPage(page);
+  }, { signal });
+
+  if (searchBtn) {
+    searchBtn.addEventListener('click', () => {
+      try { searchInput.focus(); } catch (e) {}
+    }, { signal });
+  }
+
+  return {
+    ready: loadCatalog(), // fetch data, then fill filters and render the grid
+    /**
+     * Open a podcast's modal by id (with routing, as if its card was clicked).
+     * @param {string|number} id
+     * @returns {boolean} false when the podcast isn't in the catalog (yet)
+     */
+    openPodcast(id) {
+      const p = findPodcast(id);
+      if (p) selectPodcast(p);
+      return !!p;
+    },
+    /** Re-run the current search, filters and sort (e.g. after changing controls from outside). */
+    refresh: applyFilters,
+    /**
+     * Unmount the app: close its dialogs, stop playback, remove every listener it added and empty what it rendered
+     * (grid, paging, genre chips, filter chips), so the markup can be removed or mounted again.
+     */
+    destroy() {
+      if (signal.aborted) return;
+      lifetime.abort();
+      if (scrollObserver) scrollObserver.disconnect();
+      cancelAnimationFrame(windowFrame);
+      clearGrid();
+      [pagination, genreChips, activeFilters].forEach(el => {
+        if (el) el.innerHTML = '';
+      });
+      resultCount.textContent = '';
+      sentinel.hidden = true;
+      if (genreBrowser) genreBrowser.hide();
+      catalogParts.forEach(el => el.classList.remove('browse-hidden'));
+      if (dev) showProblemOverlay(root, []);
+      mountedRoots.delete(root);
+    },
+  };
+}
@@ -0,0 +1,141 @@
+// ----- benchmark.js -----
+// Grid rendering benchmark (benchmark.html)
+// Renders a generated catalog the way the grid used to (clear it, then create every card with its own
+// <style>) and the ways it does now (shared stylesheet, keyed reuse, virtual window), and reports the
+// median time of each. Timings include style and layout, forced by reading the stage's height.
+
+import { PodcastPreview } from './PodcastPreview.js';
+import { reconcileChildren, virtualWindow } from './gridView.js';
+
+const RUNS = 5; // timed runs per scenario; the median is reported
+const COVER = 'data:image/svg+xml;utf8,' + encodeURIComponent("<svg xmlns='http://www.w3.org/2000/svg' width='4' height='3'><rect width='4' height='3' fill='#6366f1'/></svg>"); // no network
+const WORDS = ['History', 'Crime', 'Science', 'Comedy', 'Daily', 'Stories', 'Inside', 'Hidden', 'Truth', 'Weekly', 'Tales', 'Files'];
+const GENRES = ['True Crime', 'History', 'Comedy', 'Science', 'News', 'Kids and Family'].map((title, i) => ({ id: i + 1, title }));
+
+const stage = document.getElementById('bench-stage');
+const results = document.getElementById('bench-results');
+const status = document.getElementById('bench-status');
+const sizeSelect = document.getElementById('bench-size');
+const runBtn = document.getElementById('bench-run');
+
+/**
+ * Generate a catalog in data.js shape (genres already resolved to { id, title }, as the grid passes them).
+ * @param {number} count
+ * @returns {Array}
+ */
+function makeCatalog(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: String(i + 1),
+    title: `${WORDS[i % WORDS.length]} ${WORDS[(i * 7) % WORDS.length]} ${i + 1}`,
+    image: COVER,
+    seasons: (i % 12) + 1,
+    updated: new Date(Date.UTC(2024, 0, 1) - i * 86400000).toISOString(),
+    genres: [GENRES[i % GENRES.length], GENRES[(i + 2) % GENRES.length]],
+  }));
+}
+
+// a card for p, set up like the app sets up the grid's cards
+function createCard(p) {
+  const el = document.createElement('podcast-preview');
+  el.podcast = p;
+  return el;
+}
+
+// the grid's reconcile options: reuse by id, refresh the data on every card
+const keyed = {
+  keyOf: p => p.id,
+  create: () => document.createElement('podcast-preview'),
+  update: (el, p) => {
+    el.podcast = p;
+  },
+};
+
+// force style recalculation and layout of everything mounted
+function settle() {
+  return stage.offsetHeight;
+}
+
+// wait a frame so the page stays responsive (and paints) between runs
+function nextFrame() {
+  return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+}
+
+// the old renderGrid: wipe the grid, then create every card
+function rebuild(list) {
+  stage.innerHTML = '';
+  list.forEach(p => stage.appendChild(createCard(p)));
+}
+
+// what the virtual grid mounts at the top of the list: the rows that fit the window, plus overscan
+function windowOf(list) {
+  const range = virtualWindow({ total: list.length, columns: 4, rowHeight: 380, viewportTop: 0, viewportHeight: window.innerHeight });
+  return list.slice(range.start, range.end);
+}
+
+/**
+ * Time one scenario: setup() runs untimed before each run, then run() is timed up to the next layout.
+ * @param {{name: string, setup?: Function, run: Function}} scenario
+ * @returns {Promise<{name: string, median: number, cards: number, styles: number}>}
+ */
+async function measure({ name, setup, run }) {
+  const times = [];
+  for (let i = 0; i < RUNS; i++) {
+    stage.innerHTML = '';
+    if (setup) setup();
+    settle();
+    await nextFrame();
+    const start = performance.now();
+    run();
+    settle();
+    times.push(performance.now() - start);
+    await nextFrame();
+  }
+  times.sort((a, b) => a - b);
+  const mounted = Array.from(stage.querySelectorAll('podcast-preview'));
+  return {
+    name,
+    median: times[Math.floor(times.length / 2)],
+    cards: mounted.length,
+    styles: mounted.reduce((n, el) => n + el.shadowRoot.querySelectorAll('style').length, 0),
+  };
+}
+
+// append one result row
+function report({ name, median, cards, styles }) {
+  const row = results.insertRow();
+  [name, cards.toLocaleString(), styles.toLocaleString(), median.toFixed(1)].forEach(text => {
+    row.insertCell().textContent = text;
+  });
+}
+
+// run every scenario for the chosen catalog size
+async function runAll() {
+  const catalog = makeCatalog(Number(sizeSelect.value));
+  const filtered = catalog.filter(p => p.title.includes('History')); // typing narrows the grid to a subset...
+  const scenarios = [
+    { name: 'Initial render: rebuild, <style> per card (before)', shared: false, run: () => rebuild(catalog) },
+    { name: 'Initial render: rebuild, shared stylesheet', shared: true, run: () => rebuild(catalog) },
+    { name: 'Initial render: virtual window', shared: true, run: () => reconcileChildren(stage, windowOf(catalog), keyed) },
+    { name: 'Narrow the search: rebuild, <style> per card (before)', shared: false, setup: () => rebuild(catalog), run: () => rebuild(filtered) },
+    { name: 'Narrow the search: keyed reuse', shared: true, setup: () => reconcileChildren(stage, catalog, keyed), run: () => reconcileChildren(stage, filtered, keyed) },
+    { name: 'Narrow the search: virtual window', shared: true, setup: () => reconcileChildren(stage, windowOf(catalog), keyed), run: () => reconcileChildren(stage, windowOf(filtered), keyed) },
+    // ...and clearing it brings everything back, where reuse keeps the subset's cards
+    { name: 'Clear the search: rebuild, <style> per card (before)', shared: false, setup: () => rebuild(filtered), run: () => rebuild(catalog) },
+    { name: 'Clear the search: keyed reuse', shared: true, setup: () => reconcileChildren(stage, filtered, keyed), run: () => reconcileChildren(stage, catalog, keyed) },
+    { name: 'Clear the search: virtual window', shared: true, setup: () => reconcileChildren(stage, windowOf(filtered), keyed), run: () => reconcileChildren(stage, windowOf(catalog), keyed) },
+  ];
+
+  runBtn.disabled = true;
+  results.innerHTML = '';
+  for (const scenario of scenarios) {
+    status.textContent = `Running: ${scenario.name}…`;
+    PodcastPreview.sharedStyles = scenario.shared; // only affects cards created from now on
+    report(await measure(scenario));
+  }
+  PodcastPreview.sharedStyles = true;
+  stage.innerHTML = '';
+  status.textContent = `Done: ${catalog.length.toLocaleString()} shows, ${filtered.length.toLocaleString()} after filtering, median of ${RUNS} runs.`;
+  runBtn.disabled = false;
+}
+
+runBtn.addEventListener('click', runAll);
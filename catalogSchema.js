@@ -0,0 +1,275 @@
+// ----- catalogSchema.js -----
+// Catalog validation and normalization for the PodcastApp
+// validateCatalog() checks a { podcasts, genres, seasons } catalog against CATALOG_SCHEMA and returns a
+// normalized copy (string podcast ids, number genre ids, ISO dates, genre membership agreed on both sides)
+// together with a list of the problems it found. Nothing here touches the DOM, so lintCatalog.js runs it under Node.
+
+/**
+ * What a catalog record looks like, field by field.
+ * `type` is a value type of FIELD_TYPES or `list` (with `of`: a value type or another record of this schema).
+ * `required` fields drop the record (an error) when missing or invalid; `recommended` ones only warn.
+ * Missing fields take `default` when there is one and are left out otherwise; fields not listed are kept as they are.
+ */
+export const CATALOG_SCHEMA = {
+  podcast: {
+    id: { type: 'podcastId', required: true },
+    title: { type: 'string', recommended: true, default: '' },
+    description: { type: 'string', default: '' },
+    image: { type: 'string', default: '' },
+    seasons: { type: 'count' },
+    genres: { type: 'list', of: 'genreId', default: [] },
+    updated: { type: 'date' },
+  },
+  genre: {
+    id: { type: 'genreId', required: true },
+    title: { type: 'string', recommended: true, default: '' },
+    description: { type: 'string', default: '' },
+    shows: { type: 'list', of: 'podcastId', default: [] },
+  },
+  seasonsEntry: {
+    id: { type: 'podcastId', required: true },
+    seasonDetails: { type: 'list', of: 'season', default: [] },
+  },
+  season: {
+    title: { type: 'string', default: '' },
+    episodes: { type: 'count' },
+    file: { type: 'string' },
+    episodeDetails: { type: 'list', of: 'episode' },
+  },
+  episode: {
+    episode: { type: 'count' },
+    title: { type: 'string', default: '' },
+    description: { type: 'string' },
+    duration: { type: 'count' },
+    file: { type: 'string' },
+    date: { type: 'date' },
+  },
+};
+
+// value types: each coerces a raw value, returning undefined when it can't be read as that type
+const FIELD_TYPES = {
+  string: v => (typeof v === 'string' ? v : typeof v === 'number' && Number.isFinite(v) ? String(v) : undefined),
+  // podcast ids are compared as strings everywhere; data.js has a mix of "10716" and 10716
+  podcastId: v => (typeof v === 'string' && v.trim() ? v.trim() : Number.isFinite(v) ? String(v) : undefined),
+  genreId: v => {
+    const n = typeof v === 'string' && v.trim() ? Number(v) : v;
+    return Number.isInteger(n) && n > 0 ? n : undefined;
+  },
+  count: v => {
+    const n = typeof v === 'string' && v.trim() ? Number(v) : v;
+    return Number.isInteger(n) && n >= 0 ? n : undefined;
+  },
+  date: v => {
+    if (typeof v !== 'string' && typeof v !== 'number') return undefined;
+    const d = new Date(v);
+    return isNaN(d) ? undefined : d.toISOString();
+  },
+};
+
+/**
+ * One line of text for a problem, as the console and lintCatalog.js print it.
+ * @param {{level: string, code: string, path: string, message: string}} problem
+ * @returns {string} e.g. "warning podcasts[4].updated (invalid): ..."
+ */
+export function formatProblem({ level, code, path, message }) {
+  return `${level} ${path} (${code}): ${message}`;
+}
+
+/**
+ * Count the problems of each level.
+ * @param {Array<{level: string}>} problems
+ * @returns {string} e.g. "0 errors, 35 warnings"
+ */
+export function summarizeProblems(problems) {
+  const errors = problems.filter(p => p.level === 'error').length;
+  const warnings = problems.length - errors;
+  return `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+}
+
+/**
+ * Validate and normalize one record against a record of CATALOG_SCHEMA.
+ * @param {*} value - the raw record
+ * @param {string} name - record name in CATALOG_SCHEMA, e.g. "podcast"
+ * @param {string} path - where the record is, for problem paths, e.g. "podcasts[3]"
+ * @param {Array} [problems] - problems are appended here
+ * @returns {Object|null} normalized copy, or null when the record is unusable (an error was reported)
+ */
+export function validateRecord(value, name, path, problems = []) {
+  const schema = CATALOG_SCHEMA[name];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    problems.push(problem('error', 'invalid', path, `Expected a ${name} object, got ${describe(value)}; skipped`));
+    return null;
+  }
+  const out = { ...value };
+  for (const [field, rule] of Object.entries(schema)) {
+    const at = `${path}.${field}`;
+    const raw = value[field];
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) {
+        problems.push(problem('error', 'missing', at, `No ${field}, which every ${name} needs; skipped`));
+        return null;
+      }
+      if (rule.recommended) problems.push(problem('warning', 'missing', at, `No ${field}`));
+      if (rule.default !== undefined) out[field] = Array.isArray(rule.default) ? [] : rule.default;
+      else delete out[field];
+      continue;
+    }
+    const coerced = rule.type === 'list' ? validateList(raw, rule.of, at, problems) : FIELD_TYPES[rule.type](raw);
+    if (coerced === undefined) {
+      const level = rule.required ? 'error' : 'warning';
+      problems.push(problem(level, 'invalid', at, `Expected ${article(rule.type)}, got ${describe(raw)}${rule.required ? '; skipped' : ''}`));
+      if (rule.required) return null;
+      if (rule.default !== undefined) out[field] = Array.isArray(rule.default) ? [] : rule.default;
+      else delete out[field];
+      continue;
+    }
+    out[field] = coerced;
+  }
+  return out;
+}
+
+// a list field: items that can't be read are dropped (a warning each), repeated values silently
+function validateList(raw, of, path, problems) {
+  if (!Array.isArray(raw)) return undefined;
+  const out = [];
+  raw.forEach((item, i) => {
+    const at = `${path}[${i}]`;
+    if (CATALOG_SCHEMA[of]) {
+      const record = validateRecord(item, of, at, problems);
+      if (record) out.push(record);
+      return;
+    }
+    const coerced = FIELD_TYPES[of](item);
+    if (coerced === undefined) problems.push(problem('warning', 'invalid', at, `Expected ${article(of)}, got ${describe(item)}; dropped`));
+    else if (!out.includes(coerced)) out.push(coerced);
+  });
+  return out;
+}
+
+/**
+ * Validate a catalog and return a normalized copy of it.
+ * Besides checking each record against CATALOG_SCHEMA it
+ * - drops records whose id repeats an earlier one, and references to podcasts or genres that aren't in the catalog
+ * - reconciles genre membership: a podcast is in a genre when either `podcast.genres` or `genre.shows` says so,
+ *   and both sides are filled in (each one-sided entry is a warning)
+ * - fills in `seasons` / `episodes` counts from the details when they're missing, and warns where they disagree
+ * @param {{podcasts?: Array, genres?: Array, seasons?: Array}} raw - data.js shapes
+ * @returns {{catalog: {podcasts: Array, genres: Array, seasons: Array}, problems: Array<{level: string, code: string, path: string, message: string}>}}
+ *   level is "error" (a record was skipped) or "warning" (a value was fixed, dropped or looks wrong)
+ */
+export function validateCatalog(raw = {}) {
+  const problems = [];
+  const records = (key, name) => {
+    const list = raw ? raw[key] : undefined;
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+      problems.push(problem('error', 'invalid', key, `Expected a list of ${key}, got ${describe(list)}`));
+      return [];
+    }
+    const seen = new Map(); // id -> path of its first record
+    const out = [];
+    list.forEach((item, i) => {
+      const record = validateRecord(item, name, `${key}[${i}]`, problems);
+      if (!record) return;
+      if (seen.has(record.id)) {
+        problems.push(problem('error', 'duplicate', `${key}[${i}].id`, `Id ${record.id} is already used by ${seen.get(record.id)}; skipped`));
+        return;
+      }
+      seen.set(record.id, `${key}[${i}]`);
+      out.push({ record, path: `${key}[${i}]` });
+    });
+    return out;
+  };
+  const podcastList = records('podcasts', 'podcast');
+  const genreList = records('genres', 'genre');
+  const seasonList = records('seasons', 'seasonsEntry');
+
+  const podcastsById = new Map(podcastList.map(({ record }) => [record.id, record]));
+  const genresById = new Map(genreList.map(({ record }) => [record.id, record]));
+  const genreOrder = new Map(genreList.map(({ record }, i) => [record.id, i]));
+
+  // podcast.genres: unknown genres are dropped, the rest are added to the genre's shows
+  podcastList.forEach(({ record: p, path }) => {
+    p.genres = p.genres.filter((gid, i) => {
+      if (genresById.has(gid)) return true;
+      problems.push(problem('warning', 'unknown-genre', `${path}.genres[${i}]`, `Podcast ${p.id} lists genre ${gid}, which isn't in the catalog; dropped`));
+      return false;
+    });
+  });
+  genreList.forEach(({ record: g, path }) => {
+    g.shows = g.shows.filter((id, i) => {
+      if (podcastsById.has(id)) return true;
+      problems.push(problem('warning', 'unknown-podcast', `${path}.shows[${i}]`, `Genre ${g.id} lists podcast ${id}, which isn't in the catalog; dropped`));
+      return false;
+    });
+  });
+  podcastList.forEach(({ record: p, path }) => {
+    p.genres.forEach((gid, i) => {
+      const g = genresById.get(gid);
+      if (g.shows.includes(p.id)) return;
+      problems.push(problem('warning', 'genre-mismatch', `${path}.genres[${i}]`, `Podcast ${p.id} lists genre ${gid}, but the genre doesn't list it; added to the genre`));
+      g.shows.push(p.id);
+    });
+  });
+  genreList.forEach(({ record: g, path }) => {
+    g.shows.forEach((id, i) => {
+      const p = podcastsById.get(id);
+      if (p.genres.includes(g.id)) return;
+      problems.push(problem('warning', 'genre-mismatch', `${path}.shows[${i}]`, `Genre ${g.id} lists podcast ${id}, but the podcast doesn't list it; added to the podcast`));
+      p.genres.push(g.id);
+    });
+  });
+  podcastsById.forEach(p => p.genres.sort((a, b) => genreOrder.get(a) - genreOrder.get(b))); // in the order of the genres list
+
+  // seasons: only for podcasts in the catalog; counts are compared with the details
+  const seasons = seasonList.filter(({ record: entry, path }) => {
+    if (podcastsById.has(entry.id)) return true;
+    problems.push(problem('warning', 'unknown-podcast', `${path}.id`, `Seasons for podcast ${entry.id}, which isn't in the catalog; dropped`));
+    return false;
+  });
+  seasons.forEach(({ record: entry, path }) => {
+    const p = podcastsById.get(entry.id);
+    const count = entry.seasonDetails.length;
+    if (p.seasons === undefined) p.seasons = count;
+    else if (count && p.seasons !== count) {
+      const at = podcastList.find(x => x.record === p).path;
+      problems.push(problem('warning', 'season-count', `${at}.seasons`, `Podcast ${p.id} says ${p.seasons} seasons, but ${path}.seasonDetails has ${count}`));
+    }
+    entry.seasonDetails.forEach((season, i) => {
+      if (!Array.isArray(season.episodeDetails)) return;
+      const episodes = season.episodeDetails.length;
+      if (season.episodes === undefined) season.episodes = episodes;
+      else if (season.episodes !== episodes) {
+        problems.push(problem('warning', 'episode-count', `${path}.seasonDetails[${i}].episodes`, `Season says ${season.episodes} episodes, but its episodeDetails has ${episodes}`));
+      }
+    });
+  });
+
+  return {
+    catalog: {
+      podcasts: podcastList.map(({ record }) => record),
+      genres: genreList.map(({ record }) => record),
+      seasons: seasons.map(({ record }) => record),
+    },
+    problems,
+  };
+}
+
+function problem(level, code, path, message) {
+  return { level, code, path, message };
+}
+
+// a short description of a bad value for problem messages
+function describe(value) {
+  if (value === undefined) return 'nothing';
+  if (Array.isArray(value)) return 'a list';
+  if (value && typeof value === 'object') return 'an object';
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}…"` : text;
+}
+
+// "a count", "an ISO date", ... for the expected type in problem messages
+function article(type) {
+  const names = { string: 'a string', podcastId: 'a podcast id', genreId: 'a genre id (whole number)', count: 'a count (whole number)', date: 'a date', list: 'a list' };
+  return names[type] || `a ${type}`;
+}
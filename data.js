@@ -191,6 +191,9 @@ var genres = [
   },
 ];
 
+// seasons[].seasonDetails entries: { title, episodes (count), file? (season audio URL, e.g. a trailer), episodeDetails? }
+// episodeDetails is optional; each record is { episode (number), title, description, duration (seconds), file (audio URL), date (ISO) }
+// none of the shows here have episode records; ?dev adds made-up ones to two of them (fixtures/demoEpisodes.js)
 var seasons = [
   {
     id: "10716",
@@ -0,0 +1,105 @@
+// ----- dataProvider.js -----
+// Data source layer for the PodcastApp
+// Providers hide where the catalog comes from. Every provider exposes the same two async methods:
+//   load()              -> Promise<{ podcasts, genres, seasons }>  (same shapes as data.js)
+//   loadSeasons(id)     -> Promise<Array>                           (seasonDetails for one podcast)
+
+/**
+ * Provider backed by in-memory arrays (today's data.js globals by default).
+ * @param {{podcasts?: Array, genres?: Array, seasons?: Array}} [data] - catalog arrays, defaults to the data.js globals
+ * @returns {{name: string, load: Function, loadSeasons: Function}}
+ */
+export function createStaticProvider(data = {}) {
+  // resolve lazily so data.js may be loaded after this file
+  const pick = (key, fallback) => (Array.isArray(data[key]) ? data[key] : Array.isArray(fallback) ? fallback : []);
+  const catalog = () => ({
+    podcasts: pick('podcasts', typeof podcasts !== 'undefined' ? podcasts : []),
+    genres: pick('genres', typeof genres !== 'undefined' ? genres : []),
+    seasons: pick('seasons', typeof seasons !== 'undefined' ? seasons : []),
+  });
+
+  return {
+    name: 'static',
+    async load() {
+      return catalog();
+    },
+    async loadSeasons(id) {
+      const entry = catalog().seasons.find(x => String(x.id) === String(id));
+      return entry && Array.isArray(entry.seasonDetails) ? entry.seasonDetails : [];
+    },
+  };
+}
+
+/**
+ * Provider that fetches the catalog from JSON endpoints returning the data.js shapes.
+ * If seasonsUrl contains "{id}" seasons are fetched per podcast when the modal opens,
+ * otherwise the full seasons array is fetched together with the catalog.
+ * @param {{podcastsUrl: string, genresUrl: string, seasonsUrl?: string, fetchImpl?: Function}} options
+ * @returns {{name: string, load: Function, loadSeasons: Function}}
+ */
+export function createFetchProvider({ podcastsUrl, genresUrl, seasonsUrl = '', fetchImpl } = {}) {
+  if (!podcastsUrl || !genresUrl) throw new Error('createFetchProvider needs podcastsUrl and genresUrl');
+  const doFetch = fetchImpl || ((...args) => fetch(...args)); // late-bound so tests/polyfills can swap fetch
+  const perPodcastSeasons = seasonsUrl.includes('{id}');
+  let allSeasons = null; // full seasons array when fetched in one go
+  const seasonCache = new Map(); // podcast id -> seasonDetails
+
+  // fetch a URL and parse it as JSON, turning HTTP failures into errors
+  async function getJSON(url) {
+    const res = await doFetch(url, { headers: { Accept: 'application/json' } });
+    if (!res.ok) throw new Error(`Failed to load ${url} (HTTP ${res.status})`);
+    return res.json();
+  }
+
+  // accept either a bare array or an object wrapping it, e.g. { podcasts: [...] }
+  function asArray(json, key) {
+    if (Array.isArray(json)) return json;
+    if (json && Array.isArray(json[key])) return json[key];
+    throw new Error(`Expected an array of ${key}`);
+  }
+
+  return {
+    name: 'fetch',
+    async load() {
+      const [podcastsJson, genresJson, seasonsJson] = await Promise.all([
+        getJSON(podcastsUrl),
+        getJSON(genresUrl),
+        seasonsUrl && !perPodcastSeasons ? getJSON(seasonsUrl) : null,
+      ]);
+      allSeasons = seasonsJson ? asArray(seasonsJson, 'seasons') : [];
+      return {
+        podcasts: asArray(podcastsJson, 'podcasts'),
+        genres: asArray(genresJson, 'genres'),
+        seasons: allSeasons,
+      };
+    },
+    async loadSeasons(id) {
+      const key = String(id);
+      if (!perPodcastSeasons) {
+        const entry = (allSeasons || []).find(x => String(x.id) === key);
+        return entry && Array.isArray(entry.seasonDetails) ? entry.seasonDetails : [];
+      }
+      if (seasonCache.has(key)) return seasonCache.get(key);
+      const json = await getJSON(seasonsUrl.replace('{id}', encodeURIComponent(key)));
+      // accept { seasonDetails: [...] }, { id, seasonDetails } or a bare array
+      const details = Array.isArray(json) ? json : (json && Array.isArray(json.seasonDetails) ? json.seasonDetails : []);
+      seasonCache.set(key, details); // failures are not cached, so a retry fetches again
+      return details;
+    },
+  };
+}
+
+/**
+ * Pick a provider from data attributes on an element (the podcast grid).
+ * data-source="fetch" with data-podcasts-url / data-genres-url / data-seasons-url selects the fetch provider;
+ * anything else uses the static data.js provider.
+ * @param {HTMLElement} el
+ * @returns {{name: string, load: Function, loadSeasons: Function}}
+ */
+export function providerFromElement(el) {
+  const ds = (el && el.dataset) || {};
+  if (ds.source === 'fetch') {
+    return createFetchProvider({ podcastsUrl: ds.podcastsUrl, genresUrl: ds.genresUrl, seasonsUrl: ds.seasonsUrl || '' });
+  }
+  return createStaticProvider();
+}
@@ -0,0 +1,61 @@
+// ----- devOverlay.js -----
+// Developer overlay for the PodcastApp
+// With the app's dev option (?dev in index.html's URL) the catalog problems found by validateCatalog are
+// listed in a panel over the page, errors first, so data.js mistakes show up without opening the console.
+// It's a tool for whoever edits the data, so its text is English only.
+
+import { summarizeProblems } from './catalogSchema.js';
+
+/**
+ * Show (or update) the catalog problems overlay in a root element.
+ * The overlay is removed again when there are no problems, or when its close button is pressed.
+ * @param {HTMLElement} root - element the overlay is appended to (the app's root)
+ * @param {Array<{level: string, code: string, path: string, message: string}>} problems - from validateCatalog
+ * @returns {HTMLElement|null} the overlay, null when there was nothing to show
+ */
+export function showProblemOverlay(root, problems) {
+  let overlay = root.querySelector(':scope > .dev-overlay');
+  if (!problems.length) {
+    if (overlay) overlay.remove();
+    return null;
+  }
+  if (!overlay) {
+    overlay = document.createElement('aside');
+    overlay.className = 'dev-overlay';
+    overlay.setAttribute('aria-label', 'Catalog problems');
+    root.appendChild(overlay);
+  }
+  overlay.innerHTML = '';
+
+  const errors = problems.filter(p => p.level === 'error');
+  const header = document.createElement('div');
+  header.className = 'dev-overlay-header';
+  const title = document.createElement('h2');
+  title.textContent = `Catalog: ${summarizeProblems(problems)}`;
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'dev-overlay-close';
+  close.setAttribute('aria-label', 'Close catalog problems');
+  close.textContent = '✕';
+  close.addEventListener('click', () => overlay.remove());
+  header.append(title, close);
+
+  const list = document.createElement('ol');
+  list.className = 'dev-overlay-list';
+  errors.concat(problems.filter(p => p.level !== 'error')).forEach(p => {
+    const item = document.createElement('li');
+    item.className = `dev-problem dev-problem-${p.level}`;
+    const path = document.createElement('code');
+    path.textContent = p.path;
+    const code = document.createElement('span');
+    code.className = 'dev-problem-code';
+    code.textContent = `${p.level} · ${p.code}`;
+    const message = document.createElement('span');
+    message.textContent = p.message;
+    item.append(path, code, message);
+    list.appendChild(item);
+  });
+
+  overlay.append(header, list);
+  return overlay;
+}
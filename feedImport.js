@@ -0,0 +1,261 @@
+// ----- feedImport.js -----
+// RSS / Atom feed importer for the PodcastApp
+// Turns a podcast feed (including iTunes namespace tags for image, category, season and episode)
+// into the same shapes as data.js: a podcasts entry, a seasons entry and genre ids.
+
+import { t } from './i18n.js';
+
+const ITUNES_NS = 'http://www.itunes.com/dtds/podcast-1.0.dtd';
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+
+// feed categories that should land in an existing genre with a different name (lowercase keys). The genres
+// named here are those of the bundled data.js: with another catalog an alias only applies when that catalog
+// has a genre of the same title, and otherwise the category is matched by its own name or becomes a new genre
+const FEED_CATEGORY_ALIASES = {
+  'true crime': 'Investigative Journalism',
+  news: 'Investigative Journalism',
+  'news commentary': 'Investigative Journalism',
+  education: 'Personal Growth',
+  'self-improvement': 'Personal Growth',
+  'health & fitness': 'Personal Growth',
+  'mental health': 'Personal Growth',
+  arts: 'Entertainment',
+  'tv & film': 'Entertainment',
+  'society & culture': 'Entertainment',
+  music: 'Entertainment',
+  'entrepreneurship': 'Business',
+  'careers': 'Business',
+};
+
+/**
+ * Error whose code (and message) is a message key; the app shows it translated with t(err.code).
+ * @param {string} code - e.g. "feed.notXml"
+ * @returns {Error}
+ */
+function feedError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+/**
+ * Direct children of el with the given local name. Without a namespace only children in el's own
+ * namespace match, so extension tags (itunes:title, atom:link in RSS) never shadow the plain ones.
+ * @param {Element} el
+ * @param {string} name - local name
+ * @param {string} [ns] - namespace URI
+ * @returns {Element[]}
+ */
+function feedChildren(el, name, ns) {
+  if (!el) return [];
+  const wanted = ns || el.namespaceURI;
+  return Array.from(el.children).filter(c => c.localName === name && c.namespaceURI === wanted);
+}
+
+/**
+ * Trimmed text of the first matching direct child.
+ * @param {Element} el
+ * @param {string} name
+ * @param {string} [ns]
+ * @returns {string}
+ */
+function feedText(el, name, ns) {
+  const child = feedChildren(el, name, ns)[0];
+  return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Parse an itunes:duration value ("3600", "59:30" or "1:02:03") into seconds.
+ * @param {string} raw
+ * @returns {number|null}
+ */
+export function parseFeedDuration(raw) {
+  if (!raw) return null;
+  const parts = String(raw).trim().split(':').map(Number);
+  if (parts.some(n => !Number.isFinite(n))) return null;
+  return parts.reduce((total, n) => total * 60 + n, 0);
+}
+
+/**
+ * Parse a feed date (RFC 822 in RSS, ISO 8601 in Atom) into an ISO string.
+ * @param {string} raw
+ * @returns {string} ISO date, or '' when missing / invalid
+ */
+export function parseFeedDate(raw) {
+  const d = raw ? new Date(raw) : null;
+  return d && !isNaN(d) ? d.toISOString() : '';
+}
+
+/**
+ * Strip markup from feed descriptions; the text is later shown with textContent only.
+ * @param {string} html
+ * @returns {string}
+ */
+function feedPlainText(html) {
+  if (!html) return '';
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html'); // inert document, scripts never run
+  return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Small stable hash used to derive podcast ids from feed URLs / titles.
+ * @param {string} str
+ * @returns {string}
+ */
+function feedHash(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) h = ((h * 33) ^ str.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
+
+/**
+ * Read categories from a channel / feed element: itunes:category (with nested subcategories),
+ * RSS <category> text and Atom <category term|label>.
+ * @param {Element} el
+ * @returns {string[]} unique category names
+ */
+function feedCategories(el) {
+  const names = [];
+  const walk = node => {
+    feedChildren(node, 'category', ITUNES_NS).forEach(c => {
+      if (c.getAttribute('text')) names.push(c.getAttribute('text'));
+      walk(c);
+    });
+  };
+  walk(el);
+  feedChildren(el, 'category').forEach(c => {
+    const name = c.getAttribute('label') || c.getAttribute('term') || c.textContent;
+    if (name && name.trim()) names.push(name.trim());
+  });
+  return Array.from(new Set(names));
+}
+
+/**
+ * Parse one RSS <item> or Atom <entry> into an episode record.
+ * @param {Element} item
+ * @param {boolean} atom
+ * @returns {{season: number, episode: (number|null), title: string, description: string, duration: (number|null), file: string, date: string}}
+ */
+function parseFeedItem(item, atom) {
+  const enclosure = atom
+    ? feedChildren(item, 'link').find(l => l.getAttribute('rel') === 'enclosure')
+    : feedChildren(item, 'enclosure')[0];
+  const season = parseInt(feedText(item, 'season', ITUNES_NS), 10);
+  const episode = parseInt(feedText(item, 'episode', ITUNES_NS), 10);
+  return {
+    season: season > 0 ? season : 1,
+    episode: episode > 0 ? episode : null,
+    title: feedText(item, 'title', ITUNES_NS) || feedText(item, 'title'),
+    description: feedPlainText(
+      atom ? feedText(item, 'summary') || feedText(item, 'content') : feedText(item, 'description') || feedText(item, 'summary', ITUNES_NS),
+    ),
+    duration: parseFeedDuration(feedText(item, 'duration', ITUNES_NS)),
+    file: enclosure ? enclosure.getAttribute(atom ? 'href' : 'url') || '' : '',
+    date: parseFeedDate(atom ? feedText(item, 'published') || feedText(item, 'updated') : feedText(item, 'pubDate')),
+  };
+}
+
+/**
+ * Parse podcast RSS 2.0 or Atom XML into data.js shapes.
+ * Category names are mapped onto genres by title (case-insensitive, plus FEED_CATEGORY_ALIASES for the bundled
+ * catalog's genres); categories with no match become new genres. Seasons are titled in the current language.
+ * @param {string} xmlText - feed XML
+ * @param {Array} genreList - existing genres ({ id, title })
+ * @returns {{podcast: object, seasons: {id: string, seasonDetails: Array}, genreIds: number[], newGenres: Array}}
+ * @throws {Error} when the text is not a readable RSS or Atom feed; its code is "feed.notXml", "feed.notFeed"
+ *   or "feed.noTitle"
+ */
+export function parseFeed(xmlText, genreList) {
+  const doc = new DOMParser().parseFromString(String(xmlText || '').trim(), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw feedError('feed.notXml');
+
+  const root = doc.documentElement;
+  const atom = root.localName === 'feed' && root.namespaceURI === ATOM_NS;
+  const channel = atom ? root : root.localName === 'rss' ? feedChildren(root, 'channel')[0] : null;
+  if (!channel) throw feedError('feed.notFeed');
+
+  const title = feedText(channel, 'title');
+  if (!title) throw feedError('feed.noTitle');
+
+  const itunesImage = feedChildren(channel, 'image', ITUNES_NS)[0];
+  const image = (itunesImage && itunesImage.getAttribute('href'))
+    || feedText(feedChildren(channel, 'image')[0], 'url')
+    || feedText(channel, 'logo')
+    || feedText(channel, 'icon');
+  const selfLink = atom ? feedChildren(channel, 'link').find(l => l.getAttribute('rel') === 'self') : null;
+  const link = atom ? (selfLink && selfLink.getAttribute('href')) || feedText(channel, 'id') : feedText(channel, 'link');
+
+  const items = feedChildren(channel, atom ? 'entry' : 'item').map(item => parseFeedItem(item, atom));
+
+  // group episodes into seasons; episodes without a number are numbered by date within their season
+  const bySeason = new Map();
+  items.forEach(ep => {
+    if (!bySeason.has(ep.season)) bySeason.set(ep.season, []);
+    bySeason.get(ep.season).push(ep);
+  });
+  const seasonDetails = Array.from(bySeason.keys()).sort((a, b) => a - b).map(n => {
+    const eps = bySeason.get(n).sort((a, b) => (a.episode || 0) - (b.episode || 0) || a.date.localeCompare(b.date));
+    eps.forEach((ep, i) => {
+      if (!ep.episode) ep.episode = i + 1;
+    });
+    return {
+      title: t('feed.season', { number: n }),
+      episodes: eps.length,
+      episodeDetails: eps.map(({ season, ...ep }) => ep), // season is implied by the parent entry
+    };
+  });
+
+  const latestItem = items.map(ep => ep.date).filter(Boolean).sort().pop() || '';
+  const updated = parseFeedDate(feedText(channel, atom ? 'updated' : 'lastBuildDate')) || latestItem
+    || parseFeedDate(feedText(channel, 'pubDate'));
+
+  // map categories onto genres
+  const id = `feed-${feedHash(link || title)}`;
+  const byTitle = new Map(genreList.map(g => [String(g.title).toLowerCase(), g]));
+  let nextId = genreList.reduce((max, g) => Math.max(max, Number(g.id) || 0), 0) + 1;
+  const genreIds = [];
+  const newGenres = [];
+  feedCategories(channel).forEach(name => {
+    const key = name.toLowerCase();
+    const alias = FEED_CATEGORY_ALIASES[key];
+    let genre = byTitle.get(key) || (alias && byTitle.get(alias.toLowerCase()));
+    if (!genre) {
+      genre = { id: nextId++, title: name, description: '', shows: [] };
+      byTitle.set(key, genre);
+      newGenres.push(genre);
+    }
+    if (!genreIds.includes(Number(genre.id))) genreIds.push(Number(genre.id));
+  });
+
+  return {
+    podcast: {
+      id,
+      title,
+      description: feedPlainText(feedText(channel, atom ? 'subtitle' : 'description') || feedText(channel, 'summary', ITUNES_NS)),
+      seasons: seasonDetails.length,
+      image: image || '',
+      genres: genreIds,
+      updated,
+    },
+    seasons: { id, seasonDetails },
+    genreIds,
+    newGenres,
+  };
+}
+
+/**
+ * Merge a parsed feed into a catalog without mutating the original arrays.
+ * Re-importing the same feed replaces the earlier copy.
+ * @param {{podcasts: Array, genres: Array, seasons: Array}} catalog
+ * @param {ReturnType<typeof parseFeed>} parsed
+ * @returns {{podcasts: Array, genres: Array, seasons: Array}} new catalog
+ */
+export function mergeFeedIntoCatalog(catalog, parsed) {
+  const id = parsed.podcast.id;
+  const podcastsOut = catalog.podcasts.filter(p => String(p.id) !== id).concat(parsed.podcast);
+  const seasonsOut = catalog.seasons.filter(s => String(s.id) !== id).concat(parsed.seasons);
+  const genresOut = catalog.genres.concat(parsed.newGenres).map(g => {
+    const shows = (Array.isArray(g.shows) ? g.shows : []).filter(s => String(s) !== id);
+    if (parsed.genreIds.includes(Number(g.id))) shows.push(id);
+    return { ...g, shows };
+  });
+  return { podcasts: podcastsOut, genres: genresOut, seasons: seasonsOut };
+}
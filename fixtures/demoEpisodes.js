@@ -0,0 +1,69 @@
+// ----- fixtures/demoEpisodes.js -----
+// Made-up episode records for trying the modal's season accordion and the player
+// data.js only has season counts. With ?dev, main.js wraps the page's provider in withDemoEpisodes, which adds
+// these episodes to two shows. Every episode plays the two-second silent clip next to this file.
+
+export const DEMO_AUDIO = new URL('./audio/silence-2s.wav', import.meta.url).href;
+
+const episode = (number, title, description, duration, date) => ({
+  episode: number,
+  title,
+  description,
+  duration,
+  file: DEMO_AUDIO,
+  date: `${date}T07:00:00.000Z`,
+});
+
+// podcast id -> season title -> fields added to that season
+export const DEMO_EPISODES = {
+  6807: {
+    'From Commoner to Royalty': {
+      episodeDetails: [
+        episode(1, 'An Ordinary Girl', 'Meghan Markle grows up in Los Angeles and lands the role that changes her life.', 2460, '2022-09-05'),
+        episode(2, 'Enter Harry', 'A blind date in London starts one of the most watched romances in the world.', 2580, '2022-09-12'),
+        episode(3, 'The Engagement', 'The couple go public and the tabloids go into overdrive.', 2520, '2022-09-19'),
+        episode(4, 'The Royal Wedding', 'Windsor, 2018: the wedding and the cracks that were already showing.', 2700, '2022-09-26'),
+        episode(5, 'Megxit', 'Stepping back from royal life and the fallout on both sides of the Atlantic.', 2880, '2022-10-03'),
+      ],
+    },
+    "A Real Life 'Succession' Story": { file: DEMO_AUDIO }, // a season-level trailer
+  },
+  8514: {
+    'Kidnapped in the Desert': {
+      episodeDetails: [
+        episode(1, 'Into the Sahara', 'A routine trip across the desert ends at gunpoint.', 2340, '2022-10-10'),
+        episode(2, 'Held for Ransom', 'Days turn into weeks as negotiators try to make contact.', 2400, '2022-10-17'),
+        episode(3, 'The Escape Plan', 'With guards growing careless, a risky plan takes shape.', 2520, '2022-10-24'),
+        episode(4, 'Homecoming', 'Freedom, and learning to live with what happened.', 2280, '2022-10-31'),
+      ],
+    },
+  },
+};
+
+// copies of a podcast's seasonDetails with the demo fields merged into the seasons they name
+function addDemoFields(id, details) {
+  const demo = DEMO_EPISODES[id];
+  if (!demo || !Array.isArray(details)) return details;
+  return details.map(season => (season && demo[season.title] ? { ...season, ...demo[season.title] } : season));
+}
+
+/**
+ * Wrap a data provider so the shows in DEMO_EPISODES get episode records, from load() and loadSeasons() alike.
+ * The provider's own data is not changed.
+ * @param {{name: string, load: Function, loadSeasons: Function}} provider - from dataProvider.js
+ * @returns {{name: string, load: Function, loadSeasons: Function}}
+ */
+export function withDemoEpisodes(provider) {
+  return {
+    name: `${provider.name}+demo`,
+    async load() {
+      const catalog = await provider.load();
+      const seasons = (catalog.seasons || []).map(entry =>
+        entry && DEMO_EPISODES[entry.id] ? { ...entry, seasonDetails: addDemoFields(entry.id, entry.seasonDetails) } : entry);
+      return { ...catalog, seasons };
+    },
+    async loadSeasons(id) {
+      return addDemoFields(String(id), await provider.loadSeasons(id));
+    },
+  };
+}
@@ -0,0 +1,107 @@
+// ----- format.js -----
+// Formatting helpers for the PodcastApp
+// Dates, durations and placeholder artwork in the active locale / theme, plus small helpers shared by the
+// grid and the podcast modal. No app state lives here.
+
+import { t, getLocale } from './i18n.js';
+
+/**
+ * Format a raw date string into a short human-friendly "Updated..." string in the active locale.
+ * Recent dates use Intl.RelativeTimeFormat ("Updated 2 days ago", "Updated yesterday"); older ones a short date.
+ * @param {string} raw - ISO date string
+ * @returns {string} Human friendly string like "Updated 2 days ago" or "Updated Jan 3"
+ */
+export function formatUpdated(raw) {
+  if (!raw) return ''; // if no date provided, return empty string
+  const d = new Date(raw); // parse raw string into Date object
+  if (isNaN(d)) return raw; // if invalid date, return raw string
+  const diff = Math.floor((Date.now() - d.getTime()) / 1000); // seconds since the update
+  const rtf = new Intl.RelativeTimeFormat(getLocale(), { numeric: 'auto' });
+
+  // relative time for the last week, in the largest whole unit
+  let when;
+  if (diff < 60) when = rtf.format(0, 'second'); // "now"
+  else if (diff < 3600) when = rtf.format(-Math.floor(diff / 60), 'minute');
+  else if (diff < 86400) when = rtf.format(-Math.floor(diff / 3600), 'hour');
+  else if (diff < 7 * 86400) when = rtf.format(-Math.floor(diff / 86400), 'day');
+  else when = d.toLocaleDateString(getLocale(), { month: 'short', day: 'numeric' }); // older updates: month & day
+  return t('updated.label', { when });
+}
+
+/**
+ * Format an episode duration.
+ * @param {number} seconds
+ * @returns {string} e.g. "42 min" or "1 h 5 min"; empty string when unknown
+ */
+export function formatDuration(seconds) {
+  const total = Math.round(Number(seconds) / 60); // whole minutes
+  if (!Number.isFinite(total) || total <= 0) return '';
+  const h = Math.floor(total / 60);
+  const m = total % 60;
+  return h ? t('duration.hours', { h, m }) : t('duration.minutes', { m });
+}
+
+/**
+ * Creates a small inline SVG placeholder data URI for images when an image URL is missing.
+ * Colours come from the --placeholder-from / --placeholder-to / --placeholder-text theme tokens,
+ * read from el so the artwork matches the active theme (light fallbacks when unset).
+ * @param {number} w - width
+ * @param {number} h - height
+ * @param {Element} [el] - element whose computed tokens are used; defaults to <html>
+ * @returns {string} data:image/svg+xml;utf8,...
+ */
+export function placeholderDataURI(w = 400, h = 300, el = document.documentElement) {
+  const style = getComputedStyle(el);
+  const token = (name, fallback) => style.getPropertyValue(name).trim() || fallback; // themed colour or default
+  // generate a small gradient SVG with text
+  const svg = `<svg xmlns='http://www.w3.org/2000/svg' width='${w}' height='${h}' viewBox='0 0 ${w} ${h}'>
+    <defs>
+      <linearGradient id='g' x1='0' y1='0' x2='1' y2='1'>
+        <stop offset='0' stop-color='${token('--placeholder-from', '#e2e8f0')}' />
+        <stop offset='1' stop-color='${token('--placeholder-to', '#c7d2fe')}' />
+      </linearGradient>
+    </defs>
+    <rect width='100%' height='100%' fill='url(#g)' rx='8' ry='8'/>
+    <text x='50%' y='50%' font-family='Arial, Helvetica, sans-serif' font-size='20' fill='${token('--placeholder-text', '#374151')}' dominant-baseline='middle' text-anchor='middle'>${t('card.placeholder')}</text>
+  </svg>`;
+  return 'data:image/svg+xml;utf8,' + encodeURIComponent(svg); // encode as data URI
+}
+
+/**
+ * Debounce utility - returns a debounced version of fn.
+ * @param {Function} fn
+ * @param {number} wait
+ * @returns {Function}
+ */
+export function debounce(fn, wait) {
+  let t; // timer
+  return function (...a) {
+    clearTimeout(t); // clear previous timer
+    t = setTimeout(() => fn.apply(this, a), wait); // call fn after delay
+  };
+}
+
+/**
+ * Loading / error block shared by the grid and the modal's seasons list (the error state gets a retry button).
+ * @param {string} state - "loading" | "error"
+ * @param {string} message
+ * @param {Function} [onRetry]
+ * @returns {HTMLElement}
+ */
+export function buildStatus(state, message, onRetry) {
+  const box = document.createElement('div');
+  box.className = `load-status load-status--${state}`;
+  box.setAttribute('role', state === 'error' ? 'alert' : 'status');
+  const text = document.createElement('p');
+  text.textContent = message;
+  box.appendChild(text);
+  if (onRetry) {
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'page-btn';
+    retry.textContent = t('status.retry');
+    retry.addEventListener('click', onRetry);
+    box.appendChild(retry);
+  }
+  return box;
+}
@@ -0,0 +1,199 @@
+// ----- genreBrowser.js -----
+// Genre browse view for the PodcastApp
+// A grid of genre tiles (show count and a collage of member covers) and one page per genre: its
+// description as a hero, a breadcrumb back to the catalog, and the member shows as <podcast-preview>
+// cards with their own sort. The app owns the route (?browse=) and calls show() / hide().
+
+import { t } from './i18n.js';
+import { placeholderDataURI } from './format.js';
+import { sortPodcasts, genresFor, parseSort, formatSort, DEFAULT_SORT, browseGenreId } from './state.js';
+import { reconcileChildren } from './gridView.js';
+
+const GENRE_COLLAGE_SIZE = 4; // covers per tile, most recently updated shows first
+
+/**
+ * Create the controller for the genre browse view.
+ * @param {Object} els - elements: { section, index, indexTitle, tiles, page, title, description, count, crumb,
+ *   sort, sortDirection, shows }. Links with a data-browse attribute (tiles, breadcrumb) navigate through onNavigate;
+ *   cards in `shows` dispatch podcast-selected like grid cards, and the app opens the podcast it names
+ * @param {Object} deps
+ * @param {Object} deps.library - favourites, from createLibrary
+ * @param {Function} deps.isPlaying - (podcastId) => boolean, for the "Now playing" badge
+ * @param {Function} deps.newsFor - (podcast) => "new" | "updated" | "", for the cards' news badge (see visits.js)
+ * @param {Function} deps.variant - () => the grid's card layout, which the genre pages follow ("card", "list", "compact")
+ * @param {Function} deps.hrefFor - (browse) => URL of that route, for the links' href
+ * @param {Function} deps.onNavigate - (browse) when a tile, breadcrumb or genre pill is picked ("" is the catalog)
+ * @param {AbortSignal} [deps.signal] - aborting it removes the view's listeners
+ * @returns {{show: Function, hide: Function, focusHeading: Function, refresh: Function, updateCards: Function}}
+ *   updateCards re-reads favourites, playing state and news (the app calls it when the player or the visit history changes)
+ */
+export function createGenreBrowser(els, deps) {
+  const { library, isPlaying, newsFor, variant, hrefFor, onNavigate, signal } = deps;
+  let current = null; // { browse, data } on display, null while hidden
+  let sortKey = parseSort(DEFAULT_SORT).key; // genre pages share one sort, separate from the catalog's
+  let sortDir = parseSort(DEFAULT_SORT).dir;
+
+  /**
+   * Show the genre tiles or one genre's page.
+   * @param {string} browse - "genres" or "genre-<id>" (see normalizeBrowse)
+   * @param {Object} data - { summaries (from summarizeGenres), genreIndex, genreList, episodeCounts }
+   * @returns {boolean} false for a genre that isn't in the catalog (nothing is shown)
+   */
+  function show(browse, data) {
+    const id = browseGenreId(browse);
+    if (id !== null && !data.summaries.some(s => Number(s.genre.id) === id)) return false;
+    current = { browse, data };
+    render();
+    els.section.hidden = false;
+    return true;
+  }
+
+  function hide() {
+    current = null;
+    els.section.hidden = true;
+  }
+
+  // move focus to the heading of the view on display, so keyboard and screen reader users start there
+  function focusHeading() {
+    if (!current) return;
+    const heading = browseGenreId(current.browse) === null ? els.indexTitle : els.title;
+    heading.focus();
+  }
+
+  // redraw with fresh catalog data (after a feed import) or in another layout
+  function refresh(data) {
+    if (current) show(current.browse, data);
+  }
+
+  function render() {
+    const id = browseGenreId(current.browse);
+    els.index.hidden = id !== null;
+    els.page.hidden = id === null;
+    if (id === null) renderTiles();
+    else renderGenre(current.data.summaries.find(s => Number(s.genre.id) === id));
+  }
+
+  // a link to another route; plain clicks are turned into onNavigate, modified clicks open a tab as usual
+  function link(el, browse) {
+    el.href = hrefFor(browse);
+    el.dataset.browse = browse;
+    return el;
+  }
+
+  // one tile per genre: cover collage, title and show count
+  function renderTiles() {
+    els.tiles.innerHTML = '';
+    current.data.summaries.forEach(({ genre, podcasts }) => {
+      const item = document.createElement('li');
+      const tile = link(document.createElement('a'), `genre-${Number(genre.id)}`);
+      tile.className = 'genre-tile';
+
+      const collage = document.createElement('span');
+      collage.className = 'genre-collage';
+      collage.setAttribute('aria-hidden', 'true'); // decoration; the title and count say what the tile is
+      const covers = sortPodcasts(podcasts, DEFAULT_SORT).slice(0, GENRE_COLLAGE_SIZE);
+      collage.dataset.covers = String(covers.length);
+      (covers.length ? covers : [null]).forEach(p => {
+        const img = document.createElement('img');
+        img.alt = '';
+        img.loading = 'lazy';
+        img.decoding = 'async';
+        img.src = (p && p.image) || placeholderDataURI(200, 200);
+        img.onerror = () => {
+          if (!img.src.startsWith('data:')) img.src = placeholderDataURI(200, 200);
+        };
+        collage.appendChild(img);
+      });
+
+      const title = document.createElement('span');
+      title.className = 'genre-tile-title';
+      title.textContent = genre.title;
+      const count = document.createElement('span');
+      count.className = 'genre-tile-count';
+      count.textContent = t('genres.count', { count: podcasts.length });
+
+      tile.append(collage, title, count);
+      item.appendChild(tile);
+      els.tiles.appendChild(item);
+    });
+  }
+
+  // a genre's page: breadcrumb, description hero, sort controls and the member shows
+  function renderGenre({ genre, podcasts }) {
+    const { genreIndex, genreList, episodeCounts } = current.data;
+    els.page.querySelectorAll('[data-browse-link]').forEach(a => link(a, a.dataset.browseLink));
+    els.crumb.textContent = genre.title;
+    els.title.textContent = genre.title;
+    els.description.textContent = genre.description || '';
+    els.description.hidden = !genre.description;
+    els.count.textContent = t('genres.count', { count: podcasts.length });
+
+    els.sort.value = sortKey;
+    els.sortDirection.textContent = t(sortDir === 'asc' ? 'sort.ascending' : 'sort.descending');
+
+    const sorted = sortPodcasts(podcasts, formatSort(sortKey, sortDir), { episodeCounts, genreIndex, genreList });
+    els.shows.dataset.layout = variant();
+    if (!sorted.length) {
+      els.shows.innerHTML = '';
+      const empty = document.createElement('p');
+      empty.className = 'genre-empty';
+      empty.textContent = t('genres.empty');
+      els.shows.appendChild(empty);
+      return;
+    }
+    reconcileChildren(els.shows, sorted, {
+      keyOf: p => p.id,
+      create: () => document.createElement('podcast-preview'),
+      update: (el, p) => {
+        el.podcast = { ...p, genres: genresFor(p, genreIndex, genreList) };
+        el.favourite = library.has(p.id);
+        el.playing = isPlaying(p.id);
+        el.news = newsFor(p);
+        el.variant = variant();
+      },
+    });
+  }
+
+  // sync the stars, "Now playing" and news badges of the cards on display
+  function updateCards() {
+    els.shows.querySelectorAll('podcast-preview').forEach(card => {
+      card.favourite = library.has(card.pid);
+      card.playing = isPlaying(card.pid);
+      card.news = newsFor(card.podcast);
+    });
+  }
+
+  els.section.addEventListener('click', e => {
+    const a = e.target.closest('a[data-browse]');
+    if (!a || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    onNavigate(a.dataset.browse);
+  }, { signal });
+  // genre pills on the cards go to that genre's page rather than filtering the hidden grid
+  els.shows.addEventListener('genre-selected', e => {
+    e.stopPropagation();
+    if (e.detail) onNavigate(`genre-${Number(e.detail.id)}`);
+  }, { signal });
+  // picking a sort starts in its natural direction, as in the catalog; the toggle reverses it
+  els.sort.addEventListener('change', () => {
+    ({ key: sortKey, dir: sortDir } = parseSort(formatSort(els.sort.value)));
+    if (current) render();
+  }, { signal });
+  els.sortDirection.addEventListener('click', () => {
+    sortDir = sortDir === 'asc' ? 'desc' : 'asc';
+    if (current) render();
+  }, { signal });
+  library.onChange(updateCards);
+  document.addEventListener('locale-changed', () => {
+    if (current) render();
+  }, { signal });
+  document.addEventListener('theme-changed', () => {
+    els.tiles.querySelectorAll('img').forEach(img => {
+      if (img.src.startsWith('data:')) img.src = placeholderDataURI(200, 200);
+    });
+  }, { signal });
+
+  els.section.hidden = true;
+
+  return { show, hide, focusHeading, refresh, updateCards };
+}
@@ -0,0 +1,76 @@
+// ----- gridView.js -----
+// Rendering helpers for the podcast grid
+// Keyed reconciliation, so re-rendering after a filter reuses the cards already on the page instead of
+// rebuilding every one, and the window arithmetic behind the virtual grid, which only mounts the rows
+// near the viewport. Nothing here knows about podcasts; the app supplies keys and card updates.
+
+/**
+ * Make a container's children match a list of items, reusing the element already rendered for each key.
+ * Children without a data-key (empty / loading messages) are removed, elements whose key is no longer
+ * listed are dropped, and the rest are only moved when they are out of place.
+ * @param {HTMLElement} container
+ * @param {Array} items - items in display order, unique by key
+ * @param {Object} options
+ * @param {Function} options.keyOf - (item) => string|number
+ * @param {Function} options.create - (item) => HTMLElement, for keys without an element yet
+ * @param {Function} [options.update] - (element, item, index) => void, called for new and reused elements
+ * @returns {HTMLElement[]} the elements, in item order
+ */
+export function reconcileChildren(container, items, { keyOf, create, update }) {
+  const existing = new Map(); // key -> element currently in the container
+  Array.from(container.children).forEach(el => {
+    if (el.dataset.key === undefined) el.remove();
+    else existing.set(el.dataset.key, el);
+  });
+
+  const elements = items.map((item, index) => {
+    const key = String(keyOf(item));
+    let el = existing.get(key);
+    if (el) {
+      existing.delete(key); // claimed; whatever is left afterwards goes
+    } else {
+      el = create(item);
+      el.dataset.key = key;
+    }
+    if (update) update(el, item, index);
+    return el;
+  });
+  existing.forEach(el => el.remove());
+
+  // walk the children once: elements already in place stay put (moving one disconnects and reconnects it)
+  let cursor = container.firstElementChild;
+  elements.forEach(el => {
+    if (el === cursor) cursor = cursor.nextElementSibling;
+    else container.insertBefore(el, cursor);
+  });
+  return elements;
+}
+
+/**
+ * Work out which items of a virtual grid to mount for a scroll position.
+ * Rows have one fixed height; the space of the rows that aren't mounted is reserved with padding.
+ * @param {Object} layout
+ * @param {number} layout.total - number of items in the grid
+ * @param {number} layout.columns - items per row
+ * @param {number} layout.rowHeight - distance from one row's top to the next (row height plus gap), in px
+ * @param {number} layout.viewportTop - position of the viewport's top edge below the grid's top edge, in px
+ *   (negative while the grid starts further down the page)
+ * @param {number} layout.viewportHeight - in px
+ * @param {number} [layout.overscan] - rows mounted beyond each edge, so quick scrolling doesn't show gaps
+ * @returns {{start: number, end: number, padStart: number, padEnd: number}} items [start, end) to mount,
+ *   and the px to reserve before and after them
+ */
+export function virtualWindow({ total, columns, rowHeight, viewportTop, viewportHeight, overscan = 2 }) {
+  const cols = Math.max(1, columns || 1);
+  const height = Math.max(1, rowHeight || 1); // guard against 0 / NaN before anything was measured
+  const rows = Math.ceil(total / cols);
+  if (!rows) return { start: 0, end: 0, padStart: 0, padEnd: 0 };
+  const firstRow = Math.min(rows - 1, Math.max(0, Math.floor(viewportTop / height) - overscan));
+  const lastRow = Math.min(rows - 1, Math.max(firstRow, Math.ceil((viewportTop + viewportHeight) / height) - 1 + overscan));
+  return {
+    start: firstRow * cols,
+    end: Math.min(total, (lastRow + 1) * cols),
+    padStart: firstRow * height,
+    padEnd: (rows - 1 - lastRow) * height,
+  };
+}
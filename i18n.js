@@ -0,0 +1,717 @@
+// ----- i18n.js -----
+// Locale support for the PodcastApp
+// Message catalogs, plural rules (Intl.PluralRules), number / date formatting and locale-aware
+// title comparison. An ES module imported by the rest of the app; it sets <html lang dir> as soon as it
+// is evaluated, and static markup is translated through data-i18n attributes then and after every change.
+
+const I18N_STORAGE_KEY = 'podcastapp:locale';
+const I18N_DEFAULT_LOCALE = 'en';
+const I18N_RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+// message catalogs; plural messages are objects keyed by Intl.PluralRules category and use {count}
+export const I18N_MESSAGES = {
+  en: {
+    'locale.name': 'English',
+    'header.actions': 'User actions',
+    'header.search': 'Search',
+    'theme.label': 'Theme',
+    'theme.system': '🌓 System',
+    'theme.light': '☀️ Light',
+    'theme.dark': '🌙 Dark',
+    'theme.highContrast': '◐ High contrast',
+    'language.label': 'Language',
+    'filters.label': 'Podcast filters',
+    'filters.genre': 'Filter by:',
+    'filters.match': 'Genre matching',
+    'filters.matchAny': 'Any of',
+    'filters.matchAll': 'All of',
+    'filters.clearGenres': 'Clear genres',
+    'filters.show': 'Show',
+    'filters.viewAll': 'All podcasts',
+    'filters.viewFavourites': 'Favourites',
+    'filters.viewOffline': 'Saved for offline',
+    'filters.viewNew': 'What’s new',
+    'filters.more': 'More filters',
+    'filters.moreActive': 'More filters ({count})',
+    'filters.updated': 'Updated',
+    'filters.updatedAny': 'Any time',
+    'filters.updated7d': 'Last 7 days',
+    'filters.updated30d': 'Last 30 days',
+    'filters.updated90d': 'Last 90 days',
+    'filters.updated1y': 'Last year',
+    'filters.updatedCustom': 'Custom range…',
+    'filters.from': 'From',
+    'filters.to': 'To',
+    'filters.seasons': 'Seasons',
+    'filters.seasonsMin': 'At least',
+    'filters.seasonsMax': 'At most',
+    'filters.min': 'Min',
+    'filters.max': 'Max',
+    'presets.label': 'Saved filters',
+    'presets.choose': 'Saved filters…',
+    'presets.name': 'Preset name',
+    'presets.save': 'Save current filters',
+    'presets.delete': 'Delete selected',
+    'presets.saved': 'Saved “{name}”.',
+    'presets.deleted': 'Deleted “{name}”.',
+    'presets.nameRequired': 'Give the preset a name first.',
+    'chips.label': 'Active filters',
+    'chips.search': 'Search: “{q}”',
+    'chips.updated': 'Updated: {range}',
+    'chips.seasons': 'Seasons: {range}',
+    'chips.remove': 'Remove filter: {label}',
+    'chips.clearAll': 'Clear all',
+    'browse.label': 'Browse',
+    'browse.genres': 'Genres',
+    'genres.heading': 'Browse by genre',
+    'genres.breadcrumb': 'Breadcrumb',
+    'genres.empty': 'No shows in this genre yet.',
+    'genres.count': { one: '{count} show', other: '{count} shows' },
+    'sort.label': 'Sort podcasts',
+    'sort.short': 'Sort',
+    'sort.relevance': 'Relevance',
+    'sort.news': 'What’s new first',
+    'sort.updated': 'Last updated',
+    'sort.seasons': 'Seasons',
+    'sort.episodes': 'Episodes',
+    'sort.title': 'Title',
+    'sort.genre': 'Genre',
+    'sort.ascending': '↑ Ascending',
+    'sort.descending': '↓ Descending',
+    'sort.reverse': 'Reverse the sort order',
+    'search.label': 'Search podcasts',
+    'search.placeholder': 'Search podcasts...',
+    'pageSize.short': 'Per page',
+    'pageSize.label': 'Podcasts per page',
+    'layout.label': 'Layout',
+    'layout.card': 'Cards',
+    'layout.list': 'List',
+    'layout.compact': 'Compact',
+    'pageSize.option': '{count} per page',
+    'library.label': 'My Library',
+    'library.export': 'Export library',
+    'library.import': 'Import library',
+    'library.imported': { one: 'Imported {count} favourite.', other: 'Imported {count} favourites.' },
+    'library.nothingNew': 'No new favourites in that file.',
+    'library.importFailed': 'Could not import library: {message}',
+    'library.notJson': 'The file is not valid JSON.',
+    'library.noFavourites': 'The file does not contain a favourites list.',
+    'file.readFailed': 'Could not read that file.',
+    'grid.label': 'Podcast grid',
+    'grid.loading': 'Loading podcasts…',
+    'grid.failed': 'Could not load podcasts.',
+    'grid.empty': 'No podcasts found.',
+    'grid.emptyFavourites': 'No favourites yet. Use the ☆ on a podcast to add it.',
+    'grid.emptyOffline': 'No shows saved for offline use yet. Open a podcast and choose “Save for offline”.',
+    'grid.emptyNew': 'Nothing new since your last visit.',
+    'status.retry': 'Retry',
+    'results.range': 'Showing {start}–{end} of {total}',
+    'results.count': 'Showing {shown} of {total}',
+    'results.found': { one: '{count} podcast found', other: '{count} podcasts found' },
+    'pagination.label': 'Pagination',
+    'pagination.more': 'Load more',
+    'pagination.previous': 'Previous page',
+    'pagination.next': 'Next page',
+    'pagination.page': 'Page {page}',
+    'card.label': 'Podcast preview',
+    'card.cover': '{title} cover',
+    'card.coverFallback': 'Podcast cover',
+    'card.placeholder': 'Podcast Cover',
+    'card.seasons': { one: '{count} season', other: '{count} seasons' },
+    'card.nowPlaying': '▶ Now playing',
+    'card.new': 'New',
+    'card.updated': 'Updated',
+    'card.labelWithNews': '{title}, {status}',
+    'genre.filterBy': 'Filter by {genre}',
+    'favourite.add': 'Add to favourites',
+    'favourite.remove': 'Remove from favourites',
+    'favourite.addButton': '☆ Add to favourites',
+    'favourite.inButton': '★ In favourites',
+    'updated.label': 'Updated {when}',
+    'modal.close': 'Close modal',
+    'modal.cover': 'Large cover',
+    'modal.description': 'Description',
+    'modal.genres': 'Genres',
+    'modal.seasons': 'Seasons',
+    'modal.seasonsList': 'Seasons list',
+    'modal.similar': 'You might also like',
+    'modal.updated': 'Last updated: {date}',
+    'seasons.loading': 'Loading seasons…',
+    'seasons.failed': 'Could not load seasons.',
+    'seasons.none': 'No seasons yet',
+    'seasons.episodes': { one: '{count} episode', other: '{count} episodes' },
+    'episode.number': 'E{number}',
+    'episode.title': 'Episode {number}',
+    'episode.untitled': 'Untitled episode',
+    'duration.minutes': '{m} min',
+    'duration.hours': '{h} h {m} min',
+    'feed.open': 'Add feed',
+    'feed.title': 'Add a podcast feed',
+    'feed.paste': 'Paste RSS or Atom XML',
+    'feed.file': '…or choose a local file',
+    'feed.cancel': 'Cancel',
+    'feed.submit': 'Import',
+    'feed.empty': 'Paste a feed or choose a file first.',
+    'feed.notXml': 'The feed is not well-formed XML.',
+    'feed.notFeed': 'That is not an RSS or Atom feed.',
+    'feed.noTitle': 'The feed has no title.',
+    'feed.season': 'Season {number}',
+    'offline.banner': 'You’re offline. Saved shows and covers you’ve already seen are still available.',
+    'offline.saveButton': '⤓ Save for offline',
+    'offline.savedButton': '✓ Available offline',
+    'offline.saving': 'Saving…',
+    'offline.failed': 'Could not save for offline use. Check your connection and try again.',
+    'offline.removeFailed': 'No longer saved for offline use, but some of its files could not be deleted.',
+    'offline.badge': 'Available offline',
+    'news.markSeen': 'Mark all as seen',
+    'news.markedSeen': 'Every show is marked as seen.',
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.search': 'Focus the search box',
+    'shortcuts.genres': 'Jump to the genre filter',
+    'shortcuts.arrows': 'Move between podcasts',
+    'shortcuts.homeEnd': 'First / last podcast in the row (with Ctrl: in the grid)',
+    'shortcuts.open': 'Open the focused podcast',
+    'shortcuts.close': 'Close the open dialog',
+    'shortcuts.help': 'Show this help',
+    'shortcuts.done': 'Close',
+    'player.label': 'Audio player',
+    'player.play': 'Play',
+    'player.pause': 'Pause',
+    'player.playTitle': 'Play {title}',
+    'player.pauseTitle': 'Pause {title}',
+    'player.back': { one: 'Back {count} second', other: 'Back {count} seconds' },
+    'player.forward': { one: 'Forward {count} second', other: 'Forward {count} seconds' },
+    'player.seek': 'Seek',
+    'player.speed': 'Playback speed',
+    'player.close': 'Close player',
+    'player.audioFailed': 'could not load audio',
+  },
+  es: {
+    'locale.name': 'Español',
+    'header.actions': 'Acciones de usuario',
+    'header.search': 'Buscar',
+    'theme.label': 'Tema',
+    'theme.system': '🌓 Sistema',
+    'theme.light': '☀️ Claro',
+    'theme.dark': '🌙 Oscuro',
+    'theme.highContrast': '◐ Alto contraste',
+    'language.label': 'Idioma',
+    'filters.label': 'Filtros de pódcasts',
+    'filters.genre': 'Filtrar por:',
+    'filters.match': 'Coincidencia de géneros',
+    'filters.matchAny': 'Cualquiera de',
+    'filters.matchAll': 'Todos',
+    'filters.clearGenres': 'Quitar géneros',
+    'filters.show': 'Mostrar',
+    'filters.viewAll': 'Todos los pódcasts',
+    'filters.viewFavourites': 'Favoritos',
+    'filters.viewOffline': 'Guardados sin conexión',
+    'filters.viewNew': 'Novedades',
+    'filters.more': 'Más filtros',
+    'filters.moreActive': 'Más filtros ({count})',
+    'filters.updated': 'Actualizado',
+    'filters.updatedAny': 'En cualquier momento',
+    'filters.updated7d': 'Últimos 7 días',
+    'filters.updated30d': 'Últimos 30 días',
+    'filters.updated90d': 'Últimos 90 días',
+    'filters.updated1y': 'Último año',
+    'filters.updatedCustom': 'Rango personalizado…',
+    'filters.from': 'Desde',
+    'filters.to': 'Hasta',
+    'filters.seasons': 'Temporadas',
+    'filters.seasonsMin': 'Como mínimo',
+    'filters.seasonsMax': 'Como máximo',
+    'filters.min': 'Mín.',
+    'filters.max': 'Máx.',
+    'presets.label': 'Filtros guardados',
+    'presets.choose': 'Filtros guardados…',
+    'presets.name': 'Nombre del filtro',
+    'presets.save': 'Guardar filtros actuales',
+    'presets.delete': 'Borrar el seleccionado',
+    'presets.saved': 'Se guardó «{name}».',
+    'presets.deleted': 'Se borró «{name}».',
+    'presets.nameRequired': 'Ponle un nombre primero.',
+    'chips.label': 'Filtros activos',
+    'chips.search': 'Búsqueda: «{q}»',
+    'chips.updated': 'Actualizado: {range}',
+    'chips.seasons': 'Temporadas: {range}',
+    'chips.remove': 'Quitar filtro: {label}',
+    'chips.clearAll': 'Quitar todos',
+    'browse.label': 'Explorar',
+    'browse.genres': 'Géneros',
+    'genres.heading': 'Explorar por género',
+    'genres.breadcrumb': 'Ruta de navegación',
+    'genres.empty': 'Todavía no hay pódcasts en este género.',
+    'genres.count': { one: '{count} pódcast', other: '{count} pódcasts' },
+    'sort.label': 'Ordenar pódcasts',
+    'sort.short': 'Ordenar',
+    'sort.relevance': 'Relevancia',
+    'sort.news': 'Novedades primero',
+    'sort.updated': 'Última actualización',
+    'sort.seasons': 'Temporadas',
+    'sort.episodes': 'Episodios',
+    'sort.title': 'Título',
+    'sort.genre': 'Género',
+    'sort.ascending': '↑ Ascendente',
+    'sort.descending': '↓ Descendente',
+    'sort.reverse': 'Invertir el orden',
+    'search.label': 'Buscar pódcasts',
+    'search.placeholder': 'Buscar pódcasts...',
+    'pageSize.short': 'Por página',
+    'pageSize.label': 'Pódcasts por página',
+    'layout.label': 'Diseño',
+    'layout.card': 'Tarjetas',
+    'layout.list': 'Lista',
+    'layout.compact': 'Compacto',
+    'pageSize.option': '{count} por página',
+    'library.label': 'Mi biblioteca',
+    'library.export': 'Exportar biblioteca',
+    'library.import': 'Importar biblioteca',
+    'library.imported': { one: 'Se importó {count} favorito.', other: 'Se importaron {count} favoritos.' },
+    'library.nothingNew': 'No hay favoritos nuevos en ese archivo.',
+    'library.importFailed': 'No se pudo importar la biblioteca: {message}',
+    'library.notJson': 'El archivo no es JSON válido.',
+    'library.noFavourites': 'El archivo no contiene una lista de favoritos.',
+    'file.readFailed': 'No se pudo leer ese archivo.',
+    'grid.label': 'Cuadrícula de pódcasts',
+    'grid.loading': 'Cargando pódcasts…',
+    'grid.failed': 'No se pudieron cargar los pódcasts.',
+    'grid.empty': 'No se encontraron pódcasts.',
+    'grid.emptyFavourites': 'Todavía no hay favoritos. Usa la ☆ de un pódcast para añadirlo.',
+    'grid.emptyOffline': 'Aún no hay pódcasts guardados sin conexión. Abre uno y elige «Guardar sin conexión».',
+    'grid.emptyNew': 'No hay novedades desde tu última visita.',
+    'status.retry': 'Reintentar',
+    'results.range': 'Mostrando {start}–{end} de {total}',
+    'results.count': 'Mostrando {shown} de {total}',
+    'results.found': { one: '{count} pódcast encontrado', other: '{count} pódcasts encontrados' },
+    'pagination.label': 'Paginación',
+    'pagination.more': 'Cargar más',
+    'pagination.previous': 'Página anterior',
+    'pagination.next': 'Página siguiente',
+    'pagination.page': 'Página {page}',
+    'card.label': 'Vista previa del pódcast',
+    'card.cover': 'Portada de {title}',
+    'card.coverFallback': 'Portada del pódcast',
+    'card.placeholder': 'Portada',
+    'card.seasons': { one: '{count} temporada', other: '{count} temporadas' },
+    'card.nowPlaying': '▶ Reproduciendo',
+    'card.new': 'Nuevo',
+    'card.updated': 'Actualizado',
+    'card.labelWithNews': '{title}, {status}',
+    'genre.filterBy': 'Filtrar por {genre}',
+    'favourite.add': 'Añadir a favoritos',
+    'favourite.remove': 'Quitar de favoritos',
+    'favourite.addButton': '☆ Añadir a favoritos',
+    'favourite.inButton': '★ En favoritos',
+    'updated.label': 'Actualizado {when}',
+    'modal.close': 'Cerrar ventana',
+    'modal.cover': 'Portada grande',
+    'modal.description': 'Descripción',
+    'modal.genres': 'Géneros',
+    'modal.seasons': 'Temporadas',
+    'modal.seasonsList': 'Lista de temporadas',
+    'modal.similar': 'También te puede gustar',
+    'modal.updated': 'Última actualización: {date}',
+    'seasons.loading': 'Cargando temporadas…',
+    'seasons.failed': 'No se pudieron cargar las temporadas.',
+    'seasons.none': 'Aún no hay temporadas',
+    'seasons.episodes': { one: '{count} episodio', other: '{count} episodios' },
+    'episode.number': 'E{number}',
+    'episode.title': 'Episodio {number}',
+    'episode.untitled': 'Episodio sin título',
+    'duration.minutes': '{m} min',
+    'duration.hours': '{h} h {m} min',
+    'feed.open': 'Añadir feed',
+    'feed.title': 'Añadir un feed de pódcast',
+    'feed.paste': 'Pega el XML RSS o Atom',
+    'feed.file': '…o elige un archivo local',
+    'feed.cancel': 'Cancelar',
+    'feed.submit': 'Importar',
+    'feed.empty': 'Pega un feed o elige un archivo primero.',
+    'feed.notXml': 'El feed no es XML bien formado.',
+    'feed.notFeed': 'No es un feed RSS ni Atom.',
+    'feed.noTitle': 'El feed no tiene título.',
+    'feed.season': 'Temporada {number}',
+    'offline.banner': 'Estás sin conexión. Los pódcasts guardados y las portadas que ya viste siguen disponibles.',
+    'offline.saveButton': '⤓ Guardar sin conexión',
+    'offline.savedButton': '✓ Disponible sin conexión',
+    'offline.saving': 'Guardando…',
+    'offline.failed': 'No se pudo guardar para usar sin conexión. Comprueba la conexión e inténtalo de nuevo.',
+    'offline.removeFailed': 'Ya no está guardado sin conexión, pero no se pudieron borrar algunos de sus archivos.',
+    'offline.badge': 'Disponible sin conexión',
+    'news.markSeen': 'Marcar todo como visto',
+    'news.markedSeen': 'Todos los pódcasts están marcados como vistos.',
+    'shortcuts.title': 'Atajos de teclado',
+    'shortcuts.search': 'Ir al cuadro de búsqueda',
+    'shortcuts.genres': 'Ir al filtro de géneros',
+    'shortcuts.arrows': 'Moverse entre pódcasts',
+    'shortcuts.homeEnd': 'Primer / último pódcast de la fila (con Ctrl: de la cuadrícula)',
+    'shortcuts.open': 'Abrir el pódcast enfocado',
+    'shortcuts.close': 'Cerrar el diálogo abierto',
+    'shortcuts.help': 'Mostrar esta ayuda',
+    'shortcuts.done': 'Cerrar',
+    'player.label': 'Reproductor de audio',
+    'player.play': 'Reproducir',
+    'player.pause': 'Pausa',
+    'player.playTitle': 'Reproducir {title}',
+    'player.pauseTitle': 'Pausar {title}',
+    'player.back': { one: 'Retroceder {count} segundo', other: 'Retroceder {count} segundos' },
+    'player.forward': { one: 'Avanzar {count} segundo', other: 'Avanzar {count} segundos' },
+    'player.seek': 'Posición',
+    'player.speed': 'Velocidad de reproducción',
+    'player.close': 'Cerrar reproductor',
+    'player.audioFailed': 'no se pudo cargar el audio',
+  },
+  ar: {
+    'locale.name': 'العربية',
+    'header.actions': 'إجراءات المستخدم',
+    'header.search': 'بحث',
+    'theme.label': 'المظهر',
+    'theme.system': '🌓 النظام',
+    'theme.light': '☀️ فاتح',
+    'theme.dark': '🌙 داكن',
+    'theme.highContrast': '◐ تباين عالٍ',
+    'language.label': 'اللغة',
+    'filters.label': 'عوامل تصفية البودكاست',
+    'filters.genre': 'تصفية حسب:',
+    'filters.match': 'مطابقة الأنواع',
+    'filters.matchAny': 'أيٌّ من',
+    'filters.matchAll': 'كلٌّ من',
+    'filters.clearGenres': 'مسح الأنواع',
+    'filters.show': 'عرض',
+    'filters.viewAll': 'كل البودكاست',
+    'filters.viewFavourites': 'المفضلة',
+    'filters.viewOffline': 'المحفوظة بلا اتصال',
+    'filters.viewNew': 'الجديد',
+    'filters.more': 'مزيد من عوامل التصفية',
+    'filters.moreActive': 'مزيد من عوامل التصفية ({count})',
+    'filters.updated': 'آخر تحديث',
+    'filters.updatedAny': 'في أي وقت',
+    'filters.updated7d': 'آخر 7 أيام',
+    'filters.updated30d': 'آخر 30 يومًا',
+    'filters.updated90d': 'آخر 90 يومًا',
+    'filters.updated1y': 'آخر سنة',
+    'filters.updatedCustom': 'نطاق مخصص…',
+    'filters.from': 'من',
+    'filters.to': 'إلى',
+    'filters.seasons': 'المواسم',
+    'filters.seasonsMin': 'على الأقل',
+    'filters.seasonsMax': 'على الأكثر',
+    'filters.min': 'الأدنى',
+    'filters.max': 'الأقصى',
+    'presets.label': 'عوامل التصفية المحفوظة',
+    'presets.choose': 'عوامل التصفية المحفوظة…',
+    'presets.name': 'اسم الإعداد',
+    'presets.save': 'حفظ عوامل التصفية الحالية',
+    'presets.delete': 'حذف المحدد',
+    'presets.saved': 'تم حفظ «{name}».',
+    'presets.deleted': 'تم حذف «{name}».',
+    'presets.nameRequired': 'اختر اسمًا للإعداد أولًا.',
+    'chips.label': 'عوامل التصفية النشطة',
+    'chips.search': 'البحث: «{q}»',
+    'chips.updated': 'آخر تحديث: {range}',
+    'chips.seasons': 'المواسم: {range}',
+    'chips.remove': 'إزالة عامل التصفية: {label}',
+    'chips.clearAll': 'إزالة الكل',
+    'browse.label': 'تصفح',
+    'browse.genres': 'الأنواع',
+    'genres.heading': 'تصفح حسب النوع',
+    'genres.breadcrumb': 'مسار التنقل',
+    'genres.empty': 'لا توجد برامج في هذا النوع بعد.',
+    'genres.count': { zero: 'لا برامج', one: 'برنامج واحد', two: 'برنامجان', few: '{count} برامج', many: '{count} برنامجًا', other: '{count} برنامج' },
+    'sort.label': 'ترتيب البودكاست',
+    'sort.short': 'ترتيب',
+    'sort.relevance': 'الأكثر صلة',
+    'sort.news': 'الجديد أولاً',
+    'sort.updated': 'آخر تحديث',
+    'sort.seasons': 'المواسم',
+    'sort.episodes': 'الحلقات',
+    'sort.title': 'العنوان',
+    'sort.genre': 'النوع',
+    'sort.ascending': '↑ تصاعدي',
+    'sort.descending': '↓ تنازلي',
+    'sort.reverse': 'عكس الترتيب',
+    'search.label': 'البحث في البودكاست',
+    'search.placeholder': 'ابحث في البودكاست...',
+    'pageSize.short': 'لكل صفحة',
+    'pageSize.label': 'عدد البودكاست في الصفحة',
+    'layout.label': 'التخطيط',
+    'layout.card': 'بطاقات',
+    'layout.list': 'قائمة',
+    'layout.compact': 'مضغوط',
+    'pageSize.option': '{count} في الصفحة',
+    'library.label': 'مكتبتي',
+    'library.export': 'تصدير المكتبة',
+    'library.import': 'استيراد المكتبة',
+    'library.imported': {
+      zero: 'لم يُستورد أي عنصر مفضل.',
+      one: 'تم استيراد عنصر مفضل واحد.',
+      two: 'تم استيراد عنصرين مفضلين.',
+      few: 'تم استيراد {count} عناصر مفضلة.',
+      many: 'تم استيراد {count} عنصرًا مفضلًا.',
+      other: 'تم استيراد {count} عنصر مفضل.',
+    },
+    'library.nothingNew': 'لا توجد عناصر مفضلة جديدة في هذا الملف.',
+    'library.importFailed': 'تعذّر استيراد المكتبة: {message}',
+    'library.notJson': 'الملف ليس JSON صالحًا.',
+    'library.noFavourites': 'الملف لا يحتوي على قائمة مفضلة.',
+    'file.readFailed': 'تعذّرت قراءة هذا الملف.',
+    'grid.label': 'شبكة البودكاست',
+    'grid.loading': 'جارٍ تحميل البودكاست…',
+    'grid.failed': 'تعذّر تحميل البودكاست.',
+    'grid.empty': 'لم يُعثر على أي بودكاست.',
+    'grid.emptyFavourites': 'لا توجد عناصر مفضلة بعد. استخدم ☆ على أي بودكاست لإضافته.',
+    'grid.emptyOffline': 'لا توجد برامج محفوظة للاستخدام بلا اتصال بعد. افتح بودكاست واختر «حفظ للاستخدام بلا اتصال».',
+    'grid.emptyNew': 'لا جديد منذ زيارتك الأخيرة.',
+    'status.retry': 'إعادة المحاولة',
+    'results.range': 'عرض {start}–{end} من {total}',
+    'results.count': 'عرض {shown} من {total}',
+    'results.found': {
+      zero: 'لم يُعثر على أي بودكاست',
+      one: 'تم العثور على بودكاست واحد',
+      two: 'تم العثور على بودكاستين',
+      few: 'تم العثور على {count} بودكاست',
+      many: 'تم العثور على {count} بودكاست',
+      other: 'تم العثور على {count} بودكاست',
+    },
+    'pagination.label': 'التنقل بين الصفحات',
+    'pagination.more': 'تحميل المزيد',
+    'pagination.previous': 'الصفحة السابقة',
+    'pagination.next': 'الصفحة التالية',
+    'pagination.page': 'الصفحة {page}',
+    'card.label': 'معاينة البودكاست',
+    'card.cover': 'غلاف {title}',
+    'card.coverFallback': 'غلاف البودكاست',
+    'card.placeholder': 'غلاف البودكاست',
+    'card.seasons': {
+      zero: 'لا مواسم',
+      one: 'موسم واحد',
+      two: 'موسمان',
+      few: '{count} مواسم',
+      many: '{count} موسمًا',
+      other: '{count} موسم',
+    },
+    'card.nowPlaying': '▶ قيد التشغيل',
+    'card.new': 'جديد',
+    'card.updated': 'محدَّث',
+    'card.labelWithNews': '{title}، {status}',
+    'genre.filterBy': 'تصفية حسب {genre}',
+    'favourite.add': 'إضافة إلى المفضلة',
+    'favourite.remove': 'إزالة من المفضلة',
+    'favourite.addButton': '☆ إضافة إلى المفضلة',
+    'favourite.inButton': '★ في المفضلة',
+    'updated.label': 'حُدِّث {when}',
+    'modal.close': 'إغلاق النافذة',
+    'modal.cover': 'غلاف كبير',
+    'modal.description': 'الوصف',
+    'modal.genres': 'الأنواع',
+    'modal.seasons': 'المواسم',
+    'modal.seasonsList': 'قائمة المواسم',
+    'modal.similar': 'قد يعجبك أيضًا',
+    'modal.updated': 'آخر تحديث: {date}',
+    'seasons.loading': 'جارٍ تحميل المواسم…',
+    'seasons.failed': 'تعذّر تحميل المواسم.',
+    'seasons.none': 'لا توجد مواسم بعد',
+    'seasons.episodes': {
+      zero: 'لا حلقات',
+      one: 'حلقة واحدة',
+      two: 'حلقتان',
+      few: '{count} حلقات',
+      many: '{count} حلقة',
+      other: '{count} حلقة',
+    },
+    'episode.number': 'ح{number}',
+    'episode.title': 'الحلقة {number}',
+    'episode.untitled': 'حلقة بلا عنوان',
+    'duration.minutes': '{m} د',
+    'duration.hours': '{h} س {m} د',
+    'feed.open': 'إضافة خلاصة',
+    'feed.title': 'إضافة خلاصة بودكاست',
+    'feed.paste': 'الصق XML بصيغة RSS أو Atom',
+    'feed.file': '…أو اختر ملفًا محليًا',
+    'feed.cancel': 'إلغاء',
+    'feed.submit': 'استيراد',
+    'feed.empty': 'الصق خلاصة أو اختر ملفًا أولًا.',
+    'feed.notXml': 'الخلاصة ليست XML سليم البنية.',
+    'feed.notFeed': 'هذه ليست خلاصة RSS أو Atom.',
+    'feed.noTitle': 'الخلاصة بلا عنوان.',
+    'feed.season': 'الموسم {number}',
+    'offline.banner': 'أنت غير متصل. البرامج المحفوظة والأغلفة التي شاهدتها ما زالت متاحة.',
+    'offline.saveButton': '⤓ حفظ للاستخدام بلا اتصال',
+    'offline.savedButton': '✓ متاح بلا اتصال',
+    'offline.saving': 'جارٍ الحفظ…',
+    'offline.failed': 'تعذّر الحفظ للاستخدام بلا اتصال. تحقّق من الاتصال وحاول مجددًا.',
+    'offline.removeFailed': 'لم يعد محفوظًا للاستخدام بلا اتصال، لكن تعذّر حذف بعض ملفاته.',
+    'offline.badge': 'متاح بلا اتصال',
+    'news.markSeen': 'تعليم الكل كمُشاهَد',
+    'news.markedSeen': 'تم تعليم كل البرامج كمُشاهَدة.',
+    'shortcuts.title': 'اختصارات لوحة المفاتيح',
+    'shortcuts.search': 'الانتقال إلى مربع البحث',
+    'shortcuts.genres': 'الانتقال إلى تصفية الأنواع',
+    'shortcuts.arrows': 'التنقل بين البودكاست',
+    'shortcuts.homeEnd': 'أول / آخر بودكاست في الصف (مع Ctrl: في الشبكة)',
+    'shortcuts.open': 'فتح البودكاست المحدد',
+    'shortcuts.close': 'إغلاق مربع الحوار المفتوح',
+    'shortcuts.help': 'عرض هذه المساعدة',
+    'shortcuts.done': 'إغلاق',
+    'player.label': 'مشغّل الصوت',
+    'player.play': 'تشغيل',
+    'player.pause': 'إيقاف مؤقت',
+    'player.playTitle': 'تشغيل {title}',
+    'player.pauseTitle': 'إيقاف {title} مؤقتًا',
+    'player.back': { one: 'رجوع ثانية واحدة', two: 'رجوع ثانيتين', few: 'رجوع {count} ثوانٍ', many: 'رجوع {count} ثانية', other: 'رجوع {count} ثانية' },
+    'player.forward': { one: 'تقديم ثانية واحدة', two: 'تقديم ثانيتين', few: 'تقديم {count} ثوانٍ', many: 'تقديم {count} ثانية', other: 'تقديم {count} ثانية' },
+    'player.seek': 'موضع التشغيل',
+    'player.speed': 'سرعة التشغيل',
+    'player.close': 'إغلاق المشغّل',
+    'player.audioFailed': 'تعذّر تحميل الصوت',
+  },
+};
+
+let currentLocale = readLocale(); // active locale, also kept when storage is blocked
+const intlCache = new Map(); // locale -> its Intl formatters (see intlFor)
+let intl = intlFor(currentLocale); // formatters of the active locale, swapped by setLocale
+
+/**
+ * The Intl formatters of a locale, built once. Sorting compares titles thousands of times per keystroke,
+ * and a new Intl.Collator per comparison is what made it slow.
+ * @param {string} locale
+ * @returns {{number: Intl.NumberFormat, plural: Intl.PluralRules, collator: Intl.Collator}}
+ */
+function intlFor(locale) {
+  if (!intlCache.has(locale)) {
+    intlCache.set(locale, {
+      number: new Intl.NumberFormat(locale),
+      plural: new Intl.PluralRules(locale),
+      collator: new Intl.Collator(locale, { sensitivity: 'base', numeric: true }),
+    });
+  }
+  return intlCache.get(locale);
+}
+
+/**
+ * Saved locale, else the browser's first supported language, else English.
+ * @returns {string} a key of I18N_MESSAGES
+ */
+function readLocale() {
+  try {
+    const saved = localStorage.getItem(I18N_STORAGE_KEY);
+    if (saved && I18N_MESSAGES[saved]) return saved;
+  } catch (e) {} // storage blocked
+  const nav = typeof navigator !== 'undefined' ? navigator : {}; // absent under Node before v21
+  const preferred = (nav.languages && nav.languages.length ? nav.languages : [nav.language || ''])
+    .map(tag => String(tag).split('-')[0].toLowerCase());
+  return preferred.find(lang => I18N_MESSAGES[lang]) || I18N_DEFAULT_LOCALE;
+}
+
+/** @returns {string} the active locale */
+export function getLocale() {
+  return currentLocale;
+}
+
+/** @returns {Array<{code: string, name: string}>} locales with a catalog, named in their own language */
+export function availableLocales() {
+  return Object.keys(I18N_MESSAGES).map(code => ({ code, name: I18N_MESSAGES[code]['locale.name'] }));
+}
+
+/**
+ * Text direction of a locale.
+ * @param {string} [locale]
+ * @returns {string} "rtl" | "ltr"
+ */
+export function localeDirection(locale = currentLocale) {
+  return I18N_RTL_LANGUAGES.includes(String(locale).split('-')[0]) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Switch the locale, persist it, translate the static markup and fire "locale-changed" on document
+ * (detail: { locale, dir }) so rendered views can redraw.
+ * @param {string} locale - a key of I18N_MESSAGES
+ */
+export function setLocale(locale) {
+  currentLocale = I18N_MESSAGES[locale] ? locale : I18N_DEFAULT_LOCALE;
+  intl = intlFor(currentLocale);
+  try {
+    localStorage.setItem(I18N_STORAGE_KEY, currentLocale);
+  } catch (e) {} // keep the choice for this page only
+  applyLocale();
+}
+
+// set <html lang dir>, translate data-i18n markup and notify listeners
+function applyLocale() {
+  const dir = localeDirection();
+  document.documentElement.lang = currentLocale;
+  document.documentElement.dir = dir;
+  if (document.body) translateDocument(document);
+  document.dispatchEvent(new CustomEvent('locale-changed', { detail: { locale: currentLocale, dir } }));
+}
+
+/**
+ * Format a number for the active locale.
+ * @param {number} n
+ * @returns {string}
+ */
+export function formatNumber(n) {
+  return intl.number.format(n);
+}
+
+/**
+ * Look up a message and fill in {placeholders}. Numbers are formatted for the locale, and plural
+ * messages pick their form from params.count with Intl.PluralRules. Missing keys fall back to
+ * English, then to the key itself.
+ * @param {string} key - e.g. "card.seasons"
+ * @param {object} [params] - placeholder values
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  const own = I18N_MESSAGES[currentLocale] && I18N_MESSAGES[currentLocale][key];
+  const locale = own !== undefined ? currentLocale : I18N_DEFAULT_LOCALE;
+  let message = own !== undefined ? own : I18N_MESSAGES[I18N_DEFAULT_LOCALE][key];
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    const category = intlFor(locale).plural.select(Number(params.count) || 0);
+    message = message[category] !== undefined ? message[category] : message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (whole, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return whole;
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+/**
+ * Compare two titles for sorting in the active locale (accents and case ignored, numbers in order).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareTitles(a, b) {
+  return intl.collator.compare(String(a || ''), String(b || ''));
+}
+
+/**
+ * Translate static markup under root:
+ * - data-i18n="key" replaces the text content (data-i18n-count supplies {count})
+ * - data-i18n-attr="aria-label:key; placeholder:key" sets attributes
+ * @param {Document|Element} root
+ */
+export function translateDocument(root) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n, { count: Number(el.dataset.i18nCount) });
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+    el.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attr, key] = pair.split(':').map(s => s.trim());
+      if (attr && key) el.setAttribute(attr, t(key, { count: Number(el.dataset.i18nCount) }));
+    });
+  });
+}
+
+// lang / dir right away; modules run after parsing, but markup is translated once it exists either way.
+// Without a document (plain Node) only the catalogs and formatting are used
+if (typeof document !== 'undefined') {
+  applyLocale();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => translateDocument(document), { once: true });
+  }
+}
@@ -0,0 +1,98 @@
+// ----- library.js -----
+// Favourites ("My Library") for the PodcastApp
+// Favourite podcast ids are kept in localStorage and can be exported to / imported from JSON
+// so a list can be shared with teammates.
+
+import { createStore } from './store.js';
+
+export const LIBRARY_STORAGE_KEY = 'podcastapp:library';
+const LIBRARY_EXPORT_VERSION = 1;
+
+/**
+ * Create the favourites store.
+ * Falls back to memory-only when storage is unavailable (private mode, blocked cookies).
+ * @param {Storage} [storage] - defaults to window.localStorage
+ * @param {string} [key] - storage key
+ * @returns {{has: Function, toggle: Function, ids: Function, exportJSON: Function, importJSON: Function, onChange: Function}}
+ */
+export function createLibrary(storage, key = LIBRARY_STORAGE_KEY) {
+  const persisted = createStore(key, readFavourites, { storage, label: 'favourites' });
+  const entries = persisted.read(); // podcast id -> { id, title, addedAt }
+
+  function save() {
+    persisted.save(Array.from(entries.values()));
+  }
+
+  return {
+    /** @param {string} id @returns {boolean} */
+    has(id) {
+      return entries.has(String(id));
+    },
+    /**
+     * Add or remove a favourite.
+     * @param {{id: string, title?: string}} podcast
+     * @param {boolean} [force] - true adds, false removes, omitted flips
+     * @returns {boolean} whether the podcast is a favourite afterwards
+     */
+    toggle(podcast, force) {
+      const id = String(podcast.id);
+      const next = force === undefined ? !entries.has(id) : !!force;
+      if (next === entries.has(id)) return next; // nothing to do
+      if (next) entries.set(id, { id, title: podcast.title || '', addedAt: new Date().toISOString() });
+      else entries.delete(id);
+      save();
+      return next;
+    },
+    /** @returns {string[]} favourite podcast ids, oldest first */
+    ids() {
+      return Array.from(entries.keys());
+    },
+    /** @returns {string} pretty-printed JSON export of the library */
+    exportJSON() {
+      return JSON.stringify({
+        version: LIBRARY_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        favourites: Array.from(entries.values()),
+      }, null, 2);
+    },
+    /**
+     * Merge an exported library (or a bare array of ids) into this one.
+     * @param {string} text - JSON text
+     * @returns {number} how many favourites were added
+     * @throws {Error} when the text is not a library export; its code is the message key "library.notJson" or
+     *   "library.noFavourites"
+     */
+    importJSON(text) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw Object.assign(new Error('library.notJson'), { code: 'library.notJson' });
+      }
+      const list = Array.isArray(data) ? data : data && Array.isArray(data.favourites) ? data.favourites : null;
+      if (!list) throw Object.assign(new Error('library.noFavourites'), { code: 'library.noFavourites' });
+      let added = 0;
+      list.forEach(item => {
+        const entry = typeof item === 'object' && item ? item : { id: item };
+        if (entry.id === undefined || entry.id === null || entries.has(String(entry.id))) return;
+        entries.set(String(entry.id), { id: String(entry.id), title: entry.title || '', addedAt: entry.addedAt || new Date().toISOString() });
+        added++;
+      });
+      if (added) save();
+      return added;
+    },
+    /** @param {Function} fn - called after every change */
+    onChange(fn) {
+      persisted.onChange(fn);
+    },
+  };
+}
+
+// saved favourites as a Map, skipping entries without an id
+function readFavourites(saved) {
+  const entries = new Map();
+  (Array.isArray(saved) ? saved : []).forEach(e => {
+    if (e && e.id !== undefined) entries.set(String(e.id), { id: String(e.id), title: e.title || '', addedAt: e.addedAt || null });
+  });
+  return entries;
+}
@@ -0,0 +1,64 @@
+// ----- lintCatalog.js -----
+// Command line catalog linter (Node only, not part of the page)
+// Checks a data file offline with the same validateCatalog() the app runs on load and prints every problem:
+//   node lintCatalog.js [--json] [--strict] [--write <out.json>] <data.js | catalog.json>
+// Exits with 1 when there are errors (or, with --strict, warnings), 2 when the file can't be read.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { runInNewContext } from 'node:vm';
+import { validateCatalog, formatProblem, summarizeProblems } from './catalogSchema.js';
+
+const USAGE = 'Usage: node lintCatalog.js [--json] [--strict] [--write <out.json>] <data.js | catalog.json>';
+
+/**
+ * Read a catalog file: JSON with podcasts / genres / seasons keys, or a script like data.js that defines
+ * them as globals (run in an empty sandbox, without access to Node).
+ * @param {string} file
+ * @returns {{podcasts?: Array, genres?: Array, seasons?: Array}}
+ */
+function readCatalog(file) {
+  const text = readFileSync(file, 'utf8');
+  if (file.endsWith('.json')) return JSON.parse(text);
+  const sandbox = {};
+  runInNewContext(text, sandbox, { filename: file, timeout: 5000 });
+  return { podcasts: sandbox.podcasts, genres: sandbox.genres, seasons: sandbox.seasons };
+}
+
+// parse the command line: flags in any order, one file
+function parseArgs(argv) {
+  const args = { json: false, strict: false, write: '', file: '' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === '--strict') args.strict = true;
+    else if (argv[i] === '--write' && argv[i + 1]) args.write = argv[++i];
+    else if (!argv[i].startsWith('--') && !args.file) args.file = argv[i];
+    else return null;
+  }
+  return args.file ? args : null;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+let raw;
+try {
+  raw = readCatalog(args.file);
+} catch (err) {
+  console.error(`${args.file}: ${err.message}`);
+  process.exit(2);
+}
+
+const { catalog, problems } = validateCatalog(raw);
+if (args.json) {
+  console.log(JSON.stringify(problems, null, 2));
+} else {
+  problems.forEach(p => console.log(formatProblem(p)));
+  console.log(`${args.file}: ${summarizeProblems(problems)}`);
+}
+if (args.write) writeFileSync(args.write, `${JSON.stringify(catalog, null, 2)}\n`); // the normalized catalog
+
+const failed = problems.some(p => p.level === 'error' || args.strict);
+process.exit(failed ? 1 : 0);
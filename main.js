@@ -0,0 +1,19 @@
+// ----- main.js -----
+// Entry point for index.html
+// Mounts the PodcastApp on the whole page (with URL routing and the page-wide keyboard shortcuts) and
+// registers the service worker. Adding ?dev to the URL lists catalog problems in an overlay and adds the made-up
+// episodes from fixtures/demoEpisodes.js to a few shows. Pages embedding the app import createPodcastApp from app.js instead.
+
+import { createPodcastApp } from './app.js';
+import { providerFromElement } from './dataProvider.js';
+import { registerServiceWorker } from './offline.js';
+
+const dev = new URLSearchParams(location.search).has('dev');
+let provider; // the grid's data attributes pick it (see dataProvider.js)
+if (dev) {
+  const { withDemoEpisodes } = await import('./fixtures/demoEpisodes.js'); // never fetched outside dev mode
+  provider = withDemoEpisodes(providerFromElement(document.getElementById('podcast-grid')));
+}
+
+createPodcastApp(document.body, { routing: true, shortcuts: true, dev, provider });
+registerServiceWorker(); // precache the app shell and cover art for offline use (sw.js)
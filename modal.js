@@ -0,0 +1,381 @@
+// ----- modal.js -----
+// Podcast details modal for the PodcastApp
+// Fills the modal with one podcast (cover, description, genres, seasons and episodes with play buttons,
+// and cards for similar shows), keeps its favourite / offline buttons in sync with the stores, and opens it
+// through the dialog controller (a11y.js). Routing (the #/podcast/<id> history entry) stays with the app.
+
+import { t, getLocale, formatNumber } from './i18n.js';
+import { formatDuration, placeholderDataURI, buildStatus } from './format.js';
+import { highlightInto } from './search.js';
+
+/**
+ * Create the controller for the podcast modal.
+ * @param {Object} els - modal elements: { modal, close, cover, title, favourite, offline, offlineStatus,
+ *   description, genres, updated, seasons, similar, similarSection }
+ *   Cards in `similar` dispatch podcast-selected like grid cards; the app opens the podcast it names
+ * @param {Object} deps
+ * @param {Object} deps.dialogs - dialog controller from createDialogController
+ * @param {Object} deps.player - from createPlayer
+ * @param {Object} deps.library - favourites, from createLibrary
+ * @param {Object} deps.offlineStore - from createOfflineStore
+ * @param {Function} deps.loadSeasons - (podcast) => Promise<Array> seasonDetails
+ * @param {Function} [deps.onDismiss] - Escape, backdrop and ✕ (e.g. to close through history.back()); defaults to close
+ * @param {Function} [deps.onGenre] - (genreId) when a genre pill in the modal (or on a similar show) is clicked
+ * @param {string} [deps.idPrefix] - prefix for generated ids, for pages with more than one app
+ * @param {AbortSignal} [deps.signal] - aborting it removes the modal's listeners
+ * @returns {{open: Function, close: Function, openId: Function}}
+ */
+export function createPodcastModal(els, deps) {
+  const { dialogs, player, library, offlineStore, loadSeasons, idPrefix = '', signal } = deps;
+  let current = null; // { podcast, genres, terms, similar } on display, null while closed
+
+  /**
+   * Show a podcast, or redraw it when already open.
+   * @param {Object} p - podcast in data.js shape
+   * @param {{genres?: Array<{id: number, title: string}>, terms?: string[], similar?: Array}} [view] - genre names,
+   *   words to highlight, and similar shows (podcasts with genres as { id, title }) for "You might also like"
+   */
+  function open(p, view = {}) {
+    const replacing = current !== null && openId() !== String(p.id);
+    current = { podcast: p, genres: view.genres || [], terms: view.terms || [], similar: view.similar || [] };
+    render();
+    // a no-op when already open; Escape and backdrop clicks go through onDismiss
+    dialogs.open(els.modal, { initialFocus: els.close, onDismiss: dismiss });
+    if (replacing) {
+      els.modal.scrollTop = 0; // start the new show from the top
+      els.close.focus(); // the similar-show card that had focus was replaced
+    }
+  }
+
+  function close() {
+    current = null;
+    dialogs.close(els.modal); // also closes dialogs stacked on it and returns focus to the opener
+  }
+
+  function dismiss() {
+    if (deps.onDismiss) deps.onDismiss();
+    else close();
+  }
+
+  /** @returns {string|null} id of the podcast on display */
+  function openId() {
+    return current ? String(current.podcast.id) : null;
+  }
+
+  // fill the modal from current (also used to redraw it in another language)
+  function render() {
+    const p = current.podcast;
+    els.cover.src = p.image || placeholderDataURI(500, 300);
+    els.cover.onerror = function () {
+      if (!els.cover.src || !els.cover.src.startsWith('data:')) {
+        els.cover.src = placeholderDataURI(500, 300);
+      }
+    };
+
+    els.title.textContent = p.title || '';
+    updateFavourite();
+    updateOffline();
+    els.offlineStatus.textContent = '';
+    highlightInto(els.description, p.description || '', current.terms); // text nodes + <mark> only
+    els.genres.innerHTML = '';
+    current.genres.forEach(g => {
+      const pill = document.createElement('button');
+      pill.type = 'button';
+      pill.className = 'genre-pill';
+      pill.dataset.genreId = String(g.id);
+      pill.textContent = g.title;
+      pill.setAttribute('aria-label', t('genre.filterBy', { genre: g.title }));
+      els.genres.appendChild(pill);
+    });
+    const updated = new Date(p.updated || ''); // left out when the catalog has no (valid) date
+    els.updated.textContent = isNaN(updated) ? '' : t('modal.updated', { date: updated.toLocaleDateString(getLocale(), { year: 'numeric', month: 'long', day: 'numeric' }) });
+    showSeasons(p);
+    renderSimilar();
+  }
+
+  // "You might also like": one card per similar show (the section stays hidden without any)
+  function renderSimilar() {
+    if (!els.similar) return;
+    els.similar.innerHTML = '';
+    current.similar.forEach(s => {
+      const card = document.createElement('podcast-preview');
+      card.podcast = s;
+      card.favourite = library.has(s.id);
+      els.similar.appendChild(card);
+    });
+    if (els.similarSection) els.similarSection.hidden = current.similar.length === 0;
+  }
+
+  // sync the favourite button, and the stars on similar shows, with the library
+  function updateFavourite() {
+    if (!current) return;
+    const fav = library.has(current.podcast.id);
+    els.favourite.setAttribute('aria-pressed', String(fav));
+    els.favourite.textContent = t(fav ? 'favourite.inButton' : 'favourite.addButton');
+    if (els.similar) {
+      els.similar.querySelectorAll('podcast-preview').forEach(card => {
+        card.favourite = library.has(card.pid);
+      });
+    }
+  }
+
+  // sync the "save for offline" button with the offline store
+  function updateOffline() {
+    if (!current) return;
+    const saved = offlineStore.has(current.podcast.id);
+    els.offline.setAttribute('aria-pressed', String(saved));
+    els.offline.textContent = t(saved ? 'offline.savedButton' : 'offline.saveButton');
+  }
+
+  // save or forget the open podcast for offline use
+  async function toggleOffline() {
+    if (!current) return;
+    const p = current.podcast;
+    const saved = offlineStore.has(p.id);
+    els.offlineStatus.textContent = '';
+    els.offline.disabled = true;
+    if (!saved) els.offline.textContent = t('offline.saving');
+    try {
+      if (saved) {
+        await offlineStore.remove(p.id);
+      } else {
+        // seasons from a fetch data source pass through the service worker's data cache on the way
+        await loadSeasons(p);
+        await offlineStore.save(p);
+      }
+    } catch (err) {
+      console.warn(saved ? 'Could not delete offline files' : 'Could not save for offline use', err);
+      els.offlineStatus.textContent = t(saved ? 'offline.removeFailed' : 'offline.failed');
+    }
+    els.offline.disabled = false;
+    updateOffline();
+  }
+
+  // fetch the seasons for the open podcast, showing loading / error states in the seasons list
+  async function showSeasons(p) {
+    const list = els.seasons;
+    list.setAttribute('aria-busy', 'true');
+    list.innerHTML = '';
+    list.appendChild(buildStatus('loading', t('seasons.loading')));
+    let details;
+    try {
+      details = await loadSeasons(p);
+    } catch (err) {
+      if (openId() !== String(p.id)) return; // modal moved on to another podcast
+      list.setAttribute('aria-busy', 'false');
+      list.innerHTML = '';
+      list.appendChild(buildStatus('error', t('seasons.failed'), () => showSeasons(p)));
+      return;
+    }
+    if (openId() !== String(p.id)) return; // ignore late responses
+    list.setAttribute('aria-busy', 'false');
+    renderSeasons(p, details);
+  }
+
+  // seasons list
+  function renderSeasons(p, details) {
+    els.seasons.innerHTML = '';
+    if (Array.isArray(details) && details.length > 0) {
+      details.forEach((sd, i) => {
+        const episodes = Array.isArray(sd.episodeDetails) ? sd.episodeDetails : [];
+        const count = sd.episodes || episodes.length;
+        const sub = count > 0 ? t('seasons.episodes', { count }) : '';
+        // seasons with episode records expand; the rest keep the count-only row
+        const track = sd.file ? trackFor(p, sd, i) : null; // optional season-level audio (e.g. a trailer)
+        els.seasons.appendChild(episodes.length
+          ? buildSeasonAccordion(sd.title, sub, episodes.map(ep => ({ ep, track: ep.file ? trackFor(p, sd, i, ep) : null })), i, track)
+          : buildSeasonItem(sd.title, sub, count ? formatNumber(count) : '', track));
+      });
+    } else {
+      els.seasons.appendChild(buildSeasonItem(t('modal.seasons'), p.seasons > 0 ? formatNumber(p.seasons) : t('seasons.none'), ''));
+    }
+  }
+
+  // one .season-item row; built with textContent since remote providers may supply the titles
+  function buildSeasonItem(title, sub, kv, track) {
+    const node = document.createElement('div');
+    node.className = 'season-item';
+    const text = document.createElement('div');
+    const titleEl = document.createElement('div');
+    titleEl.className = 'season-title';
+    titleEl.textContent = title;
+    const subEl = document.createElement('div');
+    subEl.className = 'season-sub';
+    subEl.textContent = sub;
+    text.append(titleEl, subEl);
+    const kvEl = document.createElement('div');
+    kvEl.className = 'kv';
+    kvEl.textContent = kv;
+    if (track) kvEl.appendChild(buildPlayButton(track));
+    node.append(text, kvEl);
+    return node;
+  }
+
+  // expandable season: a heading button (aria-expanded) controlling a list of episodes
+  // episodes are { ep, track } pairs; track is null for episodes without audio
+  function buildSeasonAccordion(title, sub, episodes, index, track) {
+    const node = document.createElement('div');
+    node.className = 'season-item season-item--expandable';
+    const panelId = `${idPrefix}season-panel-${index}`;
+
+    const heading = document.createElement('h5');
+    heading.className = 'season-heading';
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'season-toggle';
+    toggle.id = `${idPrefix}season-toggle-${index}`;
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', panelId);
+    const titleEl = document.createElement('span');
+    titleEl.className = 'season-title';
+    titleEl.textContent = title;
+    const subEl = document.createElement('span');
+    subEl.className = 'season-sub';
+    subEl.textContent = sub;
+    const chevron = document.createElement('span');
+    chevron.className = 'season-chevron';
+    chevron.setAttribute('aria-hidden', 'true');
+    toggle.append(titleEl, subEl, chevron);
+    heading.appendChild(toggle);
+    if (track) heading.appendChild(buildPlayButton(track)); // sibling of the toggle, not nested in it
+
+    const panel = document.createElement('div'); // the region; an <ol> can't take role="region" and keep its items
+    panel.id = panelId;
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-labelledby', toggle.id);
+    panel.hidden = true;
+    const list = document.createElement('ol');
+    list.className = 'episode-list';
+    episodes
+      .slice()
+      .sort((a, b) => (a.ep.episode || 0) - (b.ep.episode || 0))
+      .forEach(({ ep, track: epTrack }) => list.appendChild(buildEpisodeItem(ep, epTrack)));
+    panel.appendChild(list);
+
+    toggle.addEventListener('click', () => {
+      const expanded = toggle.getAttribute('aria-expanded') !== 'true';
+      toggle.setAttribute('aria-expanded', String(expanded));
+      panel.hidden = !expanded;
+    });
+
+    node.append(heading, panel);
+    return node;
+  }
+
+  // one episode in an expanded season
+  function buildEpisodeItem(ep, track) {
+    const li = document.createElement('li');
+    li.className = 'episode';
+    const head = document.createElement('div');
+    head.className = 'episode-head';
+    const num = document.createElement('span');
+    num.className = 'episode-number';
+    num.textContent = ep.episode ? t('episode.number', { number: ep.episode }) : '';
+    const title = document.createElement('span');
+    title.className = 'episode-title';
+    title.textContent = ep.title || t('episode.untitled');
+    head.append(num, title);
+    if (track) head.appendChild(buildPlayButton(track));
+
+    const meta = document.createElement('div');
+    meta.className = 'episode-meta';
+    const date = ep.date ? new Date(ep.date) : null;
+    meta.textContent = [
+      date && !isNaN(date) ? date.toLocaleDateString(getLocale(), { year: 'numeric', month: 'short', day: 'numeric' }) : '',
+      formatDuration(ep.duration),
+    ].filter(Boolean).join(' · ');
+
+    li.append(head, meta);
+    if (ep.description) {
+      const desc = document.createElement('p');
+      desc.className = 'episode-description';
+      desc.textContent = ep.description;
+      li.appendChild(desc);
+    }
+    return li;
+  }
+
+  // player track for a season row (episode omitted) or an episode row
+  function trackFor(p, sd, seasonIndex, ep) {
+    return {
+      key: `${p.id}:${seasonIndex}:${ep ? ep.episode || ep.title : 'season'}`,
+      podcastId: String(p.id),
+      title: ep ? ep.title || t('episode.title', { number: ep.episode }) : sd.title,
+      show: p.title || '',
+      cover: p.image || '',
+      src: ep ? ep.file : sd.file,
+    };
+  }
+
+  // ▶ button for a season or episode row; its state follows the player
+  function buildPlayButton(track) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'play-btn';
+    btn.dataset.trackKey = track.key;
+    btn.addEventListener('click', e => {
+      e.stopPropagation(); // don't toggle the season accordion
+      const playing = player.current();
+      if (playing && playing.key === track.key && player.isPlaying()) player.pause();
+      else player.play(track);
+    });
+    updatePlayButton(btn, track.title);
+    return btn;
+  }
+
+  function updatePlayButton(btn, label) {
+    const track = player.current();
+    const playing = !!track && track.key === btn.dataset.trackKey && player.isPlaying();
+    btn.textContent = playing ? '❚❚' : '▶';
+    btn.setAttribute('aria-pressed', String(playing));
+    if (label) btn.dataset.label = label;
+    btn.setAttribute('aria-label', btn.dataset.label ? t(playing ? 'player.pauseTitle' : 'player.playTitle', { title: btn.dataset.label }) : t(playing ? 'player.pause' : 'player.play'));
+  }
+
+  // arrow keys move between season toggles (accordion keyboard pattern)
+  function onSeasonsKeydown(e) {
+    if (!e.target.classList.contains('season-toggle')) return;
+    const toggles = Array.from(els.seasons.querySelectorAll('.season-toggle'));
+    const i = toggles.indexOf(e.target);
+    let next = null;
+    if (e.key === 'ArrowDown') next = toggles[(i + 1) % toggles.length];
+    else if (e.key === 'ArrowUp') next = toggles[(i - 1 + toggles.length) % toggles.length];
+    else if (e.key === 'Home') next = toggles[0];
+    else if (e.key === 'End') next = toggles[toggles.length - 1];
+    if (!next) return;
+    e.preventDefault();
+    next.focus();
+  }
+
+  els.seasons.addEventListener('keydown', onSeasonsKeydown, { signal });
+  els.close.addEventListener('click', dismiss, { signal });
+  els.favourite.addEventListener('click', () => {
+    if (current) library.toggle(current.podcast);
+  }, { signal });
+  els.offline.addEventListener('click', toggleOffline, { signal });
+  els.genres.addEventListener('click', e => {
+    const pill = e.target.closest('.genre-pill');
+    if (pill && deps.onGenre) deps.onGenre(pill.dataset.genreId);
+  }, { signal });
+  if (els.similar) {
+    // genre pills on similar shows behave like the modal's own pills instead of reaching the grid's handler
+    els.similar.addEventListener('genre-selected', e => {
+      e.stopPropagation();
+      if (e.detail && deps.onGenre) deps.onGenre(e.detail.id);
+    }, { signal });
+  }
+  library.onChange(updateFavourite);
+  offlineStore.onChange(updateOffline);
+  player.onChange(() => els.seasons.querySelectorAll('.play-btn').forEach(btn => updatePlayButton(btn)));
+  document.addEventListener('locale-changed', () => {
+    if (current) render();
+  }, { signal });
+  document.addEventListener('theme-changed', () => {
+    if (els.cover.src.startsWith('data:')) els.cover.src = placeholderDataURI(500, 300);
+  }, { signal });
+
+  els.modal.hidden = true;
+  els.modal.setAttribute('aria-hidden', 'true');
+
+  return { open, close, openId };
+}
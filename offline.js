@@ -0,0 +1,121 @@
+// ----- offline.js -----
+// Offline support for the PodcastApp (page side)
+// Registers the service worker (sw.js), keeps the offline banner in sync with the connection, and
+// stores "saved for offline" shows: their cover art goes into a cache the service worker serves
+// first and never evicts, and the list of saved shows is kept in localStorage.
+
+import { createStore } from './store.js';
+
+export const OFFLINE_STORAGE_KEY = 'podcastapp:offline';
+const OFFLINE_CACHE = 'podcastapp-offline-v1'; // must match OFFLINE_CACHE in sw.js
+
+/**
+ * Register the service worker when the page is served over http(s) by a supporting browser.
+ * @param {string} [url] - worker script, relative to the page
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export function registerServiceWorker(url = 'sw.js') {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return Promise.resolve(null);
+  return navigator.serviceWorker.register(url).catch(err => {
+    console.warn('Service worker registration failed', err);
+    return null;
+  });
+}
+
+/**
+ * Show the banner whenever the browser reports no connection.
+ * @param {HTMLElement} banner
+ * @param {Function} [onChange] - called with (online) after every change
+ * @param {{signal?: AbortSignal}} [options] - aborting signal stops watching
+ */
+export function watchConnection(banner, onChange, { signal } = {}) {
+  const update = () => {
+    const online = navigator.onLine !== false;
+    banner.hidden = online;
+    if (onChange) onChange(online);
+  };
+  window.addEventListener('online', update, { signal });
+  window.addEventListener('offline', update, { signal });
+  update();
+}
+
+/**
+ * Create the store of shows saved for offline use.
+ * Falls back to memory-only when storage is unavailable (see store.js).
+ * @param {Storage} [storage] - defaults to window.localStorage
+ * @param {string} [key] - storage key
+ * @returns {{has: Function, ids: Function, save: Function, remove: Function, onChange: Function}}
+ */
+export function createOfflineStore(storage, key = OFFLINE_STORAGE_KEY) {
+  const persisted = createStore(key, readSavedShows, { storage, label: 'offline list' });
+  const entries = persisted.read(); // podcast id -> { id, title, urls, savedAt }
+
+  function persist() {
+    persisted.save(Array.from(entries.values()));
+  }
+
+  // the cache is optional: without the Cache API only the list is kept
+  function openCache() {
+    return 'caches' in window ? caches.open(OFFLINE_CACHE) : Promise.resolve(null);
+  }
+
+  return {
+    /** @param {string} id @returns {boolean} */
+    has(id) {
+      return entries.has(String(id));
+    },
+    /** @returns {string[]} saved podcast ids, oldest first */
+    ids() {
+      return Array.from(entries.keys());
+    },
+    /**
+     * Save a show for offline use: fetch its cover into the offline cache, then remember it.
+     * @param {{id: string, title?: string, image?: string}} podcast
+     * @returns {Promise<void>}
+     * @throws {Error} when the cover can't be fetched (usually because the browser is offline)
+     */
+    async save(podcast) {
+      const id = String(podcast.id);
+      const urls = [podcast.image].filter(url => url && !String(url).startsWith('data:'));
+      const cache = await openCache();
+      if (cache) {
+        await Promise.all(urls.map(async url => {
+          // cover CDNs send no CORS headers; opaque is fine for <img>. Offline, reuse a cover the service worker already has
+          const response = await fetch(url, { mode: 'no-cors' }).catch(() => caches.match(url));
+          if (!response) throw new Error(`Could not fetch ${url}`);
+          await cache.put(url, response);
+        }));
+      }
+      entries.set(id, { id, title: podcast.title || '', urls, savedAt: new Date().toISOString() });
+      persist();
+    },
+    /**
+     * Forget a saved show and drop its cached files.
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+      const entry = entries.get(String(id));
+      if (!entry) return;
+      entries.delete(String(id));
+      persist();
+      const cache = await openCache();
+      if (cache) await Promise.all(entry.urls.map(url => cache.delete(url)));
+    },
+    /** @param {Function} fn - called after every change */
+    onChange(fn) {
+      persisted.onChange(fn);
+    },
+  };
+}
+
+// saved shows as a Map, skipping entries without an id
+function readSavedShows(saved) {
+  const entries = new Map();
+  (Array.isArray(saved) ? saved : []).forEach(e => {
+    if (e && e.id !== undefined) {
+      entries.set(String(e.id), { id: String(e.id), title: e.title || '', urls: Array.isArray(e.urls) ? e.urls : [], savedAt: e.savedAt || null });
+    }
+  });
+  return entries;
+}
@@ -0,0 +1,205 @@
+// ----- player.js -----
+// Global audio player for the PodcastApp
+// One <audio> element drives a sticky mini-player bar that lives outside the podcast modal,
+// so playback survives closing the modal and re-rendering the grid. Media Session API
+// integration gives lock-screen / hardware-key controls where the browser supports it.
+
+import { t } from './i18n.js';
+import { placeholderDataURI } from './format.js';
+
+const PLAYER_SKIP_SECONDS = 15;
+
+/**
+ * Format seconds as m:ss or h:mm:ss for the player clock.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatClock(seconds) {
+  const s = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+/**
+ * Create the player and wire up the mini-player markup inside root.
+ * A track is { key, podcastId, title, show, cover, src }; key identifies the row that started it.
+ * @param {HTMLElement} root - the #mini-player element
+ * @param {{signal?: AbortSignal}} [options] - aborting signal stops playback and removes the player's listeners
+ * @returns {{play: Function, toggle: Function, pause: Function, seekBy: Function, current: Function, isPlaying: Function, onChange: Function}}
+ */
+export function createPlayer(root, { signal } = {}) {
+  const audio = root.querySelector('audio');
+  const coverEl = root.querySelector('.mp-cover');
+  const titleEl = root.querySelector('.mp-title');
+  const showEl = root.querySelector('.mp-show');
+  const toggleBtn = root.querySelector('[data-action="toggle"]');
+  const backBtn = root.querySelector('[data-action="back"]');
+  const forwardBtn = root.querySelector('[data-action="forward"]');
+  const closeBtn = root.querySelector('[data-action="close"]');
+  const seek = root.querySelector('.mp-seek-range');
+  const timeEl = root.querySelector('.mp-time');
+  const durationEl = root.querySelector('.mp-duration');
+  const speedSelect = root.querySelector('.mp-speed');
+
+  let track = null; // currently loaded track
+  let seeking = false; // true while the user drags the seek bar
+  const listeners = [];
+  const hasMediaSession = 'mediaSession' in navigator;
+
+  function notify() {
+    updateControls();
+    listeners.forEach(fn => fn(track, !audio.paused));
+  }
+
+  // play / pause button and Media Session state
+  function updateControls() {
+    const playing = !audio.paused;
+    toggleBtn.textContent = playing ? '❚❚' : '▶';
+    toggleBtn.setAttribute('aria-label', t(playing ? 'player.pause' : 'player.play'));
+    if (hasMediaSession) navigator.mediaSession.playbackState = track ? (playing ? 'playing' : 'paused') : 'none';
+  }
+
+  // clock, seek bar and Media Session position
+  function updateTime() {
+    const duration = Number.isFinite(audio.duration) ? audio.duration : 0;
+    if (!seeking) seek.value = String(Math.floor(audio.currentTime));
+    seek.max = String(Math.floor(duration));
+    timeEl.textContent = formatClock(audio.currentTime);
+    durationEl.textContent = formatClock(duration);
+    if (hasMediaSession && duration && navigator.mediaSession.setPositionState) {
+      try {
+        navigator.mediaSession.setPositionState({ duration, playbackRate: audio.playbackRate, position: Math.min(audio.currentTime, duration) });
+      } catch (e) {} // some browsers reject positions while metadata is loading
+    }
+  }
+
+  function setMediaSession() {
+    if (!hasMediaSession || !track) return;
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: track.title,
+      artist: track.show,
+      album: track.show,
+      artwork: track.cover ? [{ src: track.cover, sizes: '512x512' }] : [],
+    });
+  }
+
+  /**
+   * Load and start a track; calling it with the current track just resumes.
+   * @param {{key: string, podcastId: string, title: string, show: string, cover: string, src: string}} next
+   */
+  function play(next) {
+    if (!track || track.key !== next.key) {
+      track = next;
+      audio.src = next.src;
+      audio.playbackRate = Number(speedSelect.value) || 1;
+      titleEl.textContent = next.title;
+      showEl.textContent = next.show;
+      coverEl.src = next.cover || placeholderDataURI(96, 96);
+      coverEl.onerror = () => {
+        if (!coverEl.src.startsWith('data:')) coverEl.src = placeholderDataURI(96, 96);
+      };
+      root.hidden = false;
+      document.body.classList.add('has-mini-player'); // leaves room below the page content
+      setMediaSession();
+    }
+    const result = audio.play();
+    if (result && result.catch) result.catch(err => console.warn('Playback failed', err));
+  }
+
+  function pause() {
+    audio.pause();
+  }
+
+  function toggle() {
+    if (!track) return;
+    if (audio.paused) play(track);
+    else pause();
+  }
+
+  function seekBy(delta) {
+    if (!track) return;
+    const duration = Number.isFinite(audio.duration) ? audio.duration : Infinity;
+    audio.currentTime = Math.min(Math.max(0, audio.currentTime + delta), duration);
+  }
+
+  // stop playback and hide the bar
+  function close() {
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+    track = null;
+    root.hidden = true;
+    document.body.classList.remove('has-mini-player');
+    if (hasMediaSession) navigator.mediaSession.metadata = null;
+    notify();
+  }
+
+  toggleBtn.addEventListener('click', toggle, { signal });
+  backBtn.addEventListener('click', () => seekBy(-PLAYER_SKIP_SECONDS), { signal });
+  forwardBtn.addEventListener('click', () => seekBy(PLAYER_SKIP_SECONDS), { signal });
+  closeBtn.addEventListener('click', close, { signal });
+  speedSelect.addEventListener('change', () => {
+    audio.playbackRate = Number(speedSelect.value) || 1;
+    updateTime();
+  }, { signal });
+  seek.addEventListener('input', () => {
+    seeking = true;
+    timeEl.textContent = formatClock(Number(seek.value));
+  }, { signal });
+  seek.addEventListener('change', () => {
+    seeking = false;
+    audio.currentTime = Number(seek.value);
+  }, { signal });
+
+  document.addEventListener('locale-changed', updateControls, { signal }); // button labels in the new language
+  document.addEventListener('theme-changed', () => {
+    if (coverEl.src.startsWith('data:')) coverEl.src = placeholderDataURI(96, 96); // placeholder in the new theme
+  }, { signal });
+  ['play', 'pause', 'ended'].forEach(type => audio.addEventListener(type, notify, { signal }));
+  ['timeupdate', 'durationchange', 'loadedmetadata', 'ratechange'].forEach(type => audio.addEventListener(type, updateTime, { signal }));
+  audio.addEventListener('error', () => {
+    if (track) showEl.textContent = `${track.show} · ${t('player.audioFailed')}`;
+    notify();
+  }, { signal });
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      if (track) close();
+    });
+  }
+
+  if (hasMediaSession) {
+    const handlers = {
+      play: () => track && play(track),
+      pause,
+      stop: close,
+      seekbackward: details => seekBy(-((details && details.seekOffset) || PLAYER_SKIP_SECONDS)),
+      seekforward: details => seekBy((details && details.seekOffset) || PLAYER_SKIP_SECONDS),
+      seekto: details => {
+        if (details && Number.isFinite(details.seekTime)) audio.currentTime = details.seekTime;
+      },
+    };
+    Object.keys(handlers).forEach(action => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handlers[action]);
+      } catch (e) {} // action not supported by this browser
+    });
+  }
+
+  return {
+    play,
+    pause,
+    toggle,
+    seekBy,
+    close,
+    /** @returns {object|null} the loaded track */
+    current: () => track,
+    /** @returns {boolean} */
+    isPlaying: () => !!track && !audio.paused,
+    /** @param {Function} fn - called with (track, playing) after every state change */
+    onChange(fn) {
+      listeners.push(fn);
+    },
+  };
+}
@@ -0,0 +1,75 @@
+// ----- presets.js -----
+// Saved filter presets for the PodcastApp
+// A preset is a name plus a set of grid filters (search text, view, genres, sort, update recency and
+// season range) kept in localStorage, so a curator can get back to "updated lately, 3+ seasons" in one pick.
+
+import { normalizeFilters } from './state.js';
+import { createStore } from './store.js';
+
+export const PRESETS_STORAGE_KEY = 'podcastapp:presets';
+const PRESET_NAME_MAX_LENGTH = 60;
+
+/**
+ * Create the filter preset store.
+ * @param {Storage} [storage] - defaults to window.localStorage
+ * @param {string} [key] - storage key
+ * @returns {{list: Function, get: Function, save: Function, remove: Function, onChange: Function}}
+ */
+export function createPresetStore(storage, key = PRESETS_STORAGE_KEY) {
+  const persisted = createStore(key, readPresets, { storage, label: 'filter presets' });
+  const presets = persisted.read(); // name -> { name, filters, savedAt }, in the order they were first saved
+
+  function persist() {
+    persisted.save(Array.from(presets.values()));
+  }
+
+  return {
+    /** @returns {Array<{name: string, filters: Object, savedAt: (string|null)}>} every preset, oldest first */
+    list() {
+      return Array.from(presets.values());
+    },
+    /** @param {string} name @returns {{name: string, filters: Object, savedAt: (string|null)}|null} */
+    get(name) {
+      return presets.get(String(name).trim()) || null;
+    },
+    /**
+     * Save filters under a name, replacing a preset of the same name.
+     * @param {string} name
+     * @param {Object} filters - grid filters (see normalizeFilters)
+     * @returns {{name: string, filters: Object, savedAt: string}} the saved preset
+     * @throws {Error} when the name is blank
+     */
+    save(name, filters) {
+      const clean = String(name || '').trim().slice(0, PRESET_NAME_MAX_LENGTH);
+      if (!clean) throw new Error('A preset needs a name.');
+      const preset = { name: clean, filters: normalizeFilters(filters), savedAt: new Date().toISOString() };
+      presets.set(clean, preset); // a replaced preset keeps its place in the list
+      persist();
+      return preset;
+    },
+    /**
+     * Delete a preset.
+     * @param {string} name
+     * @returns {boolean} whether there was one to delete
+     */
+    remove(name) {
+      const existed = presets.delete(String(name).trim());
+      if (existed) persist();
+      return existed;
+    },
+    /** @param {Function} fn - called after every change */
+    onChange(fn) {
+      persisted.onChange(fn);
+    },
+  };
+}
+
+// saved presets as a Map, skipping nameless ones and normalising their filters
+function readPresets(saved) {
+  const presets = new Map();
+  (Array.isArray(saved) ? saved : []).forEach(e => {
+    const name = e && typeof e.name === 'string' ? e.name.trim() : '';
+    if (name) presets.set(name, { name, filters: normalizeFilters(e.filters), savedAt: e.savedAt || null });
+  });
+  return presets;
+}
@@ -0,0 +1,90 @@
+// ----- recommend.js -----
+// "You might also like" recommendations for the PodcastApp
+// Other shows are scored against the open one by shared genres (both sides of data.js, through the genre
+// index) and by how alike their descriptions are (TF-IDF weighted cosine similarity). The index is built
+// once per catalog load, like the search index. Nothing here touches the DOM.
+
+import { tokenize } from './search.js';
+import { compareTitles } from './i18n.js';
+
+// how much each signal counts towards the 0..1 similarity score
+const SIMILARITY_WEIGHTS = { genre: 0.6, description: 0.4 };
+// common words that say nothing about a show's subject
+const SIMILARITY_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'these', 'those', 'into', 'about', 'their', 'they', 'them',
+  'you', 'your', 'our', 'its', 'his', 'her', 'are', 'was', 'were', 'has', 'have', 'had', 'will', 'who', 'what',
+  'when', 'where', 'which', 'how', 'why', 'but', 'not', 'all', 'each', 'every', 'more', 'most', 'other', 'some',
+  'than', 'then', 'there', 'over', 'through', 'also', 'one', 'new', 'episode', 'episodes', 'podcast', 'show', 'series',
+]);
+
+/**
+ * Words of a description that count for similarity: no stop words, numbers or very short words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function descriptionTerms(text) {
+  return tokenize(text).filter(term => term.length > 2 && !/^\d+$/.test(term) && !SIMILARITY_STOP_WORDS.has(term));
+}
+
+/**
+ * Build the similarity index for a catalog.
+ * @param {Array} podcastList - podcasts with id, title and description
+ * @param {Map<string, number[]>} genreIndex - podcast id -> genre ids (see buildGenreIndex)
+ * @returns {{entries: Map<string, {podcast: Object, genres: Set<number>, vector: Map<string, number>, norm: number}>}}
+ */
+export function buildSimilarityIndex(podcastList, genreIndex) {
+  const counts = podcastList.map(p => {
+    const tf = new Map(); // term -> occurrences in this description
+    descriptionTerms(p.description).forEach(term => tf.set(term, (tf.get(term) || 0) + 1));
+    return tf;
+  });
+  const df = new Map(); // term -> number of descriptions containing it
+  counts.forEach(tf => tf.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1)));
+
+  const entries = new Map();
+  podcastList.forEach((p, i) => {
+    const vector = new Map();
+    counts[i].forEach((n, term) => {
+      const weight = n * Math.log(podcastList.length / df.get(term)); // words every show uses weigh nothing
+      if (weight > 0) vector.set(term, weight);
+    });
+    const norm = Math.sqrt(Array.from(vector.values()).reduce((sum, w) => sum + w * w, 0));
+    entries.set(String(p.id), { podcast: p, genres: new Set(genreIndex.get(String(p.id)) || []), vector, norm });
+  });
+  return { entries };
+}
+
+/**
+ * Shows most like one podcast, best first. Ties go to the title, then the id, so the order is stable.
+ * @param {{entries: Map}} index - from buildSimilarityIndex
+ * @param {string|number} id - podcast to find similar shows for
+ * @param {number} [limit] - most results to return
+ * @returns {Array<{podcast: Object, score: number, sharedGenres: number[]}>} only shows with something in common
+ */
+export function similarPodcasts(index, id, limit = 4) {
+  const target = index.entries.get(String(id));
+  if (!target) return [];
+
+  const scored = [];
+  index.entries.forEach((entry, otherId) => {
+    if (otherId === String(id)) return;
+    const sharedGenres = Array.from(entry.genres).filter(gid => target.genres.has(gid));
+    const genreUnion = new Set([...entry.genres, ...target.genres]).size;
+    const genreScore = genreUnion ? sharedGenres.length / genreUnion : 0; // Jaccard overlap
+
+    let dot = 0;
+    target.vector.forEach((weight, term) => {
+      if (entry.vector.has(term)) dot += weight * entry.vector.get(term);
+    });
+    const textScore = dot && target.norm && entry.norm ? dot / (target.norm * entry.norm) : 0; // cosine
+
+    const score = SIMILARITY_WEIGHTS.genre * genreScore + SIMILARITY_WEIGHTS.description * textScore;
+    if (score > 0) scored.push({ podcast: entry.podcast, score, sharedGenres });
+  });
+
+  return scored
+    .sort((a, b) => (b.score - a.score) ||
+      compareTitles(a.podcast.title, b.podcast.title) ||
+      (String(a.podcast.id) < String(b.podcast.id) ? -1 : 1))
+    .slice(0, limit);
+}
@@ -0,0 +1,185 @@
+// ----- search.js -----
+// Ranked, typo-tolerant search for the PodcastApp
+// A small inverted index is built once per catalog load from podcast titles, descriptions,
+// genre titles and season titles. Queries match exact words, prefixes and near-misses (typos),
+// and results carry the matched words so the UI can highlight them.
+
+// how much a hit in each field counts towards the relevance score
+const SEARCH_FIELD_WEIGHTS = { title: 5, genre: 3, season: 2, description: 1 };
+
+/**
+ * Lowercase a string and strip accents so "Café" and "cafe" compare equal.
+ * @param {string} str
+ * @returns {string}
+ */
+export function normalizeText(str) {
+  return String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized word tokens.
+ * @param {string} str
+ * @returns {string[]}
+ */
+export function tokenize(str) {
+  return normalizeText(str).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Edit distance (insert, delete, substitute, swap adjacent letters) between two words,
+ * giving up early once it is certain to exceed max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - largest distance of interest
+ * @returns {number} distance, or max + 1 when larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prevPrev[j - 2] + 1); // transposition, e.g. "hsitory"
+      }
+      row.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1; // every path is already too expensive
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * How many typos a query word of this length may contain.
+ * @param {number} len
+ * @returns {number}
+ */
+function allowedTypos(len) {
+  if (len <= 3) return 0;
+  return len <= 6 ? 1 : 2;
+}
+
+/**
+ * Build the search index for a catalog.
+ * @param {{podcasts: Array, genres: Array, seasons: Array}} catalog
+ * @param {Map<string, number[]>} [genreIndex] - podcast id -> genre ids (see buildGenreIndex); falls back to podcast.genres
+ * @returns {{terms: Map<string, Map<string, number>>}} term -> (podcast id -> weight)
+ */
+export function buildSearchIndex(catalog, genreIndex) {
+  const terms = new Map();
+  const genreTitles = new Map((catalog.genres || []).map(g => [Number(g.id), g.title || '']));
+  const seasonTitles = new Map((catalog.seasons || []).map(s => [
+    String(s.id),
+    (Array.isArray(s.seasonDetails) ? s.seasonDetails : []).map(sd => sd.title || '').join(' '),
+  ]));
+
+  (catalog.podcasts || []).forEach(p => {
+    const id = String(p.id);
+    const genreIds = (genreIndex && genreIndex.get(id)) || (Array.isArray(p.genres) ? p.genres : []);
+    const fields = {
+      title: p.title,
+      genre: genreIds.map(gid => genreTitles.get(Number(gid)) || '').join(' '),
+      season: seasonTitles.get(id) || '',
+      description: p.description,
+    };
+    const weights = new Map(); // term -> weight for this podcast; each field counts once per term
+    Object.keys(fields).forEach(field => {
+      new Set(tokenize(fields[field])).forEach(term => {
+        weights.set(term, (weights.get(term) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+      });
+    });
+    weights.forEach((weight, term) => {
+      if (!terms.has(term)) terms.set(term, new Map());
+      terms.get(term).set(id, weight);
+    });
+  });
+
+  return { terms };
+}
+
+/**
+ * Run a query against the index. Every query word has to match (exactly, as a prefix or with typos)
+ * for a podcast to be returned. Exact hits score highest, then prefixes, then typo matches.
+ * @param {{terms: Map<string, Map<string, number>>}} index
+ * @param {string} query
+ * @returns {Map<string, {score: number, terms: string[]}>} podcast id -> score and matched index terms
+ */
+export function searchPodcasts(index, query) {
+  const words = Array.from(new Set(tokenize(query)));
+  const results = new Map();
+  if (!words.length) return results;
+
+  words.forEach((word, i) => {
+    const hits = new Map(); // podcast id -> { score, terms } for this query word
+    const typos = allowedTypos(word.length);
+    index.terms.forEach((postings, term) => {
+      let factor = 0;
+      if (term === word) factor = 1;
+      else if (word.length >= 2 && term.startsWith(word)) factor = 0.8;
+      else if (typos > 0) {
+        const d = editDistance(word, term, typos);
+        if (d <= typos) factor = d === 1 ? 0.6 : 0.4;
+      }
+      if (!factor) return;
+      postings.forEach((weight, id) => {
+        const hit = hits.get(id) || { score: 0, terms: [] };
+        hit.score = Math.max(hit.score, weight * factor); // best matching term for this word
+        hit.terms.push(term);
+        hits.set(id, hit);
+      });
+    });
+
+    if (i === 0) {
+      hits.forEach((hit, id) => results.set(id, hit));
+      return;
+    }
+    // later words narrow the result down (AND semantics)
+    results.forEach((res, id) => {
+      const hit = hits.get(id);
+      if (!hit) {
+        results.delete(id);
+        return;
+      }
+      res.score += hit.score;
+      res.terms = res.terms.concat(hit.terms);
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Fill an element with text, wrapping words that match one of the terms in <mark>.
+ * Only text nodes and <mark> elements are created, so untrusted text stays inert.
+ * @param {HTMLElement} el - target element (its content is replaced)
+ * @param {string} text - plain text to show
+ * @param {string[]} [terms] - normalized words to highlight
+ */
+export function highlightInto(el, text, terms) {
+  el.textContent = '';
+  const str = String(text || '');
+  const wanted = new Set(terms || []);
+  if (!wanted.size) {
+    el.textContent = str;
+    return;
+  }
+  const re = /[\p{L}\p{N}]+/gu;
+  let last = 0;
+  let m;
+  while ((m = re.exec(str))) {
+    if (!wanted.has(normalizeText(m[0]))) continue;
+    if (m.index > last) el.appendChild(document.createTextNode(str.slice(last, m.index)));
+    const mark = document.createElement('mark');
+    mark.textContent = m[0];
+    el.appendChild(mark);
+    last = m.index + m[0].length;
+  }
+  if (last < str.length) el.appendChild(document.createTextNode(str.slice(last)));
+}
@@ -0,0 +1,503 @@
+// ----- state.js -----
+// Filter / sort / search / paging state for the PodcastApp
+// Pure functions over the catalog and the URL: the grid's query, genre membership, paging and the
+// shareable URL format. Nothing here touches the DOM, so it runs unchanged under Node.
+
+import { compareTitles } from './i18n.js';
+import { searchPodcasts } from './search.js';
+
+/**
+ * Work out which slice of a result list is visible for the current paging state.
+ * In "pages" mode only the current page is shown; in "load-more" and "infinite" modes
+ * every page up to and including the current one is shown. "virtual" mode has a single page holding
+ * the whole list (the grid mounts only the rows in view, see gridView.js).
+ * @param {Array} list - full filtered & sorted list
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize - items per page
+ * @param {string} mode - "pages" | "load-more" | "infinite" | "virtual"
+ * @returns {{items: Array, page: number, pageCount: number, start: number, end: number, total: number}}
+ */
+export function paginate(list, page, pageSize, mode) {
+  const total = list.length;
+  if (mode === 'virtual') return { items: list.slice(), page: 1, pageCount: 1, start: 0, end: total, total };
+  const size = Math.max(1, pageSize || 1); // guard against 0 / NaN page sizes
+  const pageCount = Math.max(1, Math.ceil(total / size));
+  const current = Math.min(Math.max(1, page || 1), pageCount); // clamp into range
+  const start = mode === 'pages' ? (current - 1) * size : 0; // accumulating modes always start at 0
+  const end = Math.min(total, current * size);
+  return { items: list.slice(start, end), page: current, pageCount, start, end, total };
+}
+
+/**
+ * Build one genre membership table out of both sources in data.js.
+ * `podcast.genres` and `genres[].shows` disagree for some ids, so a podcast belongs to a genre
+ * if either side says so. Ids are returned in the order of the genres array.
+ * @param {Array} podcastList - podcasts with optional `genres` (number ids)
+ * @param {Array} genreList - genres with optional `shows` (podcast ids)
+ * @returns {Map<string, number[]>} podcast id -> genre ids
+ */
+export function buildGenreIndex(podcastList, genreList) {
+  const sets = new Map(); // podcast id -> Set of genre ids
+  podcastList.forEach(p => {
+    sets.set(String(p.id), new Set((Array.isArray(p.genres) ? p.genres : []).map(Number)));
+  });
+  genreList.forEach(g => {
+    (Array.isArray(g.shows) ? g.shows : []).forEach(showId => {
+      const set = sets.get(String(showId));
+      if (set) set.add(Number(g.id)); // ignore shows that aren't in the catalog
+    });
+  });
+
+  const order = genreList.map(g => Number(g.id));
+  const index = new Map();
+  sets.forEach((set, id) => {
+    const known = order.filter(gid => set.has(gid));
+    const unknown = Array.from(set).filter(gid => !order.includes(gid)); // ids with no genre entry keep their place at the end
+    index.set(id, known.concat(unknown));
+  });
+  return index;
+}
+
+/**
+ * Check a podcast's genre ids against the selected genres.
+ * @param {number[]} podcastGenres - genre ids of the podcast
+ * @param {number[]} selected - selected genre ids (empty means no genre filter)
+ * @param {string} mode - "any" (at least one) or "all" (every selected genre)
+ * @returns {boolean}
+ */
+export function matchesGenres(podcastGenres, selected, mode) {
+  if (!selected.length) return true;
+  const own = new Set(podcastGenres);
+  return mode === 'all' ? selected.every(id => own.has(id)) : selected.some(id => own.has(id));
+}
+
+/**
+ * Update recency presets: value -> days back from now. Anything else with ".." in it is a custom
+ * date range "from..to" (YYYY-MM-DD, either end may be left open).
+ */
+export const UPDATED_PRESETS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// the two ends of a "from..to" value, as trimmed strings
+function splitRange(value) {
+  const text = String(value || '');
+  if (!text.includes('..')) return null;
+  const [from, to] = text.split('..');
+  return [from.trim(), (to || '').trim()];
+}
+
+// local midnight at the start of an ISO day, or null when day isn't one (including days like 2024-02-30)
+function startOfDay(day) {
+  if (!ISO_DAY.test(day)) return null;
+  const [year, month, date] = day.split('-').map(Number);
+  const start = new Date(0);
+  start.setFullYear(year, month - 1, date); // the user's own calendar day (setFullYear keeps years below 100 as given)
+  start.setHours(0, 0, 0, 0);
+  // Date rolls impossible days over into the next month, so the parts must come back unchanged
+  if (start.getFullYear() !== year || start.getMonth() !== month - 1 || start.getDate() !== date) return null;
+  return start.getTime();
+}
+
+/**
+ * Normalise an update recency filter. Unknown presets, invalid dates and empty ranges mean no filter;
+ * a range given backwards is turned around.
+ * @param {string} value - a key of UPDATED_PRESETS or "from..to"
+ * @returns {string} "" (no filter), a preset, or "from..to"
+ */
+export function normalizeUpdatedFilter(value) {
+  if (UPDATED_PRESETS[value]) return value;
+  const range = splitRange(value);
+  if (!range) return '';
+  let [from, to] = range.map(day => (startOfDay(day) === null ? '' : day));
+  if (from && to && from > to) [from, to] = [to, from];
+  return from || to ? `${from}..${to}` : '';
+}
+
+/**
+ * Time bounds of an update recency filter.
+ * @param {string} value - as for normalizeUpdatedFilter
+ * @param {number} [now] - ms timestamp presets count back from
+ * @returns {{from: (number|null), to: (number|null)}|null} ms timestamps, from inclusive and to exclusive;
+ *   null without a filter
+ */
+export function updatedBounds(value, now = Date.now()) {
+  const normal = normalizeUpdatedFilter(value);
+  if (!normal) return null;
+  if (UPDATED_PRESETS[normal]) return { from: now - UPDATED_PRESETS[normal] * DAY_MS, to: null };
+  const [from, to] = splitRange(normal);
+  const end = startOfDay(to);
+  return { from: startOfDay(from), to: end === null ? null : new Date(end).setDate(new Date(end).getDate() + 1) }; // "to" includes its whole day
+}
+
+/**
+ * Normalise a season count range "min..max" (either end may be left open).
+ * @param {string} value
+ * @returns {string} "" (no filter) or "min..max" with whole numbers, smallest first
+ */
+export function normalizeSeasonRange(value) {
+  const range = splitRange(value);
+  if (!range) return '';
+  let [min, max] = range.map(n => (/^\d+$/.test(n) ? Number(n) : null));
+  if (min !== null && max !== null && min > max) [min, max] = [max, min];
+  if (min === 0) min = null; // every show has at least 0 seasons
+  return min !== null || max !== null ? `${min === null ? '' : min}..${max === null ? '' : max}` : '';
+}
+
+/**
+ * Bounds of a season count range.
+ * @param {string} value - as for normalizeSeasonRange
+ * @returns {{min: (number|null), max: (number|null)}|null} inclusive; null without a filter
+ */
+export function seasonBounds(value) {
+  const normal = normalizeSeasonRange(value);
+  if (!normal) return null;
+  const [min, max] = splitRange(normal).map(n => (n === '' ? null : Number(n)));
+  return { min, max };
+}
+
+/**
+ * Filter podcasts for the grid: search hits, then the favourites / offline / what's new view, the genre filter,
+ * update recency and season count. Shows without an update date or a season count never match a filter on it.
+ * @param {Array} list - podcasts
+ * @param {Object} criteria
+ * @param {Map|null} [criteria.results] - search hits keyed by podcast id (null without a query)
+ * @param {string} [criteria.view] - "all" | "favourites" | "offline" | "new"
+ * @param {Function} [criteria.isFavourite] - (id) => boolean, used by the favourites view
+ * @param {Function} [criteria.isSaved] - (id) => boolean, used by the offline view
+ * @param {Function} [criteria.hasNews] - (podcast) => boolean, used by the what's new view (see visits.js)
+ * @param {Map<string, number[]>} [criteria.genreIndex] - podcast id -> genre ids (see buildGenreIndex)
+ * @param {number[]} [criteria.genres] - selected genre ids
+ * @param {string} [criteria.match] - "any" | "all"
+ * @param {string} [criteria.updated] - update recency (see normalizeUpdatedFilter)
+ * @param {string} [criteria.seasons] - season count range (see normalizeSeasonRange)
+ * @param {number} [criteria.now] - ms timestamp recency presets count back from; defaults to now
+ * @returns {Array} a new array
+ */
+export function filterPodcasts(list, criteria = {}) {
+  const { results = null, view = 'all', isFavourite = () => false, isSaved = () => false, hasNews = () => false, genreIndex = new Map(), genres = [], match = 'any' } = criteria;
+  const updated = updatedBounds(criteria.updated, criteria.now);
+  const seasons = seasonBounds(criteria.seasons);
+  return list.filter(p => {
+    const id = String(p.id);
+    if (results && !results.has(id)) return false;
+    if (view === 'favourites' && !isFavourite(p.id)) return false;
+    if (view === 'offline' && !isSaved(p.id)) return false;
+    if (view === 'new' && !hasNews(p)) return false;
+    if (updated) {
+      const time = Date.parse(p.updated);
+      if (Number.isNaN(time) || (updated.from !== null && time < updated.from) || (updated.to !== null && time >= updated.to)) return false;
+    }
+    if (seasons) {
+      if (typeof p.seasons !== 'number' || (seasons.min !== null && p.seasons < seasons.min) || (seasons.max !== null && p.seasons > seasons.max)) return false;
+    }
+    return matchesGenres(genreIndex.get(id) || [], genres, match);
+  });
+}
+
+/**
+ * Sort keys and the direction each starts in when picked. Sort values combine a key and a direction
+ * ("seasons-asc"); relevance (only while searching) and news have no direction.
+ */
+export const SORT_KEYS = {
+  relevance: 'desc',
+  news: 'desc',
+  updated: 'desc',
+  seasons: 'desc',
+  episodes: 'desc',
+  title: 'asc',
+  genre: 'asc',
+};
+export const DEFAULT_SORT = 'updated-desc';
+const LEGACY_SORTS = { recent: 'updated-desc' }; // values used by links shared before directions existed
+const NEWS_RANK = { new: 2, updated: 1 }; // the news sort: new shows, then updated ones, then the rest
+const TITLE_ARTICLES = /^(?:the|a|an)\s+/i; // ignored at the start of titles when sorting
+
+/**
+ * Split a sort value into its key and direction. Unknown values fall back to DEFAULT_SORT.
+ * @param {string} value - e.g. "title-asc", "relevance" or the legacy "recent"
+ * @returns {{key: string, dir: string}} dir is "asc" | "desc"
+ */
+export function parseSort(value) {
+  const [key, dir] = String(LEGACY_SORTS[value] || value || '').split('-');
+  if (!SORT_KEYS[key]) return parseSort(DEFAULT_SORT);
+  if (!hasSortDirection(key)) return { key, dir: 'desc' };
+  return { key, dir: dir === 'asc' || dir === 'desc' ? dir : SORT_KEYS[key] };
+}
+
+/**
+ * Join a sort key and direction into a sort value.
+ * @param {string} key - a key of SORT_KEYS
+ * @param {string} [dir] - "asc" | "desc"; defaults to the key's own direction
+ * @returns {string}
+ */
+export function formatSort(key, dir) {
+  return hasSortDirection(key) ? `${key}-${dir || SORT_KEYS[key]}` : key;
+}
+
+/**
+ * Whether a sort key can be reversed (relevance and news always run one way).
+ * @param {string} key - a key of SORT_KEYS
+ * @returns {boolean}
+ */
+export function hasSortDirection(key) {
+  return key !== 'relevance' && key !== 'news';
+}
+
+/**
+ * Title as it is sorted: "The Daily" files under D.
+ * @param {string} title
+ * @returns {string}
+ */
+export function titleSortKey(title) {
+  const text = String(title || '').trim();
+  const stripped = text.replace(TITLE_ARTICLES, '');
+  return stripped || text; // a title that is only an article keeps it
+}
+
+/**
+ * Total episode count per podcast, from the seasons' episode counts (or their episode lists).
+ * @param {Array} seasonList - seasons entries ({ id, seasonDetails })
+ * @returns {Map<string, number>} podcast id -> episodes
+ */
+export function buildEpisodeIndex(seasonList) {
+  const index = new Map();
+  (seasonList || []).forEach(entry => {
+    const details = Array.isArray(entry.seasonDetails) ? entry.seasonDetails : [];
+    index.set(String(entry.id), details.reduce((sum, season) => {
+      const listed = Array.isArray(season.episodeDetails) ? season.episodeDetails.length : 0;
+      return sum + Math.max(Number(season.episodes) || 0, listed);
+    }, 0));
+  });
+  return index;
+}
+
+/**
+ * Sort podcasts for the grid. Ties always resolve the same way: by relevance while searching, then by
+ * title (ignoring a leading "The" / "A"), then by id. Podcasts missing the sorted value (no update date,
+ * no genre, seasons not loaded yet) go last in either direction. The news sort puts new shows first, then
+ * updated ones, then the rest, each group newest update first.
+ * @param {Array} list - podcasts
+ * @param {string} sort - a sort value (see parseSort)
+ * @param {Object} [context] - data some sorts need (a bare Map is taken as results)
+ * @param {Map|null} [context.results] - search hits ({ score }) keyed by podcast id
+ * @param {Map<string, number>} [context.episodeCounts] - from buildEpisodeIndex, for the episodes sort
+ * @param {Map<string, number[]>} [context.genreIndex] - from buildGenreIndex, for the genre sort
+ * @param {Array} [context.genreList] - genres with id and title, for the genre sort
+ * @param {Function} [context.newsOf] - (podcast) => "new" | "updated" | "", for the news sort (see visits.js)
+ * @returns {Array} a new, sorted array
+ */
+export function sortPodcasts(list, sort, context = {}) {
+  const { results = null, episodeCounts = new Map(), genreIndex = new Map(), genreList = [], newsOf = () => '' } = context instanceof Map ? { results: context } : context || {};
+  let { key, dir } = parseSort(sort);
+  if (key === 'relevance' && !results) ({ key, dir } = parseSort(DEFAULT_SORT)); // nothing to rank without a query
+  const sign = dir === 'asc' ? 1 : -1;
+
+  // the sorted value of a podcast; null when it has none
+  const timeOf = p => {
+    const time = Date.parse(p.updated);
+    return Number.isNaN(time) ? null : time;
+  };
+  const valueOf = p => {
+    const id = String(p.id);
+    if (key === 'relevance') return results.has(id) ? results.get(id).score : null;
+    if (key === 'news') return NEWS_RANK[newsOf(p)] || 0;
+    if (key === 'updated') return timeOf(p);
+    if (key === 'seasons') return typeof p.seasons === 'number' ? p.seasons : null;
+    if (key === 'episodes') return episodeCounts.has(id) ? episodeCounts.get(id) : null;
+    if (key === 'genre') {
+      const first = genresFor(p, genreIndex, genreList)[0]; // a podcast files under its first genre
+      return first ? titleSortKey(first.title) : null;
+    }
+    return titleSortKey(p.title);
+  };
+  const compareValues = (a, b) => (typeof a === 'string' ? compareTitles(a, b) : a - b); // titles use the active locale's collation
+
+  // compute every key once, then sort the rows
+  const rows = list.map(p => ({
+    p,
+    value: valueOf(p),
+    score: results && results.has(String(p.id)) ? results.get(String(p.id)).score : 0,
+    time: key === 'news' ? timeOf(p) || 0 : 0, // newest first within each news group
+    title: titleSortKey(p.title),
+    id: String(p.id),
+  }));
+  rows.sort((a, b) => {
+    if (a.value === null || b.value === null) {
+      if (a.value !== b.value) return a.value === null ? 1 : -1;
+    } else {
+      const primary = compareValues(a.value, b.value) * sign;
+      if (primary) return primary;
+    }
+    return (b.time - a.time) ||
+      (b.score - a.score) ||
+      compareTitles(a.title, b.title) ||
+      compareTitles(a.p.title, b.p.title) || // same key: "Daily" before "The Daily"
+      (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  });
+  return rows.map(row => row.p);
+}
+
+/**
+ * Run the grid's query: ranked search, then filterPodcasts, then sortPodcasts.
+ * @param {Array} list - podcasts
+ * @param {Object} criteria - as for filterPodcasts, plus:
+ * @param {string} [criteria.query] - search text; blank means no search
+ * @param {{terms: Map}} [criteria.searchIndex] - index from buildSearchIndex
+ * @param {string} [criteria.sort] - as for sortPodcasts
+ * @param {Map<string, number>} [criteria.episodeCounts] - as for sortPodcasts
+ * @param {Array} [criteria.genreList] - as for sortPodcasts
+ * @param {Function} [criteria.newsOf] - as for sortPodcasts
+ * @returns {{list: Array, results: (Map|null)}} the visible podcasts and the search hits behind them
+ */
+export function queryPodcasts(list, criteria = {}) {
+  const query = (criteria.query || '').trim();
+  const results = query && criteria.searchIndex ? searchPodcasts(criteria.searchIndex, query) : null;
+  const filtered = filterPodcasts(list, { ...criteria, results });
+  const { episodeCounts, genreIndex, genreList, newsOf } = criteria;
+  return { list: sortPodcasts(filtered, criteria.sort, { results, episodeCounts, genreIndex, genreList, newsOf }), results };
+}
+
+/**
+ * Genre names (with ids) for a podcast, in catalog order.
+ * @param {{id: (string|number)}} p
+ * @param {Map<string, number[]>} genreIndex - from buildGenreIndex
+ * @param {Array} genreList - genres with id and title
+ * @returns {Array<{id: number, title: string}>}
+ */
+export function genresFor(p, genreIndex, genreList) {
+  return (genreIndex.get(String(p.id)) || []).map(id => {
+    const g = genreList.find(x => Number(x.id) === id);
+    return { id, title: g ? g.title : String(id) };
+  });
+}
+
+/**
+ * Words to highlight for a podcast under the current search.
+ * @param {{id: (string|number)}} p
+ * @param {Map|null} results - search hits from queryPodcasts
+ * @returns {string[]}
+ */
+export function matchedTerms(p, results) {
+  const hit = results && results.get(String(p.id));
+  return hit ? Array.from(new Set(hit.terms)) : [];
+}
+
+/**
+ * Every genre with the podcasts that belong to it (either side of data.js, see buildGenreIndex),
+ * for the genre browse view.
+ * @param {Array} podcastList - podcasts
+ * @param {Array} genreList - genres with id, title and description
+ * @param {Map<string, number[]>} genreIndex - from buildGenreIndex
+ * @returns {Array<{genre: Object, podcasts: Array}>} in the order of genreList, podcasts in catalog order
+ */
+export function summarizeGenres(podcastList, genreList, genreIndex) {
+  return genreList.map(genre => ({
+    genre,
+    podcasts: podcastList.filter(p => (genreIndex.get(String(p.id)) || []).includes(Number(genre.id))),
+  }));
+}
+
+/**
+ * Normalise a browse route: "" for the podcast grid, "genres" for the genre tiles, "genre-<id>" for one
+ * genre's page. Anything else means the grid.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeBrowse(value) {
+  if (value === 'genres') return value;
+  const match = /^genre-(\d+)$/.exec(String(value || ''));
+  return match && Number(match[1]) > 0 ? `genre-${Number(match[1])}` : '';
+}
+
+/**
+ * Genre id of a genre page route.
+ * @param {string} browse - as for normalizeBrowse
+ * @returns {number|null} null for the grid and the genre tiles
+ */
+export function browseGenreId(browse) {
+  const normal = normalizeBrowse(browse);
+  return normal.startsWith('genre-') ? Number(normal.slice(6)) : null;
+}
+
+/**
+ * Normalise a set of grid filters, as read from a URL or a saved preset. Missing or invalid values
+ * become their defaults; a missing sort means relevance with a query and DEFAULT_SORT without.
+ * @param {Object} [filters]
+ * @returns {{q: string, view: string, genres: number[], match: string, sort: string, updated: string, seasons: string}}
+ */
+export function normalizeFilters(filters = {}) {
+  const q = typeof filters.q === 'string' ? filters.q.trim() : '';
+  const genres = Array.isArray(filters.genres) ? filters.genres : String(filters.genres || '').split(',');
+  const sort = filters.sort ? parseSort(filters.sort) : null; // so the legacy "recent" reads as "updated-desc"
+  return {
+    q,
+    view: ['favourites', 'offline', 'new'].includes(filters.view) ? filters.view : 'all',
+    genres: Array.from(new Set(genres.map(Number).filter(n => Number.isInteger(n) && n > 0))).sort((a, b) => a - b),
+    match: filters.match === 'all' ? 'all' : 'any',
+    sort: sort ? formatSort(sort.key, sort.dir) : (q ? 'relevance' : DEFAULT_SORT),
+    updated: normalizeUpdatedFilter(filters.updated),
+    seasons: normalizeSeasonRange(filters.seasons),
+  };
+}
+
+const MAX_PAGE_SIZE = 100; // larger ?size= values in a link are ignored
+
+/**
+ * Read the shareable app state out of a URL.
+ * Filters live in the query string (?q=&view=&genre=1,3&match=all&sort=&updated=90d&seasons=3..&page=&size=), as
+ * does the genre browse view (?browse=genres, ?browse=genre-3); the open podcast is in the hash (#/podcast/<id>).
+ * Values are normalised as by normalizeFilters and normalizeBrowse.
+ * @param {string} href - full URL, usually location.href
+ * @returns {{q: string, view: string, genres: number[], match: string, sort: string, updated: string, seasons: string, page: number, pageSize: (number|null), browse: string, podcastId: (string|null)}}
+ *   pageSize is null when the URL has none, or one that isn't a whole number from 1 to 100
+ */
+export function parseAppUrl(href) {
+  const url = new URL(href);
+  const params = url.searchParams;
+  const match = url.hash.match(/^#\/podcast\/([^/?#]+)/); // e.g. #/podcast/10716
+  const size = /^\d+$/.test(params.get('size')) ? Number(params.get('size')) : 0;
+  return {
+    ...normalizeFilters({
+      q: params.get('q') || '',
+      view: params.get('view'),
+      genres: params.get('genre'),
+      match: params.get('match'),
+      sort: params.get('sort'),
+      updated: params.get('updated'),
+      seasons: params.get('seasons'),
+    }),
+    page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+    pageSize: size >= 1 && size <= MAX_PAGE_SIZE ? size : null,
+    browse: normalizeBrowse(params.get('browse')),
+    podcastId: match ? decodeURIComponent(match[1]) : null,
+  };
+}
+
+/**
+ * Build a URL carrying the given app state. Default values are left out to keep links short,
+ * and unrelated query parameters on the page URL are preserved. Leave pageSize out (or null) for the grid's default.
+ * @param {string} href - URL to start from, usually location.href
+ * @param {{q?: string, view?: string, genres?: number[], match?: string, sort?: string, updated?: string, seasons?: string, page?: number, pageSize?: (number|null), browse?: string, podcastId?: (string|null)}} state
+ * @returns {string} URL string
+ */
+export function buildAppUrl(href, state) {
+  const url = new URL(href);
+  const params = url.searchParams;
+  const setOrDelete = (key, value, fallback) => {
+    if (value && value !== fallback) params.set(key, value);
+    else params.delete(key);
+  };
+  setOrDelete('q', state.q, '');
+  setOrDelete('view', state.view, 'all');
+  setOrDelete('genre', (state.genres || []).join(','), '');
+  setOrDelete('match', state.genres && state.genres.length > 1 ? state.match : '', 'any'); // only meaningful with 2+ genres
+  setOrDelete('sort', state.sort, state.q ? 'relevance' : DEFAULT_SORT); // searches rank by relevance unless told otherwise
+  setOrDelete('updated', normalizeUpdatedFilter(state.updated), '');
+  setOrDelete('seasons', normalizeSeasonRange(state.seasons), '');
+  setOrDelete('page', state.page ? String(state.page) : '', '1');
+  setOrDelete('size', state.pageSize ? String(state.pageSize) : '', '');
+  setOrDelete('browse', normalizeBrowse(state.browse), '');
+  url.hash = state.podcastId ? `#/podcast/${encodeURIComponent(state.podcastId)}` : '';
+  return url.toString();
+}
@@ -0,0 +1,51 @@
+// ----- store.js -----
+// localStorage persistence shared by the PodcastApp's stores (favourites, offline list, presets, visits)
+// One JSON value under one key. Saved data that is malformed is ignored rather than breaking the page, and
+// everything keeps working in memory when storage is unavailable (private mode, blocked cookies, a full quota).
+
+/**
+ * Create the persistence for one store.
+ * @param {string} key - storage key
+ * @param {Function} validate - (saved) => value: turns the parsed JSON (null when nothing was saved) into the
+ *   store's value, leaving out anything malformed
+ * @param {{storage?: Storage, label?: string}} [options] - storage defaults to window.localStorage; label names
+ *   the data in console warnings
+ * @returns {{read: Function, save: Function, onChange: Function}}
+ */
+export function createStore(key, validate, { storage, label = key } = {}) {
+  let store = storage;
+  try {
+    if (!store) store = window.localStorage;
+  } catch (e) {
+    store = null; // accessing localStorage itself can throw
+  }
+  const listeners = [];
+
+  return {
+    /** @returns {*} the saved value, through validate */
+    read() {
+      try {
+        return validate(store ? JSON.parse(store.getItem(key) || 'null') : null);
+      } catch (e) {
+        console.warn(`Ignoring unreadable ${label}`, e);
+        return validate(null);
+      }
+    },
+    /**
+     * Save a value and tell listeners.
+     * @param {*} value - anything JSON.stringify accepts
+     */
+    save(value) {
+      try {
+        if (store) store.setItem(key, JSON.stringify(value));
+      } catch (e) {
+        console.warn(`Could not save ${label}`, e); // quota or disabled storage; keep working in memory
+      }
+      listeners.forEach(fn => fn());
+    },
+    /** @param {Function} fn - called after every save */
+    onChange(fn) {
+      listeners.push(fn);
+    },
+  };
+}
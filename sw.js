@@ -0,0 +1,157 @@
+// ----- sw.js -----
+// Service worker for the PodcastApp
+// Precaches the app shell so the app starts offline, keeps recently seen cover art in a
+// size-bounded LRU cache, and serves covers of shows saved for offline use from their own cache
+// (filled by offline.js in the page, never evicted here). Audio is not intercepted.
+
+const CACHE_PREFIX = 'podcastapp-';
+const SHELL_CACHE = 'podcastapp-shell-v10'; // bump the version when the shell file list changes
+const DATA_CACHE = 'podcastapp-data-v1'; // JSON from a fetch data source, network first
+const COVER_CACHE = 'podcastapp-covers-v1'; // recently viewed cover art (LRU)
+const OFFLINE_CACHE = 'podcastapp-offline-v1'; // must match OFFLINE_CACHE in offline.js
+const COVER_CACHE_MAX_ENTRIES = 60; // oldest-used covers are evicted beyond this
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'theme.js',
+  'i18n.js',
+  'data.js',
+  'main.js',
+  'app.js',
+  'state.js',
+  'format.js',
+  'modal.js',
+  'gridView.js',
+  'genreBrowser.js',
+  'recommend.js',
+  'dataProvider.js',
+  'catalogSchema.js',
+  'devOverlay.js',
+  'search.js',
+  'store.js',
+  'library.js',
+  'presets.js',
+  'visits.js',
+  'player.js',
+  'feedImport.js',
+  'offline.js',
+  'a11y.js',
+  'PodcastPreview.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+];
+const SHELL_URLS = new Set(SHELL_FILES.map(f => new URL(f, self.location).href)); // absolute, for matching requests
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+// drop caches from older versions, keeping the user's offline saves
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, DATA_CACHE, COVER_CACHE, OFFLINE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(n => n.startsWith(CACHE_PREFIX) && !keep.includes(n)).map(n => caches.delete(n))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+  else if (SHELL_URLS.has(url.origin + url.pathname) || /^fonts\.(googleapis|gstatic)\.com$/.test(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE)); // before images: the shell's icons are precached here
+  } else if (request.destination === 'image') event.respondWith(coverFirst(request));
+  else if (request.destination === '') event.respondWith(networkFirst(request, DATA_CACHE)); // fetch() calls, e.g. the API data source
+  // everything else (audio, range requests) goes straight to the network
+});
+
+/**
+ * Try the network and refresh the cache; fall back to the cached copy (or a fallback entry) offline.
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {string} [fallback] - cached URL to serve when neither works (e.g. the app shell)
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, fallback) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    if (fallback) {
+      const shell = await cache.match(fallback);
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Answer from the cache right away and update it in the background.
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || update;
+}
+
+/**
+ * Cover art: shows saved for offline use first, then the LRU cache, then the network.
+ * Cover CDNs don't send CORS headers, so opaque responses are cached as-is.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function coverFirst(request) {
+  const saved = await caches.open(OFFLINE_CACHE).then(cache => cache.match(request.url));
+  if (saved) return saved;
+
+  const cache = await caches.open(COVER_CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) {
+    // re-insert so the entry moves to the most recently used end of the cache's key order
+    await cache.delete(request.url);
+    await cache.put(request.url, cached.clone());
+    return cached;
+  }
+
+  const response = await fetch(request); // offline errors reach the <img>, which shows the placeholder
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request.url, response.clone());
+    await trimCache(cache, COVER_CACHE_MAX_ENTRIES);
+  }
+  return response;
+}
+
+/**
+ * Evict the least recently used entries (the front of the key list) beyond max.
+ * @param {Cache} cache
+ * @param {number} max
+ */
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,244 @@
+// ----- test/PodcastPreview.test.js -----
+// The <podcast-preview> lifecycle: attributes and properties, genres, events and listener cleanup
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PodcastPreview } from '../PodcastPreview.js';
+import { setLocale } from '../i18n.js';
+
+const rendered = () => Promise.resolve(); // renders are batched into a microtask
+const shadow = (el, selector) => el.shadowRoot.querySelector(selector);
+const pills = el => Array.from(el.shadowRoot.querySelectorAll('.genre-pill')).map(p => p.textContent);
+
+function mount(attrs = {}) {
+  const el = document.createElement('podcast-preview');
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  document.body.appendChild(el);
+  return el;
+}
+
+// podcast-selected events fired by el while fn runs
+function selections(el, fn) {
+  const seen = [];
+  const onSelected = e => seen.push(e.detail.id);
+  el.addEventListener('podcast-selected', onSelected);
+  fn();
+  el.removeEventListener('podcast-selected', onSelected);
+  return seen;
+}
+
+describe('<podcast-preview>', () => {
+  beforeEach(() => setLocale('en'));
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('is registered as podcast-preview', () => {
+    assert.equal(customElements.get('podcast-preview'), PodcastPreview);
+    assert.ok(document.createElement('podcast-preview') instanceof PodcastPreview);
+  });
+
+  describe('attributes', () => {
+    it('renders its attributes when connected', () => {
+      const el = mount({ pid: '7', title: 'Brain Food', seasons: '2', cover: 'https://example.test/b.jpg' });
+      assert.equal(shadow(el, '.title').textContent, 'Brain Food');
+      assert.equal(shadow(el, '.season-count').textContent, '2 seasons');
+      assert.equal(shadow(el, 'img').getAttribute('src'), 'https://example.test/b.jpg');
+      assert.equal(shadow(el, 'img').alt, 'Brain Food cover');
+      assert.equal(shadow(el, '.open').getAttribute('aria-label'), 'Brain Food');
+    });
+
+    it('re-renders once after a batch of attribute changes', async () => {
+      const el = mount({ title: 'Old', seasons: '1' });
+      const render = mock.method(el, '_applyAttributes');
+      el.setAttribute('title', 'New');
+      el.setAttribute('seasons', '1'); // unchanged: no render of its own
+      el.seasons = 4;
+      assert.equal(shadow(el, '.title').textContent, 'Old');
+      await rendered();
+      assert.equal(render.mock.callCount(), 1);
+      assert.equal(shadow(el, '.title').textContent, 'New');
+      assert.equal(shadow(el, '.season-count').textContent, '4 seasons');
+    });
+
+    it('uses the singular for one season and nothing for none', async () => {
+      const el = mount({ seasons: '1' });
+      assert.equal(shadow(el, '.season-count').textContent, '1 season');
+      el.removeAttribute('seasons');
+      await rendered();
+      assert.equal(shadow(el, '.season-count').textContent, '');
+    });
+
+    it('falls back to a placeholder cover', () => {
+      const el = mount({ title: 'No Art' });
+      assert.match(shadow(el, 'img').getAttribute('src'), /^data:image\/svg\+xml/);
+    });
+
+    it('takes a whole podcast through the podcast property', () => {
+      const el = mount();
+      el.podcast = { id: 10716, title: 'Something True', image: 'x.jpg', seasons: 3, updated: '2022-11-03T07:00:00.000Z', genres: ['Comedy'] };
+      assert.equal(el.getAttribute('pid'), '10716');
+      assert.equal(el.getAttribute('cover'), 'x.jpg');
+      assert.deepEqual(el.podcast.genres, ['Comedy']);
+      assert.equal(el.seasons, 3);
+    });
+
+    it('keeps properties set before it was upgraded', () => {
+      const el = document.implementation.createHTMLDocument('').createElement('podcast-preview'); // no registry there
+      assert.ok(!(el instanceof PodcastPreview));
+      el.seasons = 5;
+      el.genres = ['Comedy'];
+      document.body.appendChild(el); // upgraded on insertion
+      assert.ok(el instanceof PodcastPreview);
+      assert.equal(el.getAttribute('seasons'), '5');
+      assert.equal(shadow(el, '.season-count').textContent, '5 seasons');
+      assert.deepEqual(pills(el), ['Comedy']);
+    });
+  });
+
+  describe('genres', () => {
+    it('reads a JSON list of names', () => {
+      const el = mount({ genres: '["Comedy","History"]' });
+      assert.deepEqual(el.genres, ['Comedy', 'History']);
+      assert.deepEqual(pills(el), ['Comedy', 'History']);
+    });
+
+    it('reads a comma-separated list', () => {
+      const el = mount({ genres: 'Comedy, History ,, Fiction' });
+      assert.deepEqual(el.genres, ['Comedy', 'History', 'Fiction']);
+      assert.deepEqual(pills(el), ['Comedy', 'History', 'Fiction']);
+    });
+
+    it('makes genres with an id clickable', () => {
+      const el = mount();
+      el.genres = [{ id: 3, title: 'History' }, 'Comedy'];
+      return rendered().then(() => {
+        const [button, span] = el.shadowRoot.querySelectorAll('.genre-pill');
+        assert.equal(button.localName, 'button');
+        assert.equal(button.dataset.genreId, '3');
+        assert.equal(button.getAttribute('aria-label'), 'Filter by History');
+        assert.equal(span.localName, 'span');
+        let picked = null;
+        el.addEventListener('genre-selected', e => (picked = e.detail));
+        button.click();
+        assert.deepEqual(picked, { id: '3', title: 'History' });
+      });
+    });
+
+    it('shows four pills and a "+N" pill for the rest', () => {
+      const el = mount({ genres: JSON.stringify(['A', 'B', 'C', 'D', 'E', 'F']) });
+      assert.deepEqual(pills(el), ['A', 'B', 'C', 'D', '+2']);
+    });
+
+    it('shows no "+N" pill when everything fits', () => {
+      const el = mount({ genres: JSON.stringify(['A', 'B', 'C', 'D']) });
+      assert.deepEqual(pills(el), ['A', 'B', 'C', 'D']);
+    });
+
+    it('follows max-genres', async () => {
+      const el = mount({ genres: JSON.stringify(['A', 'B', 'C']), 'max-genres': '1' });
+      assert.deepEqual(pills(el), ['A', '+2']);
+      el.maxGenres = 0;
+      await rendered();
+      assert.deepEqual(pills(el), []);
+    });
+  });
+
+  describe('variants', () => {
+    const controls = ['.badge', '.fav', '.now-playing', '.news'];
+
+    it('keeps the badges and favourite toggle usable in the compact variant', async () => {
+      const el = mount({ pid: '5', title: 'Short', news: 'new', playing: '', favourite: '' });
+      controls.forEach(selector => assert.ok(shadow(el, `.cover > ${selector}`), selector));
+      el.variant = 'compact';
+      await rendered();
+      controls.forEach(selector => assert.ok(shadow(el, `.body > ${selector}`), selector)); // .cover is display:none here
+      assert.equal(shadow(el, '.news').hidden, false);
+      assert.equal(shadow(el, '.now-playing').hidden, false);
+      assert.equal(shadow(el, '.fav').getAttribute('aria-pressed'), 'true');
+      let favourite = null;
+      el.addEventListener('favourite-toggled', e => (favourite = e.detail));
+      assert.deepEqual(selections(el, () => shadow(el, '.fav').click()), []);
+      assert.deepEqual(favourite, { id: '5', favourite: false });
+    });
+
+    it('puts them back over the cover for the other variants', async () => {
+      const el = mount({ variant: 'compact' });
+      el.variant = 'list';
+      await rendered();
+      controls.forEach(selector => assert.ok(shadow(el, `.cover > ${selector}`), selector));
+    });
+  });
+
+  describe('podcast-selected', () => {
+    it('fires on click with the podcast id, bubbling out of the shadow root', () => {
+      const el = mount({ pid: '42' });
+      let detail = null;
+      document.body.addEventListener('podcast-selected', e => (detail = e.detail), { once: true });
+      shadow(el, '.open').click();
+      assert.deepEqual(detail, { id: '42' });
+    });
+
+    it('opens from a real button on the title, with the other buttons beside it rather than inside', () => {
+      const el = mount({ pid: '42', title: 'Nested', genres: JSON.stringify([{ id: 1, title: 'History' }]) });
+      const open = shadow(el, '.open');
+      assert.equal(open.localName, 'button'); // Enter and Space come with it
+      assert.equal(open.getAttribute('aria-haspopup'), 'dialog');
+      assert.equal(open.textContent, 'Nested');
+      assert.equal(shadow(el, '.card').hasAttribute('role'), false);
+      el.shadowRoot.querySelectorAll('button').forEach(button => assert.equal(button.parentElement.closest('button'), null));
+      el.focus();
+      assert.equal(el.shadowRoot.activeElement, open);
+    });
+
+    it('falls back to the id attribute', () => {
+      const el = mount({ id: 'p-9' });
+      assert.deepEqual(selections(el, () => shadow(el, '.open').click()), ['p-9']);
+    });
+
+    it('does not fire without an id, or from the favourite toggle', () => {
+      const el = mount();
+      assert.deepEqual(selections(el, () => shadow(el, '.open').click()), []);
+      el.pid = '5';
+      let favourite = null;
+      el.addEventListener('favourite-toggled', e => (favourite = e.detail));
+      assert.deepEqual(selections(el, () => shadow(el, '.fav').click()), []);
+      assert.deepEqual(favourite, { id: '5', favourite: true });
+    });
+  });
+
+  describe('disconnecting', () => {
+    it('removes every listener it added', () => {
+      const added = [];
+      const removed = [];
+      const el = document.createElement('podcast-preview');
+      const targets = [document, shadow(el, '.open'), shadow(el, '.genre-list'), shadow(el, '.fav')];
+      targets.forEach(target => {
+        mock.method(target, 'addEventListener', (type, fn) => added.push([target, type, fn]));
+        mock.method(target, 'removeEventListener', (type, fn) => removed.push([target, type, fn]));
+      });
+      document.body.appendChild(el);
+      el.remove();
+      targets.forEach(target => {
+        target.addEventListener.mock.restore();
+        target.removeEventListener.mock.restore();
+      });
+      assert.ok(added.length >= 5);
+      assert.equal(removed.length, added.length);
+      added.forEach(entry => assert.ok(removed.some(r => r.every((v, i) => v === entry[i])), `${entry[1]} was not removed`));
+    });
+
+    it('stops reacting once removed and works again when re-attached', async () => {
+      const el = mount({ pid: '8', title: 'Moved' });
+      el.remove();
+      assert.deepEqual(selections(el, () => shadow(el, '.open').click()), []);
+      setLocale('es');
+      el.setAttribute('seasons', '2');
+      await rendered();
+      assert.equal(shadow(el, '.season-count').textContent, ''); // detached changes wait for the next connect
+      document.body.appendChild(el);
+      assert.equal(shadow(el, '.season-count').textContent, '2 temporadas');
+      assert.deepEqual(selections(el, () => shadow(el, '.open').click()), ['8']);
+    });
+  });
+});
@@ -0,0 +1,302 @@
+// ----- test/a11y.test.js -----
+// Accessibility: the dialog controller and announcer (a11y.js), and axe-core audits of the app's markup
+// with the podcast modal and stacked dialogs open
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axe from 'axe-core';
+import { createDialogController, createAnnouncer, focusableElements } from '../a11y.js';
+import { mountApp, settle } from './helpers.js';
+
+const PAGE = `
+  <header><button id="opener">Open</button></header>
+  <main><p>Page</p><a href="#top">Top</a></main>
+  <div id="status" role="status" aria-live="polite"></div>
+  <div id="backdrop" hidden></div>
+  <div id="first" role="dialog" aria-modal="true" aria-label="First" hidden>
+    <button id="first-close">Close</button>
+    <button id="first-more">More</button>
+    <div id="first-extra"></div>
+  </div>
+  <dialog id="second" aria-modal="true" aria-label="Second"><button id="second-ok">OK</button></dialog>
+`;
+const SEARCH_DELAY = 200; // the search box is debounced by 180ms
+const ANNOUNCE_DELAY = 650; // createAnnouncer waits 500ms, clears the region, then writes 50ms later
+const byId = id => document.getElementById(id);
+const key = (k, options = {}) => {
+  const e = new KeyboardEvent('keydown', { key: k, bubbles: true, cancelable: true, ...options });
+  (document.activeElement || document.body).dispatchEvent(e);
+  return e;
+};
+
+describe('createDialogController', () => {
+  let lifetime;
+  let dialogs;
+
+  beforeEach(() => {
+    document.body.innerHTML = PAGE;
+    lifetime = new AbortController();
+    dialogs = createDialogController(byId('backdrop'), document.body, { signal: lifetime.signal });
+    byId('opener').focus();
+  });
+  afterEach(() => lifetime.abort());
+
+  it('shows the dialog over the backdrop and moves focus into it', () => {
+    dialogs.open(byId('first'));
+    assert.equal(byId('first').hidden, false);
+    assert.equal(byId('first').hasAttribute('aria-hidden'), false);
+    assert.equal(byId('backdrop').hidden, false);
+    assert.ok(Number(byId('first').style.zIndex) > Number(byId('backdrop').style.zIndex));
+    assert.equal(document.activeElement, byId('first-close'));
+    assert.equal(dialogs.top(), byId('first'));
+  });
+
+  it('makes the background inert, except live regions', () => {
+    dialogs.open(byId('first'));
+    assert.ok(document.querySelector('header').hasAttribute('inert'));
+    assert.ok(document.querySelector('main').hasAttribute('inert'));
+    assert.ok(byId('second').hasAttribute('inert'));
+    assert.equal(byId('status').hasAttribute('inert'), false);
+    assert.equal(byId('first').hasAttribute('inert'), false);
+    dialogs.close(byId('first'));
+    assert.equal(document.querySelector('[inert]'), null);
+    assert.equal(byId('backdrop').hidden, true);
+  });
+
+  it('leaves elements that were already inert inert', () => {
+    document.querySelector('main').setAttribute('inert', '');
+    dialogs.open(byId('first'));
+    dialogs.close(byId('first'));
+    assert.ok(document.querySelector('main').hasAttribute('inert'));
+    assert.equal(document.querySelector('header').hasAttribute('inert'), false);
+  });
+
+  describe('nested dialogs', () => {
+    beforeEach(() => {
+      dialogs.open(byId('first'));
+      byId('first-more').focus();
+      dialogs.open(byId('second'));
+    });
+
+    it('stack above each other, with only the top one usable', () => {
+      assert.equal(dialogs.top(), byId('second'));
+      assert.ok(byId('second').hasAttribute('open'));
+      assert.ok(byId('first').hasAttribute('inert'));
+      assert.equal(byId('second').hasAttribute('inert'), false);
+      assert.ok(Number(byId('backdrop').style.zIndex) > Number(byId('first').style.zIndex));
+      assert.ok(Number(byId('second').style.zIndex) > Number(byId('backdrop').style.zIndex));
+      assert.equal(document.activeElement, byId('second-ok'));
+    });
+
+    it('close from the top with Escape, returning focus to each opener', () => {
+      assert.ok(key('Escape').defaultPrevented);
+      assert.equal(dialogs.top(), byId('first'));
+      assert.equal(byId('second').hasAttribute('open'), false);
+      assert.equal(byId('first').hasAttribute('inert'), false);
+      assert.equal(document.activeElement, byId('first-more'));
+      key('Escape');
+      assert.equal(dialogs.isOpen(), false);
+      assert.equal(document.activeElement, byId('opener'));
+    });
+
+    it('close from the top on backdrop clicks', () => {
+      byId('backdrop').click();
+      assert.equal(dialogs.top(), byId('first'));
+      byId('backdrop').click();
+      assert.equal(dialogs.isOpen(), false);
+    });
+
+    it('close together when a lower one closes', () => {
+      const closed = [];
+      dialogs.close(byId('second'));
+      dialogs.open(byId('second'), { onClose: () => closed.push('second') });
+      dialogs.close(byId('first'));
+      assert.deepEqual(closed, ['second']);
+      assert.equal(dialogs.isOpen(), false);
+      assert.equal(byId('first').hidden, true);
+    });
+
+    it('leave the stack when a <dialog> closes itself', () => {
+      byId('second').removeAttribute('open');
+      byId('second').dispatchEvent(new Event('close'));
+      assert.equal(dialogs.top(), byId('first'));
+    });
+  });
+
+  it('hands Escape and backdrop clicks to onDismiss when given', () => {
+    const onDismiss = mock.fn();
+    dialogs.open(byId('first'), { onDismiss });
+    key('Escape');
+    byId('backdrop').click();
+    assert.equal(onDismiss.mock.callCount(), 2);
+    assert.ok(dialogs.isOpen(byId('first')));
+  });
+
+  describe('focus trap', () => {
+    beforeEach(() => dialogs.open(byId('first')));
+
+    it('wraps Tab and Shift+Tab inside the top dialog', () => {
+      byId('first-more').focus();
+      assert.ok(key('Tab').defaultPrevented);
+      assert.equal(document.activeElement, byId('first-close'));
+      assert.ok(key('Tab', { shiftKey: true }).defaultPrevented);
+      assert.equal(document.activeElement, byId('first-more'));
+      assert.equal(key('Tab', { shiftKey: true }).defaultPrevented, false); // not at an edge: the browser moves focus
+    });
+
+    it('pulls focus that escaped back in', () => {
+      byId('opener').focus(); // e.g. moved by a script
+      key('Tab');
+      assert.equal(document.activeElement, byId('first-close'));
+    });
+
+    it('includes content added after opening', () => {
+      const added = document.createElement('button');
+      added.textContent = 'Episode 1';
+      byId('first-extra').appendChild(added);
+      byId('first-more').focus();
+      assert.equal(key('Tab').defaultPrevented, false); // no longer the last stop
+      added.focus();
+      key('Tab');
+      assert.equal(document.activeElement, byId('first-close'));
+      key('Tab', { shiftKey: true });
+      assert.equal(document.activeElement, added);
+    });
+
+    it('skips content that is hidden or removed later', () => {
+      byId('first-extra').innerHTML = '<div hidden><button>Hidden</button></div><button disabled>Off</button>';
+      assert.deepEqual(focusableElements(byId('first')), [byId('first-close'), byId('first-more')]);
+      byId('first-more').remove();
+      byId('first-close').focus();
+      assert.ok(key('Tab').defaultPrevented);
+      assert.equal(document.activeElement, byId('first-close'));
+    });
+  });
+
+  it('closes everything and stops listening when its signal aborts', () => {
+    dialogs.open(byId('first'));
+    lifetime.abort();
+    assert.equal(byId('first').hidden, true);
+    assert.equal(document.querySelector('[inert]'), null);
+    dialogs.open(byId('first'));
+    assert.equal(key('Escape').defaultPrevented, false);
+  });
+});
+
+describe('createAnnouncer', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+  afterEach(() => mock.timers.reset());
+
+  it('reads out only the last of a quick series of messages', () => {
+    const region = document.createElement('div');
+    const announce = createAnnouncer(region, 500);
+    announce('3 podcasts found');
+    mock.timers.tick(200);
+    announce('1 podcast found');
+    mock.timers.tick(500);
+    assert.equal(region.textContent, ''); // cleared first, so a repeated message is read again
+    mock.timers.tick(50);
+    assert.equal(region.textContent, '1 podcast found');
+  });
+});
+
+describe('the app', () => {
+  let app;
+  const a = id => document.getElementById(id);
+
+  // axe-core violations as "rule: targets"; colour contrast needs layout, which jsdom doesn't do
+  async function audit(context = document) {
+    const { violations } = await axe.run(context, { rules: { 'color-contrast': { enabled: false } } });
+    return violations.map(v => `${v.id}: ${v.nodes.map(n => n.target.join(' ')).join(', ')}`);
+  }
+
+  before(() => {
+    document.title = 'PodcastApp';
+  });
+
+  beforeEach(async () => {
+    app = mountApp({ routing: true, shortcuts: true });
+    await app.ready;
+  });
+  afterEach(() => app.destroy());
+
+  it('has no axe violations on the catalog page', async () => {
+    assert.deepEqual(await audit(), []);
+  });
+
+  it('has no axe violations with the podcast modal open', async () => {
+    app.openPodcast('101');
+    await settle();
+    a('seasons-list').querySelector('.season-toggle').click(); // expanded episodes with play buttons
+    assert.deepEqual(await audit(), []);
+  });
+
+  it('has no axe violations with the feed dialog open', async () => {
+    a('feed-open').click();
+    assert.deepEqual(await audit(), []);
+  });
+
+  it('has no axe violations in the genre view', async () => {
+    a('browse-genres').click();
+    assert.deepEqual(await audit(), []);
+  });
+
+  it('stacks the shortcut help over the podcast modal', () => {
+    app.openPodcast('101');
+    a('modal-close').focus();
+    key('?');
+    assert.ok(a('shortcuts-dialog').hasAttribute('open'));
+    assert.ok(a('podcast-modal').hasAttribute('inert'));
+    assert.ok(document.querySelector('main').hasAttribute('inert'));
+    assert.equal(document.activeElement, a('shortcuts-close'));
+    key('Escape');
+    assert.equal(a('shortcuts-dialog').hasAttribute('open'), false);
+    assert.equal(a('podcast-modal').hidden, false);
+    assert.equal(a('podcast-modal').hasAttribute('inert'), false);
+    assert.equal(document.activeElement, a('modal-close'));
+  });
+
+  it('keeps Tab inside the modal as seasons expand', async () => {
+    app.openPodcast('101');
+    await settle();
+    const modal = a('podcast-modal');
+    const before = focusableElements(modal);
+    a('seasons-list').querySelector('.season-toggle').click();
+    const after = focusableElements(modal);
+    assert.ok(after.length > before.length);
+    after[after.length - 1].focus();
+    key('Tab');
+    assert.equal(document.activeElement, after[0]);
+  });
+
+  it('announces the number of results once typing settles', async () => {
+    a('search-input').value = 'case';
+    a('search-input').dispatchEvent(new Event('input', { bubbles: true }));
+    await settle(SEARCH_DELAY + ANNOUNCE_DELAY);
+    assert.equal(a('live-status').textContent, '1 podcast found');
+    a('genre-filter').querySelector('.genre-chip').click();
+    await settle(ANNOUNCE_DELAY);
+    assert.equal(a('live-status').textContent, '1 podcast found');
+    a('search-input').value = '';
+    a('search-input').dispatchEvent(new Event('input', { bubbles: true }));
+    await settle(SEARCH_DELAY + ANNOUNCE_DELAY);
+    assert.equal(a('live-status').textContent, '2 podcasts found');
+  });
+
+  it('moves between cards with the arrow keys from their open buttons', () => {
+    const [first, second] = a('podcast-grid').querySelectorAll('podcast-preview');
+    first.focus();
+    first.shadowRoot.querySelector('.open').dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true, composed: true, cancelable: true }));
+    assert.equal(document.activeElement, second);
+    assert.equal(second.shadowRoot.activeElement, second.shadowRoot.querySelector('.open'));
+    second.shadowRoot.querySelector('.fav').dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp', bubbles: true, composed: true, cancelable: true }));
+    assert.equal(document.activeElement, second); // the favourite toggle keeps its keys
+  });
+
+  it('marks cards as opening a dialog rather than as toggles', () => {
+    const open = a('podcast-grid').querySelector('podcast-preview').shadowRoot.querySelector('.open');
+    assert.equal(open.localName, 'button');
+    assert.equal(open.getAttribute('aria-haspopup'), 'dialog');
+    assert.equal(open.hasAttribute('aria-pressed'), false);
+  });
+});
@@ -0,0 +1,213 @@
+// ----- test/app.test.js -----
+// createPodcastApp: two apps mounted on one page keep their state, URL handling and listeners apart,
+// destroy() unmounts one without touching the other, and the page size is kept in the URL
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPodcastApp } from '../app.js';
+import { createStaticProvider } from '../dataProvider.js';
+import { SAMPLE_CATALOG, appMarkup, mountApp, settle } from './helpers.js';
+
+const SEARCH_DELAY = 200; // the search box is debounced by 180ms
+
+describe('two apps on one page', () => {
+  let first;
+  let second;
+  let box;
+  const a = id => document.getElementById(id); // the first app's markup
+  const b = id => document.getElementById(`b-${id}`); // the second app's, with prefixed ids
+  const titles = grid => Array.from(grid.querySelectorAll('podcast-preview')).map(el => el.title);
+  const type = (input, text) => {
+    input.value = text;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+  const press = (key, target = document.body) => target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+
+  beforeEach(async () => {
+    first = mountApp({ routing: true, shortcuts: true });
+    box = document.createElement('section');
+    box.innerHTML = appMarkup('b-'); // the second app's markup, nested in the first app's root
+    document.body.appendChild(box);
+    second = createPodcastApp(box, { idPrefix: 'b-', provider: createStaticProvider(SAMPLE_CATALOG) });
+    await Promise.all([first.ready, second.ready]);
+  });
+
+  afterEach(() => {
+    first.destroy();
+    second.destroy();
+    document.body.innerHTML = '';
+  });
+
+  it('renders the catalog into each grid', () => {
+    assert.equal(a('podcast-grid').querySelectorAll('podcast-preview').length, 3);
+    assert.equal(b('podcast-grid').querySelectorAll('podcast-preview').length, 3);
+    assert.equal(a('genre-filter').querySelectorAll('.genre-chip').length, 2);
+    assert.equal(b('genre-filter').querySelectorAll('.genre-chip').length, 2);
+  });
+
+  it('keeps search and genre filters apart', async () => {
+    type(a('search-input'), 'night');
+    await settle(SEARCH_DELAY);
+    assert.deepEqual(titles(a('podcast-grid')), ['Night Shift']);
+    assert.equal(titles(b('podcast-grid')).length, 3);
+
+    b('genre-filter').querySelector('.genre-chip[data-genre-id="2"]').click();
+    assert.deepEqual(titles(b('podcast-grid')).sort(), ['Case Notes', 'The Long Table']);
+    assert.deepEqual(titles(a('podcast-grid')), ['Night Shift']);
+    assert.equal(a('genre-filter').querySelector('[aria-pressed="true"]'), null);
+  });
+
+  it('leaves the URL to the app with routing', async () => {
+    type(b('search-input'), 'case');
+    await settle(SEARCH_DELAY);
+    assert.equal(location.search, '');
+
+    type(a('search-input'), 'table');
+    await settle(SEARCH_DELAY);
+    assert.equal(new URLSearchParams(location.search).get('q'), 'table');
+
+    second.openPodcast('101');
+    assert.equal(location.hash, '');
+    first.openPodcast('102');
+    assert.equal(location.hash, '#/podcast/102');
+  });
+
+  it('restores only the routed app on Back / Forward', () => {
+    history.pushState(null, '', '/index.html?q=notes');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    assert.equal(a('search-input').value, 'notes');
+    assert.deepEqual(titles(a('podcast-grid')), ['Case Notes']);
+    assert.equal(b('search-input').value, '');
+    assert.equal(titles(b('podcast-grid')).length, 3);
+  });
+
+  it('opens a card in its own app only', () => {
+    b('podcast-grid').querySelector('podcast-preview[pid="103"]').shadowRoot.querySelector('.open').click();
+    assert.equal(b('podcast-modal').hidden, false);
+    assert.equal(b('modal-title').textContent, 'Case Notes');
+    assert.equal(a('podcast-modal').hidden, true);
+    assert.equal(location.hash, '');
+  });
+
+  it('gives page-wide shortcuts to the app that asked for them', () => {
+    press('/');
+    assert.equal(document.activeElement, a('search-input'));
+  });
+
+  describe('destroy()', () => {
+    it('empties what the app rendered', () => {
+      first.destroy();
+      assert.equal(a('podcast-grid').children.length, 0);
+      assert.equal(a('genre-filter').children.length, 0);
+      assert.equal(a('result-count').textContent, '');
+      assert.equal(b('podcast-grid').querySelectorAll('podcast-preview').length, 3);
+    });
+
+    it('closes its dialogs and returns the background to normal', () => {
+      first.openPodcast('101');
+      assert.ok(document.querySelector('main').hasAttribute('inert'));
+      first.destroy();
+      assert.equal(a('podcast-modal').hidden, true);
+      assert.equal(a('modal-backdrop').hidden, true);
+      assert.equal(document.querySelector('[inert]'), null);
+    });
+
+    it('stops listening to the page, the URL and its own controls', async () => {
+      first.destroy();
+      a('search-input').blur();
+      press('/');
+      assert.notEqual(document.activeElement, a('search-input'));
+
+      history.pushState(null, '', '/index.html?q=notes');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+      assert.equal(a('search-input').value, '');
+
+      type(a('search-input'), 'night');
+      await settle(SEARCH_DELAY);
+      assert.equal(a('podcast-grid').children.length, 0);
+
+      a('feed-open').click();
+      assert.equal(a('feed-dialog').hasAttribute('open'), false);
+    });
+
+    it('leaves the other app working', async () => {
+      first.destroy();
+      type(b('search-input'), 'night');
+      await settle(SEARCH_DELAY);
+      assert.deepEqual(titles(b('podcast-grid')), ['Night Shift']);
+      b('podcast-grid').querySelector('podcast-preview').shadowRoot.querySelector('.open').click();
+      assert.equal(b('podcast-modal').hidden, false);
+    });
+
+    it('lets the same markup be mounted again', async () => {
+      first.destroy();
+      first = createPodcastApp(document.body, { routing: true, provider: createStaticProvider(SAMPLE_CATALOG) });
+      await first.ready;
+      assert.equal(a('podcast-grid').querySelectorAll('podcast-preview').length, 3);
+      assert.equal(a('genre-filter').querySelectorAll('.genre-chip').length, 2);
+    });
+
+    it('can be called twice', () => {
+      first.destroy();
+      assert.doesNotThrow(() => first.destroy());
+    });
+  });
+});
+
+describe('page size in the URL', () => {
+  let app;
+  const a = id => document.getElementById(id);
+  const cards = () => a('podcast-grid').querySelectorAll('podcast-preview').length;
+  const param = name => new URLSearchParams(location.search).get(name);
+  // 30 shows, so every page size the select offers shows a different number of cards
+  const podcasts = Array.from({ length: 30 }, (_, i) => ({ id: String(i + 1), title: `Show ${i + 1}`, description: '', genres: [], seasons: 1 }));
+  const chooseSize = size => {
+    a('page-size').value = String(size);
+    a('page-size').dispatchEvent(new Event('change'));
+  };
+
+  // mount the routed app at a URL, as a shared link or a reload would
+  async function mountAt(url) {
+    app = mountApp({ routing: true, provider: createStaticProvider({ podcasts, genres: [], seasons: [] }) });
+    history.replaceState(null, '', url); // before the catalog loads, which is when the URL is read
+    await app.ready;
+  }
+
+  afterEach(() => app.destroy());
+
+  it('keeps a chosen page size in the URL, starting again from the first page', async () => {
+    await mountAt('/index.html?page=2');
+    assert.equal(cards(), 16);
+    chooseSize(12);
+    assert.equal(cards(), 12);
+    assert.equal(param('size'), '12');
+    assert.equal(param('page'), null);
+    chooseSize(8); // the grid's default is left out
+    assert.equal(param('size'), null);
+  });
+
+  it('restores the page size from a link', async () => {
+    await mountAt('/index.html?size=12&page=2');
+    assert.equal(a('page-size').value, '12');
+    assert.equal(cards(), 24);
+    assert.equal(location.search, '?size=12&page=2'); // kept as it was
+  });
+
+  it('drops a page size the select does not offer', async () => {
+    await mountAt('/index.html?size=10');
+    assert.equal(a('page-size').value, '8');
+    assert.equal(cards(), 8);
+    assert.equal(param('size'), null);
+  });
+
+  it('follows the page size on Back / Forward', async () => {
+    await mountAt('/index.html');
+    history.pushState(null, '', '/index.html?size=24');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    assert.equal(a('page-size').value, '24');
+    assert.equal(cards(), 24);
+    history.pushState(null, '', '/index.html');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    assert.equal(cards(), 8);
+  });
+});
@@ -0,0 +1,190 @@
+// ----- test/catalogSchema.test.js -----
+// validateRecord and validateCatalog (catalogSchema.js), and the lintCatalog.js command line on the fixtures
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateRecord, validateCatalog, formatProblem, summarizeProblems } from '../catalogSchema.js';
+
+const codes = problems => problems.map(p => `${p.level} ${p.path} ${p.code}`);
+
+describe('validateRecord', () => {
+  it('coerces ids, counts and dates, and fills in defaults', () => {
+    const problems = [];
+    const record = validateRecord({ id: 10716, seasons: '4', genres: ['2', 3, 3], updated: '2022-11-03', extra: true }, 'podcast', 'podcasts[0]', problems);
+    assert.deepEqual(record, {
+      id: '10716',
+      title: '',
+      description: '',
+      image: '',
+      seasons: 4,
+      genres: [2, 3], // repeats are dropped silently
+      updated: '2022-11-03T00:00:00.000Z',
+      extra: true, // fields outside the schema are kept
+    });
+    assert.deepEqual(codes(problems), ['warning podcasts[0].title missing']);
+  });
+
+  it('reads "10716" and 10716 as the same podcast id', () => {
+    assert.equal(validateRecord({ id: ' 10716 ' }, 'podcast', 'p').id, '10716');
+    assert.equal(validateRecord({ id: 10716 }, 'podcast', 'p').id, '10716');
+  });
+
+  it('skips a record without a usable id, and drops bad optional values with a warning', () => {
+    const problems = [];
+    assert.equal(validateRecord({ title: 'No id' }, 'podcast', 'podcasts[1]', problems), null);
+    assert.equal(validateRecord({ id: 'one' }, 'genre', 'genres[0]', problems), null);
+    assert.equal(validateRecord('Night Shift', 'podcast', 'podcasts[2]', problems), null);
+    const record = validateRecord({ id: '5', title: 'Odd', seasons: -1, genres: [1, 'x'], updated: 'soon' }, 'podcast', 'podcasts[3]', problems);
+    assert.equal('seasons' in record, false);
+    assert.equal('updated' in record, false);
+    assert.deepEqual(record.genres, [1]);
+    assert.deepEqual(codes(problems), [
+      'error podcasts[1].id missing',
+      'error genres[0].id invalid',
+      'error podcasts[2] invalid',
+      'warning podcasts[3].seasons invalid',
+      'warning podcasts[3].genres[1] invalid',
+      'warning podcasts[3].updated invalid',
+    ]);
+  });
+
+  it('checks nested seasons and episodes', () => {
+    const problems = [];
+    const entry = validateRecord({ id: 7, seasonDetails: [{ title: 'S1', episodeDetails: [{ episode: '2', duration: 'long' }, 'bad'] }] }, 'seasonsEntry', 'seasons[0]', problems);
+    assert.deepEqual(entry.seasonDetails[0].episodeDetails, [{ episode: 2, title: '' }]);
+    assert.deepEqual(codes(problems), ['warning seasons[0].seasonDetails[0].episodeDetails[0].duration invalid', 'error seasons[0].seasonDetails[0].episodeDetails[1] invalid']);
+  });
+});
+
+describe('validateCatalog', () => {
+  it('keeps the first of two records with the same id', () => {
+    const { catalog, problems } = validateCatalog({ podcasts: [{ id: 1, title: 'First' }, { id: '1', title: 'Second' }, { id: 2, title: 'Other' }] });
+    assert.deepEqual(catalog.podcasts.map(p => p.title), ['First', 'Other']);
+    assert.deepEqual(codes(problems), ['error podcasts[1].id duplicate']);
+    assert.match(problems[0].message, /already used by podcasts\[0\]/);
+  });
+
+  it('agrees genre membership on both sides, in the order of the genres list', () => {
+    const { catalog, problems } = validateCatalog({
+      podcasts: [{ id: '1', title: 'A', genres: [2] }, { id: '2', title: 'B', genres: [] }],
+      genres: [{ id: 1, title: 'One', shows: ['1', '2'] }, { id: 2, title: 'Two', shows: [] }],
+    });
+    assert.deepEqual(catalog.podcasts.map(p => p.genres), [[1, 2], [1]]);
+    assert.deepEqual(catalog.genres.map(g => g.shows), [['1', '2'], ['1']]);
+    assert.deepEqual(codes(problems), [
+      'warning podcasts[0].genres[0] genre-mismatch', // podcast 1 lists genre 2, which didn't list it
+      'warning genres[0].shows[0] genre-mismatch', // genre 1 lists podcasts that didn't list it
+      'warning genres[0].shows[1] genre-mismatch',
+    ]);
+  });
+
+  it('drops references to podcasts and genres that are not in the catalog', () => {
+    const { catalog, problems } = validateCatalog({
+      podcasts: [{ id: '1', title: 'A', genres: [1, 9] }],
+      genres: [{ id: 1, title: 'One', shows: ['1', '404'] }],
+      seasons: [{ id: '404', seasonDetails: [] }],
+    });
+    assert.deepEqual(catalog.podcasts[0].genres, [1]);
+    assert.deepEqual(catalog.genres[0].shows, ['1']);
+    assert.deepEqual(catalog.seasons, []);
+    assert.deepEqual(codes(problems), ['warning podcasts[0].genres[1] unknown-genre', 'warning genres[0].shows[1] unknown-podcast', 'warning seasons[0].id unknown-podcast']);
+  });
+
+  it('fills in missing season and episode counts from the details', () => {
+    const { catalog, problems } = validateCatalog({
+      podcasts: [{ id: '1', title: 'A' }],
+      seasons: [{ id: 1, seasonDetails: [{ title: 'S1', episodeDetails: [{ title: 'e1' }, { title: 'e2' }] }, { title: 'S2', episodes: 4 }] }],
+    });
+    assert.equal(catalog.podcasts[0].seasons, 2);
+    assert.equal(catalog.seasons[0].seasonDetails[0].episodes, 2);
+    assert.deepEqual(problems, []);
+  });
+
+  it('warns where counts and details disagree, keeping the counts', () => {
+    const { catalog, problems } = validateCatalog({
+      podcasts: [{ id: '1', title: 'A', seasons: 5 }],
+      seasons: [{ id: '1', seasonDetails: [{ title: 'S1', episodes: 3, episodeDetails: [{ title: 'e1' }] }] }],
+    });
+    assert.equal(catalog.podcasts[0].seasons, 5); // seasonDetails may list only some seasons
+    assert.equal(catalog.seasons[0].seasonDetails[0].episodes, 3);
+    assert.deepEqual(codes(problems), ['warning podcasts[0].seasons season-count', 'warning seasons[0].seasonDetails[0].episodes episode-count']);
+  });
+
+  it('reports a list that is not a list, and leaves the input alone', () => {
+    const raw = { podcasts: { id: 1 }, genres: [{ id: '3', title: 'Three', shows: [] }] };
+    const { catalog, problems } = validateCatalog(raw);
+    assert.deepEqual(catalog.podcasts, []);
+    assert.deepEqual(codes(problems), ['error podcasts invalid']);
+    assert.equal(raw.genres[0].id, '3');
+    assert.equal(catalog.genres[0].id, 3);
+  });
+
+  it('formats and counts problems for the console', () => {
+    const { problems } = validateCatalog({ podcasts: [{ id: 1 }, { id: 1, title: 'Again' }] });
+    assert.equal(formatProblem(problems[0]), 'warning podcasts[0].title (missing): No title');
+    assert.equal(summarizeProblems(problems), '1 error, 1 warning');
+    assert.equal(summarizeProblems([]), '0 errors, 0 warnings');
+  });
+});
+
+describe('lintCatalog.js', () => {
+  const fixture = name => fileURLToPath(new URL(`../fixtures/catalog/${name}`, import.meta.url));
+  // run the linter in its own Node process; resolves with its exit code and output
+  const lint = (...args) => new Promise(resolve => {
+    execFile(process.execPath, [fileURLToPath(new URL('../lintCatalog.js', import.meta.url)), ...args], (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+
+  it('prints every problem and fails on errors', async () => {
+    const { code, stdout } = await lint(fixture('invalid-catalog.json'));
+    assert.equal(code, 1);
+    const lines = stdout.trim().split('\n');
+    assert.ok(lines.includes('error podcasts[1].id (duplicate): Id 301 is already used by podcasts[0]; skipped'));
+    assert.ok(lines.includes('warning podcasts[0].genres[1] (genre-mismatch): Podcast 301 lists genre 2, but the genre doesn\'t list it; added to the genre'));
+    assert.ok(lines.includes('warning seasons[0].seasonDetails[0].episodes (episode-count): Season says 3 episodes, but its episodeDetails has 1'));
+    assert.equal(lines.at(-1), `${fixture('invalid-catalog.json')}: 2 errors, 6 warnings`);
+  });
+
+  it('lists problems as JSON', async () => {
+    const { code, stdout } = await lint('--json', fixture('invalid-catalog.json'));
+    assert.equal(code, 1);
+    const problems = JSON.parse(stdout);
+    assert.equal(problems.length, 8);
+    assert.deepEqual(problems[1], { level: 'error', code: 'duplicate', path: 'podcasts[1].id', message: 'Id 301 is already used by podcasts[0]; skipped' });
+  });
+
+  it('passes a catalog with warnings only, unless --strict', async () => {
+    const catalog = fixture('podcasts.json'); // no genres or seasons lists: podcasts point at unknown genres
+    assert.equal((await lint(catalog)).code, 0);
+    assert.equal((await lint('--strict', catalog)).code, 1);
+  });
+
+  it('writes the normalized catalog', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'lint-catalog-'));
+    try {
+      const out = join(dir, 'catalog.json');
+      await lint('--write', out, fixture('invalid-catalog.json'));
+      const written = JSON.parse(readFileSync(out, 'utf8'));
+      assert.deepEqual(written.podcasts.map(p => [p.id, p.genres]), [['301', [1, 2]]]);
+      assert.deepEqual(written.genres.map(g => g.shows), [['301'], ['301']]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('exits with 2 on a file it cannot read, and on bad arguments', async () => {
+    const malformed = await lint(fixture('malformed.json'));
+    assert.equal(malformed.code, 2);
+    assert.match(malformed.stderr, /malformed\.json: .*JSON/);
+    assert.equal((await lint(fixture('missing.json'))).code, 2);
+    const usage = await lint();
+    assert.equal(usage.code, 2);
+    assert.match(usage.stderr, /^Usage: node lintCatalog\.js/);
+  });
+});
@@ -0,0 +1,162 @@
+// ----- test/dataProvider.test.js -----
+// createFetchProvider against a local server for fixtures/catalog, the dev-only demo episodes, and the app's
+// loading, error and retry states for the catalog and for a podcast's seasons
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFetchProvider, createStaticProvider } from '../dataProvider.js';
+import { withDemoEpisodes, DEMO_AUDIO } from '../fixtures/demoEpisodes.js';
+import { mountApp, until, startFixtureServer } from './helpers.js';
+
+let server;
+before(async () => {
+  server = await startFixtureServer();
+});
+after(() => server.close());
+
+// a provider for the fixture catalog, with seasons fetched per podcast
+const fixtureProvider = () => createFetchProvider({
+  podcastsUrl: server.url('/catalog/podcasts.json'),
+  genresUrl: server.url('/catalog/genres.json'),
+  seasonsUrl: server.url('/catalog/seasons/{id}.json'),
+});
+
+// resets the routes a test changed
+function resetRoutes() {
+  server.route('/catalog/podcasts.json', 'catalog/podcasts.json');
+  server.route('/catalog/seasons/201.json', 'catalog/seasons/201.json');
+}
+
+describe('createFetchProvider', () => {
+  beforeEach(resetRoutes);
+
+  it('loads podcasts and genres, wrapped or as bare arrays', async () => {
+    const catalog = await fixtureProvider().load();
+    assert.deepEqual(catalog.podcasts.map(p => p.title), ['Harbour Lights', 'Second Helpings']);
+    assert.deepEqual(catalog.genres.map(g => g.title), ['Personal Experiences', 'Food']);
+    assert.deepEqual(catalog.seasons, []); // fetched per podcast instead
+  });
+
+  it('fetches a podcast\'s seasons once', async () => {
+    const provider = fixtureProvider();
+    const seen = server.requests.length;
+    const details = await provider.loadSeasons('201');
+    assert.deepEqual(details.map(s => s.title), ['Season 1', 'Season 2']);
+    assert.equal(details[0].episodeDetails.length, 2);
+    await provider.loadSeasons(201);
+    assert.deepEqual(server.requests.slice(seen), ['/catalog/seasons/201.json']);
+  });
+
+  it('rejects on an HTTP error, naming the URL and status', async () => {
+    server.route('/catalog/podcasts.json', 'catalog/error.json', 500);
+    await assert.rejects(fixtureProvider().load(), { message: `Failed to load ${server.url('/catalog/podcasts.json')} (HTTP 500)` });
+  });
+
+  it('rejects on malformed JSON', async () => {
+    server.route('/catalog/podcasts.json', 'catalog/malformed.json');
+    await assert.rejects(fixtureProvider().load(), SyntaxError);
+  });
+
+  it('rejects JSON that holds no list', async () => {
+    server.route('/catalog/podcasts.json', 'catalog/error.json');
+    await assert.rejects(fixtureProvider().load(), { message: 'Expected an array of podcasts' });
+  });
+
+  it('does not keep failed seasons, so a retry fetches again', async () => {
+    const provider = fixtureProvider();
+    server.route('/catalog/seasons/201.json', 'catalog/error.json', 503);
+    await assert.rejects(provider.loadSeasons('201'), /HTTP 503/);
+    resetRoutes();
+    assert.equal((await provider.loadSeasons('201')).length, 2);
+  });
+});
+
+describe('withDemoEpisodes', () => {
+  const catalog = {
+    podcasts: [{ id: '6807', title: 'Even the Rich', seasons: 2 }, { id: '9', title: 'Plain', seasons: 1 }],
+    genres: [],
+    seasons: [
+      { id: '6807', seasonDetails: [{ title: 'From Commoner to Royalty', episodes: 5 }, { title: "A Real Life 'Succession' Story", episodes: 6 }] },
+      { id: '9', seasonDetails: [{ title: 'Season 1', episodes: 3 }] },
+    ],
+  };
+
+  it('adds the made-up episodes to the shows it knows, from load() and loadSeasons()', async () => {
+    const provider = withDemoEpisodes(createStaticProvider(catalog));
+    const [royalty, trailer] = (await provider.load()).seasons[0].seasonDetails;
+    assert.equal(royalty.episodeDetails.length, 5);
+    assert.deepEqual(royalty.episodeDetails.map(ep => ep.file), Array(5).fill(DEMO_AUDIO));
+    assert.equal(trailer.file, DEMO_AUDIO);
+    assert.equal((await provider.loadSeasons(6807))[0].episodeDetails[4].title, 'Megxit');
+    assert.deepEqual(await provider.loadSeasons('9'), catalog.seasons[1].seasonDetails);
+  });
+
+  it('leaves the wrapped provider\'s data alone', async () => {
+    await withDemoEpisodes(createStaticProvider(catalog)).load();
+    assert.deepEqual(catalog.seasons[0].seasonDetails[0], { title: 'From Commoner to Royalty', episodes: 5 });
+    assert.equal(DEMO_AUDIO, new URL('../fixtures/audio/silence-2s.wav', import.meta.url).href);
+  });
+});
+
+describe('loading states in the app', () => {
+  let app;
+  const a = id => document.getElementById(id);
+  const status = el => el.querySelector('.load-status');
+  const titles = () => Array.from(a('podcast-grid').querySelectorAll('podcast-preview')).map(el => el.title);
+
+  beforeEach(resetRoutes);
+  afterEach(() => app.destroy());
+
+  it('shows a loading state, then the catalog', async () => {
+    app = mountApp({ provider: fixtureProvider() });
+    const loading = status(a('podcast-grid'));
+    assert.ok(loading.classList.contains('load-status--loading'));
+    assert.equal(loading.getAttribute('role'), 'status');
+    assert.equal(loading.textContent, 'Loading podcasts…');
+    assert.equal(a('podcast-grid').getAttribute('aria-busy'), 'true');
+    await app.ready;
+    assert.equal(status(a('podcast-grid')), null);
+    assert.equal(a('podcast-grid').getAttribute('aria-busy'), 'false');
+    assert.deepEqual(titles(), ['Harbour Lights', 'Second Helpings']);
+  });
+
+  for (const [name, file, code] of [['an HTTP error', 'catalog/error.json', 500], ['malformed JSON', 'catalog/malformed.json', 200]]) {
+    it(`shows an error with Retry after ${name}, and recovers`, async t => {
+      t.mock.method(console, 'error', () => {}); // the app logs the failure
+      server.route('/catalog/podcasts.json', file, code);
+      app = mountApp({ provider: fixtureProvider() });
+      await app.ready;
+      const error = status(a('podcast-grid'));
+      assert.ok(error.classList.contains('load-status--error'));
+      assert.equal(error.getAttribute('role'), 'alert');
+      assert.match(error.querySelector('p').textContent, /^Could not load podcasts\./);
+      if (code !== 200) assert.match(error.textContent, /HTTP 500/);
+      assert.equal(a('podcast-grid').getAttribute('aria-busy'), 'false');
+      assert.deepEqual(titles(), []);
+
+      resetRoutes();
+      error.querySelector('button').click();
+      assert.ok(status(a('podcast-grid')).classList.contains('load-status--loading'));
+      await until(() => titles().length === 2);
+      assert.equal(status(a('podcast-grid')), null);
+    });
+  }
+
+  it('shows the seasons\' loading and error states in the modal, with Retry', async () => {
+    app = mountApp({ provider: fixtureProvider() });
+    await app.ready;
+    server.route('/catalog/seasons/201.json', 'catalog/error.json', 500);
+    app.openPodcast('201');
+    assert.equal(status(a('seasons-list')).textContent, 'Loading seasons…');
+    assert.equal(a('seasons-list').getAttribute('aria-busy'), 'true');
+    await until(() => a('seasons-list').querySelector('.load-status--error'));
+    assert.equal(a('seasons-list').getAttribute('aria-busy'), 'false');
+    assert.equal(status(a('seasons-list')).querySelector('p').textContent, 'Could not load seasons.');
+
+    resetRoutes();
+    status(a('seasons-list')).querySelector('button').click();
+    await until(() => a('seasons-list').querySelectorAll('.season-toggle').length === 1);
+    assert.equal(status(a('seasons-list')), null);
+    assert.equal(a('seasons-list').querySelectorAll('.season-item').length, 2);
+  });
+});
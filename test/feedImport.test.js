@@ -0,0 +1,233 @@
+// ----- test/feedImport.test.js -----
+// parseFeed and mergeFeedIntoCatalog with the RSS / Atom samples in fixtures/feeds, and the "Add feed" dialog
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseFeed, mergeFeedIntoCatalog, parseFeedDuration, parseFeedDate } from '../feedImport.js';
+import { setLocale } from '../i18n.js';
+import { mountApp, settle } from './helpers.js';
+
+const feed = name => readFileSync(new URL(`../fixtures/feeds/${name}`, import.meta.url), 'utf8');
+const GENRES = [
+  { id: 1, title: 'Personal Growth', description: '', shows: [] },
+  { id: 2, title: 'Investigative Journalism', description: '', shows: ['10'] },
+  { id: 3, title: 'History', description: '', shows: ['10'] },
+  { id: 4, title: 'Entertainment', description: '', shows: [] },
+];
+const CATALOG = {
+  podcasts: [{ id: '10', title: 'Already Here', seasons: 1, genres: [2, 3] }],
+  genres: GENRES,
+  seasons: [{ id: '10', seasonDetails: [{ title: 'Season 1', episodes: 3 }] }],
+};
+
+describe('parseFeed: iTunes RSS', () => {
+  const parsed = parseFeed(feed('itunes-seasons.xml'), GENRES);
+
+  it('reads the show', () => {
+    const { podcast } = parsed;
+    assert.match(podcast.id, /^feed-[0-9a-z]+$/);
+    assert.equal(podcast.title, 'Lantern Street');
+    assert.equal(podcast.description, 'Neighbours tell the stories of one street, house by house.'); // markup stripped
+    assert.equal(podcast.image, 'https://lantern-street.example/cover.jpg');
+    assert.equal(podcast.updated, '2024-05-14T06:00:00.000Z');
+    assert.equal(podcast.seasons, 2);
+  });
+
+  it('maps categories onto genres by title, alias or as new genres', () => {
+    // Society & Culture -> Entertainment (alias), Personal Journals (new), History (title), True Crime -> Investigative Journalism (alias)
+    assert.deepEqual(parsed.genreIds, [4, 5, 3, 2]);
+    assert.deepEqual(parsed.podcast.genres, [4, 5, 3, 2]);
+    assert.deepEqual(parsed.newGenres, [{ id: 5, title: 'Personal Journals', description: '', shows: [] }]);
+  });
+
+  it('groups episodes by itunes:season, in episode order', () => {
+    const [first] = parsed.seasons.seasonDetails;
+    assert.equal(parsed.seasons.id, parsed.podcast.id);
+    assert.equal(first.title, 'Season 1');
+    assert.equal(first.episodes, 2);
+    assert.deepEqual(first.episodeDetails[0], {
+      episode: 1,
+      title: 'The House at Number Nine', // itunes:title wins over <title>
+      description: 'The first owners, in their grandchildren\'s words.',
+      duration: 3723,
+      file: 'https://lantern-street.example/audio/s1e1.mp3',
+      date: '2024-01-01T06:00:00.000Z',
+    });
+    assert.equal(first.episodeDetails[1].duration, 2730);
+  });
+
+  it('numbers episodes without itunes:episode by date', () => {
+    const second = parsed.seasons.seasonDetails[1];
+    assert.equal(second.title, 'Season 2');
+    assert.deepEqual(second.episodeDetails.map(ep => [ep.episode, ep.title]), [[1, 'The Flood'], [2, 'Moving Day']]);
+    assert.equal(second.episodeDetails[1].description, 'Who left, and who came after.'); // from itunes:summary
+    assert.equal(second.episodeDetails[1].duration, 2910);
+    assert.equal(second.episodeDetails[0].duration, null);
+    assert.equal(second.episodeDetails[0].file, '');
+  });
+
+  it('titles seasons in the current language', () => {
+    setLocale('es');
+    try {
+      assert.deepEqual(parseFeed(feed('itunes-seasons.xml'), GENRES).seasons.seasonDetails.map(s => s.title), ['Temporada 1', 'Temporada 2']);
+    } finally {
+      setLocale('en');
+    }
+  });
+
+  it('applies an alias only when the catalog has its genre', () => {
+    const other = parseFeed(feed('itunes-seasons.xml'), [{ id: 7, title: 'Society & Culture' }, { id: 8, title: 'History' }]);
+    // True Crime's genre (Investigative Journalism) is not in this catalog: it becomes a genre of its own
+    assert.deepEqual(other.genreIds, [7, 9, 8, 10]);
+    assert.deepEqual(other.newGenres.map(g => g.title), ['Personal Journals', 'True Crime']);
+  });
+
+  it('gives the same feed the same id', () => {
+    assert.equal(parseFeed(feed('itunes-seasons.xml'), []).podcast.id, parsed.podcast.id);
+    assert.notEqual(parseFeed(feed('atom.xml'), []).podcast.id, parsed.podcast.id);
+  });
+});
+
+describe('parseFeed: Atom', () => {
+  const parsed = parseFeed(feed('atom.xml'), GENRES);
+
+  it('reads the show', () => {
+    assert.equal(parsed.podcast.title, 'Field Notes Weekly');
+    assert.equal(parsed.podcast.description, 'Short dispatches from ecologists in the field.');
+    assert.equal(parsed.podcast.image, 'https://field-notes.example/logo.png');
+    assert.equal(parsed.podcast.updated, '2024-03-20T09:00:00.000Z');
+  });
+
+  it('maps category labels and terms', () => {
+    assert.deepEqual(parsed.genreIds, [5, 1]); // Science (new), education -> Personal Growth
+    assert.deepEqual(parsed.newGenres.map(g => g.title), ['Science']);
+  });
+
+  it('puts entries in one season, numbered by date', () => {
+    const { seasonDetails } = parsed.seasons;
+    assert.equal(seasonDetails.length, 1);
+    assert.deepEqual(seasonDetails[0].episodeDetails, [
+      { episode: 1, title: 'Lichen Season', description: 'Why the north side of the wall is greener.', duration: null, file: '', date: '2024-03-13T09:00:00.000Z' },
+      { episode: 2, title: 'Counting Bats', description: 'A night on the river with a detector.', duration: null, file: 'https://field-notes.example/audio/bats.mp3', date: '2024-03-20T09:00:00.000Z' },
+    ]);
+  });
+});
+
+describe('parseFeed errors', () => {
+  it('rejects malformed XML', () => {
+    assert.throws(() => parseFeed(feed('malformed.xml'), GENRES), { code: 'feed.notXml' });
+    assert.throws(() => parseFeed('', GENRES), { code: 'feed.notXml' });
+  });
+
+  it('rejects XML that is not RSS or Atom', () => {
+    assert.throws(() => parseFeed(feed('not-a-feed.xml'), GENRES), { code: 'feed.notFeed' });
+    assert.throws(() => parseFeed('<rss version="2.0"/>', GENRES), { code: 'feed.notFeed' });
+  });
+
+  it('rejects a feed without a title', () => {
+    assert.throws(() => parseFeed(feed('untitled.xml'), GENRES), { code: 'feed.noTitle' });
+  });
+});
+
+describe('mergeFeedIntoCatalog', () => {
+  const parsed = parseFeed(feed('itunes-seasons.xml'), GENRES);
+  const merged = mergeFeedIntoCatalog(CATALOG, parsed);
+  const genre = (catalog, id) => catalog.genres.find(g => g.id === id);
+
+  it('adds the show, its seasons and new genres', () => {
+    assert.deepEqual(merged.podcasts.map(p => p.id), ['10', parsed.podcast.id]);
+    assert.deepEqual(merged.seasons.map(s => s.id), ['10', parsed.podcast.id]);
+    assert.deepEqual(merged.genres.map(g => g.id), [1, 2, 3, 4, 5]);
+  });
+
+  it('lists the show under each of its genres', () => {
+    assert.deepEqual(genre(merged, 2).shows, ['10', parsed.podcast.id]);
+    assert.deepEqual(genre(merged, 5).shows, [parsed.podcast.id]);
+    assert.deepEqual(genre(merged, 1).shows, []);
+  });
+
+  it('leaves the original catalog alone', () => {
+    assert.equal(CATALOG.podcasts.length, 1);
+    assert.equal(CATALOG.seasons.length, 1);
+    assert.equal(CATALOG.genres.length, 4);
+    assert.deepEqual(GENRES[1].shows, ['10']);
+  });
+
+  it('replaces an earlier import of the same feed', () => {
+    const again = mergeFeedIntoCatalog(merged, parseFeed(feed('itunes-seasons.xml'), merged.genres));
+    assert.equal(again.podcasts.length, 2);
+    assert.equal(again.seasons.length, 2);
+    assert.equal(again.genres.length, 5); // Personal Journals is known now
+    assert.deepEqual(genre(again, 5).shows, [parsed.podcast.id]);
+  });
+
+  it('drops the show from genres it no longer has', () => {
+    const recategorized = { ...parsed, genreIds: [1], newGenres: [], podcast: { ...parsed.podcast, genres: [1] } };
+    const again = mergeFeedIntoCatalog(merged, recategorized);
+    assert.deepEqual(genre(again, 1).shows, [parsed.podcast.id]);
+    assert.deepEqual(genre(again, 2).shows, ['10']);
+    assert.deepEqual(genre(again, 5).shows, []);
+  });
+});
+
+describe('feed values', () => {
+  it('parses itunes:duration in seconds, minutes or hours', () => {
+    assert.equal(parseFeedDuration('95'), 95);
+    assert.equal(parseFeedDuration('59:30'), 3570);
+    assert.equal(parseFeedDuration('1:02:03'), 3723);
+    assert.equal(parseFeedDuration('about an hour'), null);
+    assert.equal(parseFeedDuration(''), null);
+  });
+
+  it('parses RSS and Atom dates', () => {
+    assert.equal(parseFeedDate('Tue, 14 May 2024 06:00:00 GMT'), '2024-05-14T06:00:00.000Z');
+    assert.equal(parseFeedDate('2024-03-20T09:00:00Z'), '2024-03-20T09:00:00.000Z');
+    assert.equal(parseFeedDate('someday'), '');
+  });
+});
+
+describe('the "Add feed" dialog', () => {
+  let app;
+  const a = id => document.getElementById(id);
+
+  // paste text into the dialog and submit it
+  async function submit(text) {
+    a('feed-open').click();
+    a('feed-xml').value = text;
+    a('feed-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    await settle();
+  }
+
+  beforeEach(async () => {
+    app = mountApp();
+    await app.ready;
+  });
+  afterEach(() => {
+    app.destroy();
+    setLocale('en');
+  });
+
+  it('shows why a feed was refused, in the active language', async () => {
+    setLocale('es');
+    await submit(feed('malformed.xml'));
+    assert.equal(a('feed-error').textContent, 'El feed no es XML bien formado.');
+    await submit(feed('not-a-feed.xml'));
+    assert.equal(a('feed-error').textContent, 'No es un feed RSS ni Atom.');
+    setLocale('ar');
+    await submit(feed('untitled.xml'));
+    assert.equal(a('feed-error').textContent, 'الخلاصة بلا عنوان.');
+    await submit('   ');
+    assert.equal(a('feed-error').textContent, 'الصق خلاصة أو اختر ملفًا أولًا.');
+    assert.ok(a('feed-dialog').hasAttribute('open'));
+  });
+
+  it('adds the feed to the grid and opens it', async () => {
+    await submit(feed('itunes-seasons.xml'));
+    assert.equal(a('feed-error').textContent, '');
+    assert.equal(a('feed-dialog').hasAttribute('open'), false);
+    assert.equal(a('podcast-modal').hidden, false);
+    assert.equal(a('modal-title').textContent, 'Lantern Street');
+    assert.ok(a('podcast-grid').querySelector('podcast-preview[title="Lantern Street"]'));
+  });
+});
@@ -0,0 +1,120 @@
+// ----- test/format.test.js -----
+// formatUpdated, formatDuration, placeholderDataURI and debounce (format.js)
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatUpdated, formatDuration, placeholderDataURI, debounce } from '../format.js';
+import { setLocale } from '../i18n.js';
+
+const NOW = new Date('2024-06-15T12:00:00Z').getTime();
+const ago = seconds => new Date(NOW - seconds * 1000).toISOString();
+
+describe('formatUpdated', () => {
+  beforeEach(() => {
+    setLocale('en');
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+  });
+  afterEach(() => mock.timers.reset());
+
+  it('returns an empty string without a date', () => {
+    assert.equal(formatUpdated(''), '');
+    assert.equal(formatUpdated(undefined), '');
+  });
+
+  it('returns a value it cannot read as a date unchanged', () => {
+    assert.equal(formatUpdated('sometime soon'), 'sometime soon');
+  });
+
+  it('uses the largest whole unit for the last week', () => {
+    assert.equal(formatUpdated(ago(10)), 'Updated now');
+    assert.equal(formatUpdated(ago(5 * 60)), 'Updated 5 minutes ago');
+    assert.equal(formatUpdated(ago(3 * 3600)), 'Updated 3 hours ago');
+    assert.equal(formatUpdated(ago(86400)), 'Updated yesterday');
+    assert.equal(formatUpdated(ago(3 * 86400)), 'Updated 3 days ago');
+  });
+
+  it('shows month and day for older updates', () => {
+    assert.equal(formatUpdated('2024-01-03T10:00:00Z'), 'Updated Jan 3');
+  });
+
+  it('follows the active locale', () => {
+    setLocale('es');
+    assert.equal(formatUpdated(ago(3 * 86400)), 'Actualizado hace 3 días');
+  });
+});
+
+describe('formatDuration', () => {
+  beforeEach(() => setLocale('en'));
+
+  it('rounds to whole minutes', () => {
+    assert.equal(formatDuration(42 * 60 + 20), '42 min');
+    assert.equal(formatDuration(65 * 60), '1 h 5 min');
+  });
+
+  it('is empty for unknown durations', () => {
+    assert.equal(formatDuration(undefined), '');
+    assert.equal(formatDuration(0), '');
+  });
+});
+
+describe('placeholderDataURI', () => {
+  beforeEach(() => {
+    setLocale('en');
+    document.documentElement.removeAttribute('style');
+  });
+
+  const svgOf = uri => decodeURIComponent(uri.slice('data:image/svg+xml;utf8,'.length));
+
+  it('returns an SVG data URI of the requested size', () => {
+    const uri = placeholderDataURI(120, 80);
+    assert.match(uri, /^data:image\/svg\+xml;utf8,/);
+    const svg = svgOf(uri);
+    assert.match(svg, /width='120' height='80' viewBox='0 0 120 80'/);
+    assert.match(svg, />Podcast Cover<\/text>/);
+  });
+
+  it('uses the light colours when no theme tokens are set', () => {
+    const svg = svgOf(placeholderDataURI());
+    assert.match(svg, /stop-color='#e2e8f0'/);
+    assert.match(svg, /stop-color='#c7d2fe'/);
+    assert.match(svg, /fill='#374151'/);
+  });
+
+  it('reads the theme tokens from the element it is given', () => {
+    const el = document.createElement('div');
+    el.style.setProperty('--placeholder-from', '#111111');
+    el.style.setProperty('--placeholder-text', '#eeeeee');
+    document.body.appendChild(el);
+    const svg = svgOf(placeholderDataURI(400, 300, el));
+    el.remove();
+    assert.match(svg, /stop-color='#111111'/);
+    assert.match(svg, /stop-color='#c7d2fe'/); // not set, so the fallback
+    assert.match(svg, /fill='#eeeeee'/);
+  });
+});
+
+describe('debounce', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+  afterEach(() => mock.timers.reset());
+
+  it('calls once, with the last arguments, after the wait', () => {
+    const fn = mock.fn();
+    const debounced = debounce(fn, 100);
+    debounced('a');
+    mock.timers.tick(60);
+    debounced('b');
+    mock.timers.tick(60);
+    assert.equal(fn.mock.callCount(), 0); // the second call restarted the wait
+    mock.timers.tick(40);
+    assert.equal(fn.mock.callCount(), 1);
+    assert.deepEqual(fn.mock.calls[0].arguments, ['b']);
+  });
+
+  it('keeps the this of the call', () => {
+    const obj = { name: 'grid', run: debounce(function () { seen = this.name; }, 10) };
+    let seen = null;
+    obj.run();
+    mock.timers.tick(10);
+    assert.equal(seen, 'grid');
+  });
+});
@@ -0,0 +1,125 @@
+// ----- test/gridView.test.js -----
+// Keyed reconciliation of the grid's cards and the virtual window arithmetic (gridView.js)
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileChildren, virtualWindow } from '../gridView.js';
+
+describe('reconcileChildren', () => {
+  let container;
+  let created;
+  const keys = () => Array.from(container.children).map(el => el.dataset.key);
+  // render items (ids) with a label each, counting the elements created
+  const render = ids => reconcileChildren(container, ids.map(id => ({ id, label: `Show ${id}` })), {
+    keyOf: item => item.id,
+    create: () => {
+      created++;
+      return document.createElement('li');
+    },
+    update: (el, item, index) => {
+      el.textContent = `${index + 1}. ${item.label}`;
+    },
+  });
+  // elements inserted into the container while fn runs (moves count as inserts)
+  function insertsDuring(fn) {
+    const observer = new MutationObserver(() => {});
+    observer.observe(container, { childList: true });
+    fn();
+    const added = observer.takeRecords().reduce((n, record) => n + record.addedNodes.length, 0);
+    observer.disconnect();
+    return added;
+  }
+
+  beforeEach(() => {
+    container = document.createElement('ul');
+    created = 0;
+  });
+
+  it('creates an element per item, keyed and updated in order', () => {
+    const elements = render([1, 2, 3]);
+    assert.deepEqual(keys(), ['1', '2', '3']);
+    assert.deepEqual(elements, Array.from(container.children));
+    assert.deepEqual(elements.map(el => el.textContent), ['1. Show 1', '2. Show 2', '3. Show 3']);
+    assert.equal(created, 3);
+  });
+
+  it('reuses the elements already rendered and creates only new ones', () => {
+    const [one, two, three] = render([1, 2, 3]);
+    const next = render([3, 4, 1]);
+    assert.equal(created, 4);
+    assert.equal(next[0], three);
+    assert.equal(next[2], one);
+    assert.equal(two.isConnected, false);
+    assert.deepEqual(next.map(el => el.textContent), ['1. Show 3', '2. Show 4', '3. Show 1']); // updated in place
+  });
+
+  it('moves only the elements that are out of place', () => {
+    render(['a', 'b', 'c', 'd']);
+    assert.equal(insertsDuring(() => render(['a', 'b', 'd', 'c'])), 1);
+    assert.deepEqual(keys(), ['a', 'b', 'd', 'c']);
+    assert.equal(insertsDuring(() => render(['a', 'd', 'c'])), 0); // a removal leaves the rest where they are
+    assert.equal(insertsDuring(() => render(['a', 'd', 'c'])), 0); // nor does rendering the same list again
+    assert.equal(created, 4);
+  });
+
+  it('matches number keys to the string keys in data-key', () => {
+    const [first] = render([7]);
+    assert.equal(render(['7'])[0], first);
+  });
+
+  it('removes children without a key, such as an empty-state message', () => {
+    container.innerHTML = '<li class="empty">No podcasts found</li>';
+    render([1]);
+    assert.deepEqual(keys(), ['1']);
+    assert.equal(container.querySelector('.empty'), null);
+  });
+
+  it('empties the container for no items', () => {
+    render([1, 2]);
+    assert.deepEqual(render([]), []);
+    assert.equal(container.children.length, 0);
+  });
+});
+
+describe('virtualWindow', () => {
+  // 3 columns of 100px rows; 30 items make 10 rows
+  const grid = (layout = {}) => virtualWindow({ total: 30, columns: 3, rowHeight: 100, viewportTop: 0, viewportHeight: 250, ...layout });
+  // the padding and the mounted rows always add up to the height of every row
+  const height = (w, columns = 3, rowHeight = 100) => w.padStart + Math.ceil((w.end - w.start) / columns) * rowHeight + w.padEnd;
+
+  it('mounts nothing for no items', () => {
+    assert.deepEqual(grid({ total: 0 }), { start: 0, end: 0, padStart: 0, padEnd: 0 });
+  });
+
+  it('starts at the first row, with overscan below the viewport', () => {
+    const w = grid();
+    assert.deepEqual(w, { start: 0, end: 15, padStart: 0, padEnd: 500 }); // rows 0-2 visible, 3-4 overscan
+    assert.equal(height(w), 1000);
+  });
+
+  it('keeps overscan rows on both sides in the middle', () => {
+    const w = grid({ viewportTop: 450 });
+    assert.deepEqual(w, { start: 6, end: 27, padStart: 200, padEnd: 100 }); // rows 2-8
+    assert.equal(height(w), 1000);
+  });
+
+  it('stops at the last, partial row', () => {
+    const w = grid({ total: 28, viewportTop: 800 });
+    assert.deepEqual(w, { start: 18, end: 28, padStart: 600, padEnd: 0 }); // row 9 holds only item 27
+    assert.equal(height(w), 1000);
+  });
+
+  it('keeps the last row mounted when scrolled past the end', () => {
+    assert.deepEqual(grid({ total: 28, viewportTop: 5000 }), { start: 27, end: 28, padStart: 900, padEnd: 0 });
+  });
+
+  it('mounts the first row while the grid is still below the viewport', () => {
+    assert.deepEqual(grid({ viewportTop: -1000, viewportHeight: 500 }), { start: 0, end: 3, padStart: 0, padEnd: 900 });
+  });
+
+  it('treats an unmeasured row height or column count as 1', () => {
+    const w = virtualWindow({ total: 5, columns: 0, rowHeight: NaN, viewportTop: 0, viewportHeight: 2, overscan: 0 });
+    assert.deepEqual(w, { start: 0, end: 2, padStart: 0, padEnd: 3 });
+    assert.equal(height(w, 1, 1), 5);
+  });
+});
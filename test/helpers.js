@@ -0,0 +1,138 @@
+// ----- test/helpers.js -----
+// Shared test helpers: a small catalog, the app markup of index.html, mounting the app, waiting, a Storage
+// stand-in and a local server for fixtures/
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { createPodcastApp } from '../app.js';
+import { createStaticProvider } from '../dataProvider.js';
+import { setLocale } from '../i18n.js';
+
+/** A catalog in data.js shapes: three shows, two genres, seasons for one show (with episodes, one of them playable). */
+export const SAMPLE_CATALOG = {
+  podcasts: [
+    { id: '101', title: 'Night Shift', description: 'Stories from people who work while the city sleeps.', image: '', seasons: 2, genres: [1], updated: '2024-05-01T10:00:00.000Z' },
+    { id: '102', title: 'The Long Table', description: 'Cooks talk about the dishes they grew up with.', image: '', seasons: 1, genres: [2], updated: '2024-03-12T10:00:00.000Z' },
+    { id: '103', title: 'Case Notes', description: 'Unsolved cases, one season at a time.', image: '', seasons: 3, genres: [1, 2], updated: '2023-12-24T10:00:00.000Z' },
+  ],
+  genres: [
+    { id: 1, title: 'Personal Experiences', description: 'First-hand stories.', shows: ['101', '103'] },
+    { id: 2, title: 'Food', description: 'Cooking and eating.', shows: ['102', '103'] },
+  ],
+  seasons: [
+    {
+      id: '101',
+      seasonDetails: [
+        { title: 'Season 1', episodes: 2, episodeDetails: [{ episode: 1, title: 'Clocking In', duration: 1800, file: 'clocking-in.mp3' }, { episode: 2, title: 'Last Bus', duration: 2100 }] },
+        { title: 'Season 2', episodes: 6 },
+      ],
+    },
+  ],
+};
+
+// id-reference attributes in index.html that have to follow a prefixed id
+const ID_ATTRIBUTES = ['id', 'for', 'aria-labelledby'];
+
+/**
+ * The contents of index.html's <body> without its scripts, as the app expects to find it.
+ * @param {string} [idPrefix] - prefix every id (and the attributes pointing at ids) for a second copy of the app
+ * @returns {string} HTML
+ */
+export function appMarkup(idPrefix = '') {
+  const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+  const body = new DOMParser().parseFromString(html, 'text/html').body;
+  body.querySelectorAll('script').forEach(el => el.remove());
+  if (idPrefix) {
+    ID_ATTRIBUTES.forEach(name => {
+      body.querySelectorAll(`[${name}]`).forEach(el => {
+        el.setAttribute(name, el.getAttribute(name).split(/\s+/).map(id => idPrefix + id).join(' '));
+      });
+    });
+  }
+  return body.innerHTML;
+}
+
+/**
+ * Mount a PodcastApp on a fresh copy of index.html's markup, in English, with empty storage and at /index.html.
+ * Its `ready` promise is not awaited, so a test can look at the loading state first.
+ * @param {object} [options] - createPodcastApp options; the provider defaults to SAMPLE_CATALOG
+ * @returns {Object} the app
+ */
+export function mountApp(options = {}) {
+  setLocale('en');
+  localStorage.clear();
+  history.replaceState(null, '', '/index.html');
+  document.body.innerHTML = appMarkup();
+  return createPodcastApp(document.body, { provider: createStaticProvider(SAMPLE_CATALOG), ...options });
+}
+
+/**
+ * Wait until check() holds, polling every 10ms for about a second (fixture server requests, FileReader),
+ * and fail the test if it never does.
+ * @param {Function} check
+ * @returns {Promise<void>}
+ */
+export async function until(check) {
+  for (let i = 0; i < 100 && !check(); i++) await settle(10);
+  assert.ok(check(), 'timed out');
+}
+
+/**
+ * Wait for timers and microtasks queued so far (debounced filters, announcements) to run.
+ * @param {number} [ms]
+ * @returns {Promise<void>}
+ */
+export function settle(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A Storage stand-in for the stores (library, presets, visits), so each one starts empty.
+ * @param {Object} [items] - key -> saved string, to start from
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}}
+ */
+export function memoryStorage(items = {}) {
+  const saved = new Map(Object.entries(items));
+  return {
+    getItem: k => (saved.has(k) ? saved.get(k) : null),
+    setItem: (k, v) => saved.set(k, String(v)),
+    removeItem: k => saved.delete(k),
+  };
+}
+
+/**
+ * Serve files from fixtures/ on a free local port. Routes can be pointed at another fixture or status while
+ * a test runs, e.g. to fail the first request and succeed on retry.
+ * @returns {Promise<{url: Function, route: Function, requests: string[], close: Function}>}
+ *   url(path) gives the absolute URL; route(path, file, status) serves fixtures/<file> for path with that
+ *   status (default 200); requests lists the paths asked for so far
+ */
+export async function startFixtureServer() {
+  const routes = new Map(); // path -> { file, status }
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    requests.push(path);
+    const { file, status } = routes.get(path) || { file: path.slice(1), status: 200 };
+    try {
+      const body = await readFile(new URL(`../fixtures/${file}`, import.meta.url));
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(body);
+    } catch (err) {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url: path => base + path,
+    route(path, file, status = 200) {
+      routes.set(path, { file, status });
+    },
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
@@ -0,0 +1,67 @@
+// ----- test/library.test.js -----
+// createLibrary's import / export, and the translated import errors the app shows in #library-status
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLibrary } from '../library.js';
+import { setLocale } from '../i18n.js';
+import { mountApp, until, memoryStorage } from './helpers.js';
+
+describe('createLibrary', () => {
+  it('imports an export of another library, skipping favourites it already has', () => {
+    const theirs = createLibrary(memoryStorage());
+    theirs.toggle({ id: 101, title: 'Night Shift' });
+    theirs.toggle({ id: '102', title: 'The Long Table' });
+    const mine = createLibrary(memoryStorage());
+    mine.toggle({ id: '102' });
+    assert.equal(mine.importJSON(theirs.exportJSON()), 1);
+    assert.deepEqual(mine.ids(), ['102', '101']);
+    assert.equal(mine.importJSON('["103", 101]'), 1); // a bare list of ids
+  });
+
+  it('fails with a message key as the error code', () => {
+    const library = createLibrary(memoryStorage());
+    assert.throws(() => library.importJSON('{ favourites: '), { code: 'library.notJson' });
+    assert.throws(() => library.importJSON('{"version":1}'), { code: 'library.noFavourites' });
+    assert.deepEqual(library.ids(), []);
+  });
+});
+
+describe('importing a library in the app', () => {
+  let app;
+  const status = () => document.getElementById('library-status').textContent;
+
+  // choose a file in the hidden file input, as the Import button does
+  async function choose(text) {
+    const input = document.getElementById('library-file');
+    Object.defineProperty(input, 'files', { configurable: true, value: [new File([text], 'library.json', { type: 'application/json' })] });
+    input.dispatchEvent(new Event('change'));
+    await until(status); // FileReader is asynchronous
+  }
+
+  beforeEach(async () => {
+    app = mountApp();
+    await app.ready;
+  });
+  afterEach(() => {
+    app.destroy();
+    setLocale('en');
+  });
+
+  it('reports what was added', async () => {
+    await choose('["101","103"]');
+    assert.equal(status(), 'Imported 2 favourites.');
+  });
+
+  it('shows the reason for a failed import in the active language', async () => {
+    setLocale('es');
+    await choose('not json');
+    assert.equal(status(), 'No se pudo importar la biblioteca: El archivo no es JSON válido.');
+  });
+
+  it('says when the file holds no favourites', async () => {
+    setLocale('ar');
+    await choose('{"favourites": null}');
+    assert.equal(status(), 'تعذّر استيراد المكتبة: الملف لا يحتوي على قائمة مفضلة.');
+  });
+});
@@ -0,0 +1,62 @@
+// ----- test/modal.test.js -----
+// The podcast modal's "Save for offline" button (modal.js): saving, removing, and saying when either fails
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mountApp, until } from './helpers.js';
+
+describe('saving for offline from the modal', () => {
+  let app;
+  const button = () => document.getElementById('modal-offline');
+  const status = () => document.getElementById('modal-offline-status').textContent;
+  // click the button and wait for the save or removal to finish
+  async function toggle() {
+    button().click();
+    await until(() => !button().disabled);
+  }
+  // a Cache API whose caches cannot be opened, as when storage is full or cleared under the page
+  function breakCaches() {
+    const caches = { open: () => Promise.reject(new Error('QuotaExceededError')), match: () => Promise.resolve(undefined) };
+    window.caches = caches;
+    globalThis.caches = caches;
+  }
+
+  beforeEach(async () => {
+    app = mountApp();
+    await app.ready;
+    app.openPodcast('101');
+  });
+  afterEach(() => {
+    delete window.caches;
+    delete globalThis.caches;
+    app.destroy();
+  });
+
+  it('saves and removes the open show', async () => {
+    await toggle();
+    assert.equal(button().getAttribute('aria-pressed'), 'true');
+    assert.equal(button().textContent, '✓ Available offline');
+    await toggle();
+    assert.equal(button().getAttribute('aria-pressed'), 'false');
+    assert.equal(status(), '');
+  });
+
+  it('says when the show could not be saved', async t => {
+    t.mock.method(console, 'warn', () => {});
+    breakCaches();
+    await toggle();
+    assert.equal(button().getAttribute('aria-pressed'), 'false');
+    assert.equal(status(), 'Could not save for offline use. Check your connection and try again.');
+  });
+
+  it('says when a removed show\'s files could not be deleted', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    await toggle(); // without the Cache API only the list is kept
+    breakCaches();
+    await toggle();
+    assert.equal(button().getAttribute('aria-pressed'), 'false');
+    assert.equal(button().disabled, false);
+    assert.equal(status(), 'No longer saved for offline use, but some of its files could not be deleted.');
+    assert.equal(warn.mock.calls[0].arguments[0], 'Could not delete offline files');
+  });
+});
@@ -0,0 +1,244 @@
+// ----- test/player.test.js -----
+// The audio player (player.js) and its mini-player bar, playing the silent clip in fixtures/audio, and
+// playing an episode from the podcast modal
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createPlayer, formatClock } from '../player.js';
+import { createStaticProvider } from '../dataProvider.js';
+import { SAMPLE_CATALOG, appMarkup, mountApp, until } from './helpers.js';
+
+const CLIP = new URL('../fixtures/audio/silence-2s.wav', import.meta.url).href; // 2 seconds
+const track = (key, src = CLIP) => ({ key, podcastId: '101', title: `Episode ${key}`, show: 'Night Shift', cover: '', src });
+
+// length in seconds of a WAV file, from its header: the data chunk's size over the byte rate
+async function wavDuration(src) {
+  const bytes = await readFile(new URL(src));
+  const byteRate = bytes.readUInt32LE(28);
+  for (let offset = 12; offset + 8 <= bytes.length; offset += 8 + bytes.readUInt32LE(offset + 4)) {
+    if (bytes.toString('ascii', offset, offset + 4) === 'data') return bytes.readUInt32LE(offset + 4) / byteRate;
+  }
+  throw new Error(`${src} has no data chunk`);
+}
+
+/**
+ * jsdom has no media playback, so one <audio> element gets a stand-in: play() and pause() flip `paused` and fire
+ * their events, and setting src reads the file's duration as a browser reads its metadata (or fires "error").
+ * @param {HTMLAudioElement} audio
+ * @returns {{loads: number}} how many times a source was loaded
+ */
+function emulatePlayback(audio) {
+  const state = { paused: true, duration: NaN, time: 0, loads: 0 };
+  const fire = type => audio.dispatchEvent(new Event(type));
+  Object.defineProperties(audio, {
+    paused: { configurable: true, get: () => state.paused },
+    duration: { configurable: true, get: () => state.duration },
+    currentTime: {
+      configurable: true,
+      get: () => state.time,
+      set(value) {
+        state.time = value;
+        fire('timeupdate');
+      },
+    },
+    src: {
+      configurable: true,
+      get: () => audio.getAttribute('src') || '',
+      set(value) {
+        audio.setAttribute('src', value);
+        Object.assign(state, { duration: NaN, time: 0, loads: state.loads + 1 });
+        wavDuration(value).then(duration => {
+          state.duration = duration;
+          fire('durationchange');
+          fire('loadedmetadata');
+        }, () => fire('error'));
+      },
+    },
+    play: {
+      configurable: true,
+      value() {
+        if (state.paused) {
+          state.paused = false;
+          fire('play');
+        }
+        return Promise.resolve();
+      },
+    },
+    pause: {
+      configurable: true,
+      value() {
+        if (!state.paused) {
+          state.paused = true;
+          fire('pause');
+        }
+      },
+    },
+    load: {
+      configurable: true,
+      value() {
+        Object.assign(state, { paused: true, duration: NaN, time: 0 });
+      },
+    },
+  });
+  return state;
+}
+
+describe('formatClock', () => {
+  it('shows minutes and seconds, with hours only when needed', () => {
+    assert.equal(formatClock(0), '0:00');
+    assert.equal(formatClock(65.9), '1:05');
+    assert.equal(formatClock(3723), '1:02:03');
+    assert.equal(formatClock(NaN), '0:00');
+    assert.equal(formatClock(-4), '0:00');
+  });
+});
+
+describe('createPlayer', () => {
+  let lifetime;
+  let player;
+  let root;
+  let audio;
+  let media;
+  const control = action => root.querySelector(`[data-action="${action}"]`);
+  const text = selector => root.querySelector(selector).textContent;
+
+  // play a track and wait for the clip's metadata
+  async function start(next = track('1')) {
+    player.play(next);
+    await until(() => audio.duration === 2);
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = appMarkup();
+    root = document.getElementById('mini-player');
+    audio = root.querySelector('audio');
+    media = emulatePlayback(audio);
+    lifetime = new AbortController();
+    player = createPlayer(root, { signal: lifetime.signal });
+  });
+  afterEach(() => lifetime.abort());
+
+  it('shows the mini-player with the track once something plays', async () => {
+    assert.equal(root.hidden, true);
+    assert.equal(player.current(), null);
+    await start();
+    assert.equal(root.hidden, false);
+    assert.ok(document.body.classList.contains('has-mini-player'));
+    assert.equal(audio.src, CLIP);
+    assert.equal(text('.mp-title'), 'Episode 1');
+    assert.equal(text('.mp-show'), 'Night Shift');
+    assert.equal(text('.mp-duration'), '0:02');
+    assert.equal(root.querySelector('.mp-seek-range').max, '2');
+    assert.equal(player.isPlaying(), true);
+    assert.equal(control('toggle').getAttribute('aria-label'), 'Pause');
+  });
+
+  it('pauses and resumes where it left off', async () => {
+    await start();
+    audio.currentTime = 1.4; // playback got this far
+    assert.equal(text('.mp-time'), '0:01');
+    control('toggle').click();
+    assert.equal(player.isPlaying(), false);
+    assert.equal(control('toggle').getAttribute('aria-label'), 'Play');
+    player.play(track('1')); // the same track again, e.g. from its row in the modal
+    assert.equal(player.isPlaying(), true);
+    assert.equal(audio.currentTime, 1.4);
+    assert.equal(media.loads, 1); // not reloaded
+  });
+
+  it('skips 15 seconds back and forward, within the clip', async () => {
+    await start();
+    audio.currentTime = 1;
+    control('forward').click();
+    assert.equal(audio.currentTime, 2);
+    control('back').click();
+    assert.equal(audio.currentTime, 0);
+  });
+
+  it('seeks with the range once it is let go', async () => {
+    await start();
+    const seek = root.querySelector('.mp-seek-range');
+    seek.value = '1';
+    seek.dispatchEvent(new Event('input'));
+    assert.equal(text('.mp-time'), '0:01'); // while dragging, only the clock follows
+    assert.equal(audio.currentTime, 0);
+    seek.dispatchEvent(new Event('change'));
+    assert.equal(audio.currentTime, 1);
+  });
+
+  it('keeps the playback speed for the next track', async () => {
+    await start();
+    const speed = root.querySelector('.mp-speed');
+    speed.value = '1.5';
+    speed.dispatchEvent(new Event('change'));
+    assert.equal(audio.playbackRate, 1.5);
+    audio.playbackRate = 1; // a new source resets it in a browser
+    await start(track('2'));
+    assert.equal(audio.playbackRate, 1.5);
+    assert.equal(text('.mp-title'), 'Episode 2');
+  });
+
+  it('tells listeners about every change', async () => {
+    const seen = [];
+    player.onChange((current, playing) => seen.push([current && current.key, playing]));
+    await start();
+    player.pause();
+    control('close').click();
+    assert.deepEqual(seen, [['1', true], ['1', false], [null, false]]);
+  });
+
+  it('says when the audio cannot be loaded', async () => {
+    player.play(track('gone', new URL('../fixtures/audio/missing.wav', import.meta.url).href));
+    await until(() => text('.mp-show') !== 'Night Shift');
+    assert.equal(text('.mp-show'), 'Night Shift · could not load audio');
+  });
+
+  it('stops and hides when closed, or when its signal aborts', async () => {
+    await start();
+    control('close').click();
+    assert.equal(root.hidden, true);
+    assert.equal(player.current(), null);
+    assert.equal(audio.hasAttribute('src'), false);
+    assert.ok(!document.body.classList.contains('has-mini-player'));
+    await start();
+    lifetime.abort();
+    assert.equal(root.hidden, true);
+    assert.equal(player.isPlaying(), false);
+  });
+});
+
+describe('playing an episode from the modal', () => {
+  let app;
+  const a = id => document.getElementById(id);
+  // the sample catalog, with the first episode playing the silent clip
+  const seasons = [{
+    id: '101',
+    seasonDetails: [{ title: 'Season 1', episodes: 1, episodeDetails: [{ episode: 1, title: 'Clocking In', duration: 2, file: CLIP }] }],
+  }];
+
+  beforeEach(async () => {
+    app = mountApp({ provider: createStaticProvider({ ...SAMPLE_CATALOG, seasons }) });
+    await app.ready;
+    emulatePlayback(a('mini-player').querySelector('audio'));
+  });
+  afterEach(() => app.destroy());
+
+  it('plays in the mini-player, which stays after the modal closes', async () => {
+    app.openPodcast('101');
+    await until(() => a('seasons-list').querySelector('.season-toggle'));
+    a('seasons-list').querySelector('.season-toggle').click();
+    const play = a('seasons-list').querySelector('.episode-list .play-btn');
+    play.click();
+    assert.equal(play.getAttribute('aria-pressed'), 'true');
+    assert.equal(play.getAttribute('aria-label'), 'Pause Clocking In');
+    await until(() => a('mini-player').querySelector('.mp-duration').textContent === '0:02');
+    assert.equal(a('mini-player').querySelector('.mp-title').textContent, 'Clocking In');
+
+    a('modal-close').click();
+    assert.equal(a('mini-player').hidden, false);
+    assert.equal(a('podcast-grid').querySelector('podcast-preview[pid="101"]').playing, true);
+    a('mini-player').querySelector('[data-action="toggle"]').click();
+    assert.equal(a('podcast-grid').querySelector('podcast-preview[pid="101"]').playing, false);
+  });
+});
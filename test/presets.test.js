@@ -0,0 +1,93 @@
+// ----- test/presets.test.js -----
+// Saved filter presets (presets.js): saving, loading, replacing and deleting, what survives a reload, and
+// working in memory when storage is unavailable
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPresetStore, PRESETS_STORAGE_KEY } from '../presets.js';
+import { memoryStorage } from './helpers.js';
+
+const RECENT = { updated: '90d', seasons: '3..', genres: ['2', 1, 2], sort: 'recent' };
+const names = store => store.list().map(p => p.name);
+
+describe('createPresetStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = memoryStorage();
+    store = createPresetStore(storage);
+  });
+
+  it('saves normalised filters under a trimmed name', () => {
+    const preset = store.save('  Recent, 3+ seasons ', RECENT);
+    assert.equal(preset.name, 'Recent, 3+ seasons');
+    assert.deepEqual(preset.filters, { q: '', view: 'all', genres: [1, 2], match: 'any', sort: 'updated-desc', updated: '90d', seasons: '3..' });
+    assert.ok(!Number.isNaN(Date.parse(preset.savedAt)));
+    assert.equal(store.get('Recent, 3+ seasons '), preset);
+    assert.equal(store.get('Other'), null);
+  });
+
+  it('keeps presets for the next store on the same storage, oldest first', () => {
+    store.save('B', { q: 'crime' });
+    store.save('A', RECENT);
+    const reloaded = createPresetStore(storage);
+    assert.deepEqual(names(reloaded), ['B', 'A']);
+    assert.deepEqual(reloaded.get('A'), store.get('A'));
+    assert.equal(JSON.parse(storage.getItem(PRESETS_STORAGE_KEY)).length, 2);
+  });
+
+  it('replaces a preset of the same name, keeping its place', () => {
+    store.save('Mine', { q: 'crime' });
+    store.save('Other', {});
+    store.save('Mine', { view: 'favourites' });
+    assert.deepEqual(names(store), ['Mine', 'Other']);
+    assert.equal(store.get('Mine').filters.q, '');
+    assert.equal(store.get('Mine').filters.view, 'favourites');
+  });
+
+  it('deletes a preset, saying whether there was one', () => {
+    store.save('Mine', {});
+    assert.equal(store.remove(' Mine'), true);
+    assert.equal(store.remove('Mine'), false);
+    assert.deepEqual(names(createPresetStore(storage)), []);
+  });
+
+  it('refuses a blank name and shortens a long one', () => {
+    assert.throws(() => store.save('   ', {}), /needs a name/);
+    assert.equal(store.save('x'.repeat(80), {}).name.length, 60);
+  });
+
+  it('tells listeners about saves and deletes that changed something', () => {
+    let changes = 0;
+    store.onChange(() => changes++);
+    store.save('Mine', {});
+    store.remove('Mine');
+    store.remove('Mine');
+    assert.equal(changes, 2);
+  });
+
+  it('ignores saved presets it cannot read', t => {
+    t.mock.method(console, 'warn', () => {});
+    const saved = [{ name: ' Kept ', filters: { view: 'nonsense', seasons: '9..2' } }, { filters: {} }, { name: '' }, null];
+    const loaded = createPresetStore(memoryStorage({ [PRESETS_STORAGE_KEY]: JSON.stringify(saved) }));
+    assert.deepEqual(names(loaded), ['Kept']);
+    assert.equal(loaded.get('Kept').filters.view, 'all');
+    assert.equal(loaded.get('Kept').savedAt, null);
+    assert.deepEqual(names(createPresetStore(memoryStorage({ [PRESETS_STORAGE_KEY]: '{ not json' }))), []);
+    assert.deepEqual(names(createPresetStore(memoryStorage({ [PRESETS_STORAGE_KEY]: '{"name":"Mine"}' }))), []);
+  });
+
+  it('works in memory when storage is unavailable', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const blocked = { getItem() { throw new Error('SecurityError'); }, setItem() { throw new Error('QuotaExceededError'); } };
+    const memoryOnly = createPresetStore(blocked);
+    let changes = 0;
+    memoryOnly.onChange(() => changes++);
+    memoryOnly.save('Mine', RECENT);
+    assert.deepEqual(names(memoryOnly), ['Mine']);
+    assert.equal(memoryOnly.remove('Mine'), true);
+    assert.equal(changes, 2);
+    assert.equal(warn.mock.callCount(), 3); // the read and both writes
+  });
+});
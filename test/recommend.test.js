@@ -0,0 +1,90 @@
+// ----- test/recommend.test.js -----
+// "You might also like" (recommend.js): genre overlap, description similarity, the shared genres reported,
+// leaving the show itself out, tie order and the result limit
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSimilarityIndex, similarPodcasts } from '../recommend.js';
+import { buildGenreIndex } from '../state.js';
+
+const GENRES = [
+  { id: 1, title: 'Horror', shows: ['1', '2'] },
+  { id: 2, title: 'History', shows: ['1'] },
+  { id: 3, title: 'Food', shows: [] },
+  { id: 4, title: 'Business', shows: ['5'] },
+];
+const PODCASTS = [
+  { id: '1', title: 'Keepers', description: 'Haunted lighthouse keepers tell their stories.', genres: [1, 2] },
+  { id: '2', title: 'Ghost Light', description: 'Ghosts of the haunted lighthouse.', genres: [1] },
+  { id: 3, title: 'Old Kitchens', description: 'Cooking recipes.', genres: [2, 3] }, // a number id, as some feeds have
+  { id: '4', title: 'Table Talk', description: 'Cooking stories from home.', genres: [] },
+  { id: '5', title: 'Markets', description: 'Finance and markets.', genres: [] }, // in genre 4 through shows only
+];
+// build the index the way the app does, from a catalog's podcasts and genres
+const indexOf = (podcasts, genres = []) => buildSimilarityIndex(podcasts, buildGenreIndex(podcasts, genres));
+const index = indexOf(PODCASTS, GENRES);
+const titles = results => results.map(r => r.podcast.title);
+
+describe('buildSimilarityIndex', () => {
+  it('keys entries by string id, with genres from both sides of the catalog', () => {
+    assert.deepEqual(Array.from(index.entries.keys()), ['1', '2', '3', '4', '5']);
+    assert.deepEqual(Array.from(index.entries.get('5').genres), [4]);
+    assert.equal(index.entries.get('3').podcast, PODCASTS[2]);
+  });
+
+  it('weighs description words by how rare they are, leaving out stop words', () => {
+    const { vector } = index.entries.get('1');
+    assert.deepEqual(Array.from(vector.keys()).sort(), ['haunted', 'keepers', 'lighthouse', 'stories', 'tell']); // not "their"
+    assert.ok(vector.get('keepers') > vector.get('haunted')); // one description against two
+  });
+});
+
+describe('similarPodcasts', () => {
+  it('ranks shared genres and similar descriptions together, leaving the show itself out', () => {
+    const results = similarPodcasts(index, '1');
+    assert.deepEqual(titles(results), ['Ghost Light', 'Old Kitchens', 'Table Talk']); // Markets has nothing in common
+    assert.ok(results[0].score > 0.3); // half the genres, plus the description
+  });
+
+  it('scores genre overlap as shared over all genres of the two shows', () => {
+    const kitchens = similarPodcasts(index, '1').find(r => r.podcast.id === 3);
+    assert.equal(kitchens.score, 0.6 * (1 / 3)); // genre 2 of genres 1, 2 and 3; no words in common
+    assert.deepEqual(kitchens.sharedGenres, [2]);
+  });
+
+  it('reports the genres each recommendation shares with the show', () => {
+    const results = similarPodcasts(index, '1');
+    assert.deepEqual(results.map(r => r.sharedGenres), [[1], [2], []]);
+  });
+
+  it('gives identical descriptions the full description weight', () => {
+    const [twin] = similarPodcasts(indexOf([
+      { id: '1', title: 'A', description: 'Deep sea divers' },
+      { id: '2', title: 'B', description: 'Deep sea divers' },
+      { id: '3', title: 'C', description: 'Mountain climbers' },
+    ]), '1');
+    assert.equal(twin.podcast.id, '2');
+    assert.ok(Math.abs(twin.score - 0.4) < 1e-9);
+  });
+
+  it('ignores words that every description uses', () => {
+    const everywhere = indexOf([
+      { id: '1', title: 'A', description: 'Haunted stories' },
+      { id: '2', title: 'B', description: 'Haunted stories, again' },
+    ]);
+    assert.deepEqual(similarPodcasts(everywhere, '1'), []);
+  });
+
+  it('accepts a number id and returns nothing for an unknown one', () => {
+    assert.deepEqual(titles(similarPodcasts(index, 3)), ['Keepers', 'Table Talk']); // a genre; the word "cooking"
+    assert.deepEqual(similarPodcasts(index, '404'), []);
+  });
+
+  it('returns four results by default, or up to the limit, ties in title then id order', () => {
+    const podcasts = ['Zed', 'Alpha', 'Mid', 'Alpha', 'Beta', 'Omega'].map((title, i) => ({ id: String(i + 1), title, description: '', genres: [1] }));
+    const same = indexOf(podcasts);
+    assert.deepEqual(similarPodcasts(same, '1').map(r => r.podcast.id), ['2', '4', '5', '3']); // Alpha, Alpha, Beta, Mid
+    assert.deepEqual(titles(similarPodcasts(same, '1', 2)), ['Alpha', 'Alpha']);
+    assert.equal(similarPodcasts(same, '1', 10).length, 5);
+  });
+});
@@ -0,0 +1,114 @@
+// ----- test/search.test.js -----
+// Ranked fuzzy search (search.js): tokenizing, exact / prefix / typo matches, field weights, AND semantics,
+// and highlightInto building text nodes and <mark> only
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeText, tokenize, buildSearchIndex, searchPodcasts, highlightInto } from '../search.js';
+
+const CATALOG = {
+  podcasts: [
+    { id: '1', title: 'History Hour', description: 'Stories of the ancient world.', genres: [1] },
+    { id: 2, title: 'Café Stories', description: 'Interviews about history in small towns.', genres: [2] },
+    { id: '3', title: 'Cold Cases', description: 'Detectives revisit old crimes.', genres: [3] },
+  ],
+  genres: [{ id: 1, title: 'History' }, { id: 2, title: 'Food' }, { id: 3, title: 'True Crime' }],
+  seasons: [{ id: '3', seasonDetails: [{ title: 'The Ancient Mysteries' }] }],
+};
+const index = buildSearchIndex(CATALOG);
+const ranked = query => Array.from(searchPodcasts(index, query)).sort((a, b) => b[1].score - a[1].score).map(([id]) => id);
+const score = (query, id) => searchPodcasts(index, query).get(id).score;
+
+describe('tokenize', () => {
+  it('lowercases, strips accents and splits on anything but letters and digits', () => {
+    assert.equal(normalizeText('Café CRÈME'), 'cafe creme');
+    assert.deepEqual(tokenize('Café Stories: Vol. 2!'), ['cafe', 'stories', 'vol', '2']);
+    assert.deepEqual(tokenize(''), []);
+  });
+});
+
+describe('searchPodcasts', () => {
+  it('finds nothing for an empty query', () => {
+    assert.equal(searchPodcasts(index, '  ,. ').size, 0);
+  });
+
+  it('ranks a title and genre hit above a description hit', () => {
+    assert.deepEqual(ranked('history'), ['1', '2']);
+    assert.equal(score('history', '1'), 5 + 3); // title + genre
+    assert.equal(score('history', '2'), 1); // description
+  });
+
+  it('weighs season titles above descriptions', () => {
+    assert.deepEqual(ranked('ancient'), ['3', '1']);
+    assert.equal(score('ancient', '3'), 2);
+  });
+
+  it('matches prefixes of two letters or more, below exact words', () => {
+    assert.deepEqual(ranked('hist'), ['1', '2']);
+    assert.equal(score('hist', '1'), 8 * 0.8);
+    assert.deepEqual(searchPodcasts(index, 'hist').get('1').terms, ['history']);
+    assert.equal(searchPodcasts(index, 'h').size, 0);
+  });
+
+  it('tolerates a typo in words of four to six letters and two in longer ones', () => {
+    assert.deepEqual(ranked('cafr'), ['2']);
+    assert.deepEqual(ranked('hsitory'), ['1', '2']); // swapped letters count as one typo
+    assert.equal(score('hsitory', '1'), 8 * 0.6);
+    assert.deepEqual(ranked('histroyy'), ['1', '2']); // two typos
+    assert.equal(score('histroyy', '1'), 8 * 0.4);
+    assert.deepEqual(ranked('cod'), []); // three letters: exact or prefix only
+    assert.deepEqual(ranked('hxstxrxy'), []);
+  });
+
+  it('ignores accents and case in the query', () => {
+    assert.deepEqual(ranked('CAFÉ'), ['2']);
+  });
+
+  it('needs every word to match, adding up their scores', () => {
+    assert.deepEqual(ranked('history towns'), ['2']);
+    assert.equal(score('history towns', '2'), 2);
+    assert.deepEqual(searchPodcasts(index, 'history towns').get('2').terms, ['history', 'towns']);
+    assert.deepEqual(ranked('history crime'), []);
+  });
+
+  it('reads genres from a genre index when given one', () => {
+    const withIndex = buildSearchIndex(CATALOG, new Map([['3', [1]]]));
+    assert.ok(searchPodcasts(withIndex, 'history').has('3'));
+    assert.equal(searchPodcasts(withIndex, 'crime').get('3').score, 0.8); // genre History now: "crime" only prefixes "crimes"
+  });
+});
+
+describe('highlightInto', () => {
+  const parts = el => Array.from(el.childNodes).map(n => (n.nodeType === Node.TEXT_NODE ? n.data : `<${n.localName}>${n.textContent}`));
+
+  it('wraps matching words in <mark>, keeping their original spelling', () => {
+    const el = document.createElement('h3');
+    highlightInto(el, 'Café Stories, from cafés', ['cafe']);
+    assert.deepEqual(parts(el), ['<mark>Café', ' Stories, from cafés']);
+  });
+
+  it('marks every matching word', () => {
+    const el = document.createElement('p');
+    highlightInto(el, 'History of history', ['history']);
+    assert.deepEqual(parts(el), ['<mark>History', ' of ', '<mark>history']);
+  });
+
+  it('keeps markup in the text as text', () => {
+    const el = document.createElement('h3');
+    const title = '<img src=x onerror="alert(1)"> History <b>Hour</b>';
+    highlightInto(el, title, ['history', 'img']);
+    assert.equal(el.textContent, title);
+    assert.equal(el.querySelector('img, b'), null);
+    assert.ok(Array.from(el.childNodes).every(n => n.nodeType === Node.TEXT_NODE || n.localName === 'mark'));
+    assert.deepEqual(Array.from(el.querySelectorAll('mark'), m => m.textContent), ['img', 'History']);
+  });
+
+  it('replaces what was there, with plain text when there is nothing to mark', () => {
+    const el = document.createElement('p');
+    el.innerHTML = '<span>old</span>';
+    highlightInto(el, 'Cold Cases', []);
+    assert.deepEqual(parts(el), ['Cold Cases']);
+    highlightInto(el, null, ['cold']);
+    assert.equal(el.childNodes.length, 0);
+  });
+});
@@ -0,0 +1,41 @@
+// ----- test/setup.js -----
+// Browser globals for the test suite
+// Loaded with `node --import` before every test file (see package.json), so the app's modules find a jsdom
+// window, document and custom element registry on globalThis when they are first imported, as they would in a page.
+
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const virtualConsole = new VirtualConsole();
+// jsdom has no media playback or navigation; everything else it complains about is a real problem
+virtualConsole.on('jsdomError', err => {
+  if (!/^Not implemented/.test(err.message)) console.error(err);
+});
+
+const dom = new JSDOM('<!DOCTYPE html><html lang="en"><head></head><body></body></html>', {
+  url: 'http://localhost/index.html',
+  pretendToBeVisual: true, // requestAnimationFrame
+  virtualConsole,
+});
+const { window } = dom;
+
+// jsdom's own classes, so events, signals and files made by the tests are ones its DOM accepts
+const GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+  'Node', 'Element', 'HTMLElement', 'Text', 'DocumentFragment', 'ShadowRoot', 'customElements',
+  'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'FocusEvent', 'InputEvent', 'PopStateEvent',
+  'AbortController', 'AbortSignal', 'Blob', 'File', 'FileReader', 'DOMParser', 'XMLSerializer',
+  'MutationObserver', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame',
+];
+GLOBALS.forEach(name => {
+  const value = window[name];
+  Object.defineProperty(globalThis, name, {
+    configurable: true,
+    writable: true,
+    value: typeof value === 'function' && /^[a-z]/.test(name) ? value.bind(window) : value,
+  });
+});
+
+// jsdom does no layout, so nothing has a box; treat every element outside [hidden] as rendered
+window.Element.prototype.getClientRects = function () {
+  return this.closest('[hidden]') ? [] : [{ x: 0, y: 0, width: 1, height: 1, top: 0, left: 0, right: 1, bottom: 1 }];
+};
@@ -0,0 +1,220 @@
+// ----- test/state.test.js -----
+// The grid's filtering, sorting and paging (state.js): filterPodcasts, sortPodcasts, the values they read,
+// paginate, and the shareable URL (parseAppUrl / buildAppUrl)
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterPodcasts, sortPodcasts, buildGenreIndex, buildEpisodeIndex, parseSort, formatSort, normalizeUpdatedFilter, updatedBounds, paginate, parseAppUrl, buildAppUrl } from '../state.js';
+import { setLocale } from '../i18n.js';
+
+const GENRES = [
+  { id: 1, title: 'True Crime', shows: ['1', '3'] },
+  { id: 2, title: 'History', shows: ['2'] },
+  { id: 3, title: 'Comedy', shows: [] },
+];
+const PODCASTS = [
+  { id: '1', title: 'The Daily Crime', seasons: 3, genres: [1], updated: '2024-06-10T09:00:00.000Z' },
+  { id: '2', title: 'Ancient Lives', seasons: 1, genres: [2, 3], updated: '2023-11-02T09:00:00.000Z' },
+  { id: '3', title: 'Daily Crime', seasons: 3, genres: [], updated: '2024-06-10T09:00:00.000Z' }, // in genre 1 through shows only
+  { id: '4', title: 'Brain Food', seasons: 7, genres: [3] }, // no update date
+];
+const SEASONS = [
+  { id: '1', seasonDetails: [{ episodes: 10 }, { episodes: 12 }, { episodes: 8 }] },
+  { id: '2', seasonDetails: [{ episodes: 4, episodeDetails: [{}, {}, {}, {}, {}] }] },
+];
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+const ids = list => list.map(p => p.id);
+
+describe('filterPodcasts', () => {
+  const genreIndex = buildGenreIndex(PODCASTS, GENRES);
+
+  it('keeps every podcast without criteria, as a new array', () => {
+    const out = filterPodcasts(PODCASTS);
+    assert.deepEqual(ids(out), ['1', '2', '3', '4']);
+    assert.notEqual(out, PODCASTS);
+  });
+
+  it('keeps only search hits', () => {
+    const results = new Map([['2', { score: 1, terms: [] }], ['4', { score: 2, terms: [] }]]);
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { results })), ['2', '4']);
+  });
+
+  it('filters by favourites, offline saves and news', () => {
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { view: 'favourites', isFavourite: id => id === '3' })), ['3']);
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { view: 'offline', isSaved: id => id !== '1' })), ['2', '3', '4']);
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { view: 'new', hasNews: p => p.seasons === 3 })), ['1', '3']);
+  });
+
+  it('matches genres from both sides of the catalog, any or all of them', () => {
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { genreIndex, genres: [1] })), ['1', '3']);
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { genreIndex, genres: [2, 3], match: 'any' })), ['2', '4']);
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { genreIndex, genres: [2, 3], match: 'all' })), ['2']);
+  });
+
+  it('filters by update recency, leaving out shows without a date', () => {
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { updated: '7d', now: NOW })), ['1', '3']);
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { updated: '1y', now: NOW })), ['1', '2', '3']);
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { updated: '2023-01-01..2023-12-31' })), ['2']);
+  });
+
+  it('filters by season count range', () => {
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { seasons: '3..' })), ['1', '3', '4']);
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { seasons: '..3' })), ['1', '2', '3']);
+    assert.deepEqual(ids(filterPodcasts(PODCASTS, { seasons: '5..2' })), ['1', '3']); // turned around
+  });
+});
+
+describe('sortPodcasts', () => {
+  const genreIndex = buildGenreIndex(PODCASTS, GENRES);
+  const episodeCounts = buildEpisodeIndex(SEASONS);
+  before(() => setLocale('en'));
+
+  it('sorts by update date, newest first by default, with undated shows last', () => {
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'updated-desc')), ['3', '1', '2', '4']);
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'updated-asc')), ['2', '3', '1', '4']);
+  });
+
+  it('breaks ties by title ignoring a leading article, then by the full title', () => {
+    // "Daily Crime" and "The Daily Crime" share a date, a season count and a sort title
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'seasons-desc')), ['4', '3', '1', '2']);
+  });
+
+  it('sorts titles A to Z and back', () => {
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'title-asc')), ['2', '4', '3', '1']);
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'title-desc')), ['3', '1', '4', '2']);
+  });
+
+  it('compares titles in the active locale, also after switching it', () => {
+    const shows = [{ id: 'a', title: 'Ñu' }, { id: 'b', title: 'Nube' }, { id: 'c', title: 'Oso' }];
+    assert.deepEqual(ids(sortPodcasts(shows, 'title-asc')), ['a', 'b', 'c']); // "ñ" is "n" with an accent
+    setLocale('es');
+    assert.deepEqual(ids(sortPodcasts(shows, 'title-asc')), ['b', 'a', 'c']); // a letter of its own after "n"
+    setLocale('en');
+    assert.deepEqual(ids(sortPodcasts(shows, 'title-asc')), ['a', 'b', 'c']);
+  });
+
+  it('sorts by episode count, from the larger of the count and the listed episodes', () => {
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'episodes-desc', { episodeCounts })), ['1', '2', '4', '3']);
+  });
+
+  it('sorts by first genre title', () => {
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'genre-asc', { genreIndex, genreList: GENRES })), ['4', '2', '3', '1']);
+  });
+
+  it('ranks by relevance only while searching', () => {
+    const results = new Map([['2', { score: 1 }], ['4', { score: 5 }], ['1', { score: 3 }]]);
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'relevance', results)), ['4', '1', '2', '3']);
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'relevance')), ids(sortPodcasts(PODCASTS, 'updated-desc')));
+  });
+
+  it('puts new shows first, then updated ones, each newest first', () => {
+    const news = { 2: 'new', 4: 'updated', 3: 'updated' };
+    const newsOf = p => news[p.id] || '';
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'news', { newsOf })), ['2', '3', '4', '1']);
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'news-asc', { newsOf })), ['2', '3', '4', '1']); // has no direction
+    assert.deepEqual(ids(sortPodcasts(PODCASTS, 'news')), ['3', '1', '2', '4']); // no news: newest update first
+  });
+
+  it('does not change the list it is given', () => {
+    const copy = PODCASTS.slice();
+    sortPodcasts(PODCASTS, 'title-asc');
+    assert.deepEqual(PODCASTS, copy);
+  });
+});
+
+describe('sort values', () => {
+  it('split into key and direction, falling back to the default', () => {
+    assert.deepEqual(parseSort('title-desc'), { key: 'title', dir: 'desc' });
+    assert.deepEqual(parseSort('seasons'), { key: 'seasons', dir: 'desc' });
+    assert.deepEqual(parseSort('recent'), { key: 'updated', dir: 'desc' });
+    assert.deepEqual(parseSort('bogus-asc'), { key: 'updated', dir: 'desc' });
+    assert.equal(formatSort('title'), 'title-asc');
+    assert.equal(formatSort('relevance', 'asc'), 'relevance');
+    assert.deepEqual(parseSort('news-asc'), { key: 'news', dir: 'desc' });
+    assert.equal(formatSort('news', 'asc'), 'news');
+  });
+});
+
+describe('update recency values', () => {
+  it('keep presets and valid ranges, turning backwards ranges around', () => {
+    assert.equal(normalizeUpdatedFilter('30d'), '30d');
+    assert.equal(normalizeUpdatedFilter('2024-03-01..2024-01-01'), '2024-01-01..2024-03-01');
+    assert.equal(normalizeUpdatedFilter('2024-01-01..'), '2024-01-01..');
+    assert.equal(normalizeUpdatedFilter('5w'), '');
+  });
+
+  it('drop days that do not exist', () => {
+    assert.equal(normalizeUpdatedFilter('2024-02-30..'), '');
+    assert.equal(normalizeUpdatedFilter('2024-02-29..2023-02-29'), '2024-02-29..'); // 2023 was not a leap year
+    assert.equal(normalizeUpdatedFilter('2024-13-01..2024-04-31'), '');
+    assert.equal(updatedBounds('2024-02-30..'), null);
+  });
+
+  it('include the whole of the last day', () => {
+    const { from, to } = updatedBounds('2024-01-01..2024-01-01');
+    assert.equal(to - from, 24 * 60 * 60 * 1000);
+  });
+});
+
+describe('paginate', () => {
+  const list = Array.from({ length: 20 }, (_, i) => i);
+  const slice = view => [view.start, view.end, view.page, view.pageCount];
+
+  it('shows one page at a time in pages mode, the last one partial', () => {
+    assert.deepEqual(paginate(list, 2, 8, 'pages').items, [8, 9, 10, 11, 12, 13, 14, 15]);
+    assert.deepEqual(slice(paginate(list, 3, 8, 'pages')), [16, 20, 3, 3]);
+  });
+
+  it('shows every page so far in load-more and infinite modes', () => {
+    assert.deepEqual(slice(paginate(list, 2, 8, 'load-more')), [0, 16, 2, 3]);
+    assert.deepEqual(slice(paginate(list, 3, 8, 'infinite')), [0, 20, 3, 3]);
+  });
+
+  it('has one page with everything in virtual mode', () => {
+    const view = paginate(list, 3, 8, 'virtual');
+    assert.deepEqual(slice(view), [0, 20, 1, 1]);
+    assert.notEqual(view.items, list);
+  });
+
+  it('clamps pages and page sizes out of range', () => {
+    assert.deepEqual(slice(paginate(list, 9, 8, 'pages')), [16, 20, 3, 3]);
+    assert.deepEqual(slice(paginate(list, 0, 8, 'pages')), [0, 8, 1, 3]);
+    assert.deepEqual(slice(paginate(list, NaN, 0, 'pages')), [0, 1, 1, 20]);
+    assert.deepEqual(paginate([], 2, 8, 'pages'), { items: [], page: 1, pageCount: 1, start: 0, end: 0, total: 0 });
+  });
+});
+
+describe('shareable URLs', () => {
+  const PAGE = 'https://example.com/podcasts/index.html';
+  const STATE = {
+    q: 'history', view: 'favourites', genres: [2, 3], match: 'all', sort: 'title-asc', updated: '90d', seasons: '3..',
+    page: 2, pageSize: 24, browse: 'genre-3', podcastId: '5279',
+  };
+
+  it('read back what they were built from', () => {
+    const href = buildAppUrl(PAGE, STATE);
+    assert.equal(href, `${PAGE}?q=history&view=favourites&genre=2%2C3&match=all&sort=title-asc&updated=90d&seasons=3..&page=2&size=24&browse=genre-3#/podcast/5279`);
+    assert.deepEqual(parseAppUrl(href), STATE);
+    const odd = { ...parseAppUrl(PAGE), podcastId: 'a/b c' };
+    assert.deepEqual(parseAppUrl(buildAppUrl(PAGE, odd)), odd);
+  });
+
+  it('leave default values out and keep unrelated parameters', () => {
+    assert.equal(buildAppUrl(`${PAGE}?dev&page=4&size=12#/podcast/1`, parseAppUrl(PAGE)), `${PAGE}?dev=`);
+    assert.equal(buildAppUrl(PAGE, { q: 'crime', sort: 'relevance', genres: [1], match: 'all', page: 1, pageSize: null }), `${PAGE}?q=crime&genre=1`); // match needs 2+ genres
+  });
+
+  it('read defaults from a URL without app state', () => {
+    assert.deepEqual(parseAppUrl(PAGE), {
+      q: '', view: 'all', genres: [], match: 'any', sort: 'updated-desc', updated: '', seasons: '', page: 1, pageSize: null, browse: '', podcastId: null,
+    });
+  });
+
+  it('drop values they cannot use', () => {
+    const state = parseAppUrl(`${PAGE}?genre=0,x,2,2&match=maybe&view=everything&sort=bogus&updated=5w&seasons=a..b&page=-3&size=500&browse=genre-0#/podcast/`);
+    assert.deepEqual(state, parseAppUrl(`${PAGE}?genre=2`));
+    assert.equal(parseAppUrl(`${PAGE}?size=0`).pageSize, null);
+    assert.equal(parseAppUrl(`${PAGE}?size=12.5`).pageSize, null);
+    assert.equal(parseAppUrl(`${PAGE}?size=100`).pageSize, 100);
+  });
+});
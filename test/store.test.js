@@ -0,0 +1,61 @@
+// ----- test/store.test.js -----
+// createStore (store.js), the localStorage layer under the favourites, offline, presets and visits stores
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore } from '../store.js';
+import { memoryStorage } from './helpers.js';
+
+const list = saved => (Array.isArray(saved) ? saved.filter(Number.isInteger) : []);
+
+describe('createStore', () => {
+  it('reads back what it saved, through validate', () => {
+    const storage = memoryStorage({ numbers: '[1, "two", 3]' });
+    const store = createStore('numbers', list, { storage });
+    assert.deepEqual(store.read(), [1, 3]);
+    store.save([4]);
+    assert.equal(storage.getItem('numbers'), '[4]');
+    assert.deepEqual(createStore('numbers', list, { storage }).read(), [4]);
+  });
+
+  it('passes null to validate when nothing was saved', () => {
+    const seen = [];
+    createStore('numbers', saved => seen.push(saved), { storage: memoryStorage() }).read();
+    assert.deepEqual(seen, [null]);
+  });
+
+  it('defaults to localStorage', () => {
+    localStorage.clear();
+    createStore('numbers', list).save([1]);
+    assert.equal(localStorage.getItem('numbers'), '[1]');
+    localStorage.clear();
+  });
+
+  it('tells listeners after every save', () => {
+    const store = createStore('numbers', list, { storage: memoryStorage() });
+    let changes = 0;
+    store.onChange(() => changes++);
+    store.save([1]);
+    store.save([]);
+    assert.equal(changes, 2);
+  });
+
+  it('ignores saved data it cannot parse, with a warning', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const store = createStore('numbers', list, { storage: memoryStorage({ numbers: '[1,' }), label: 'numbers list' });
+    assert.deepEqual(store.read(), []);
+    assert.match(warn.mock.calls[0].arguments[0], /^Ignoring unreadable numbers list/);
+  });
+
+  it('keeps working when storage refuses reads and writes', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const blocked = { getItem() { throw new Error('SecurityError'); }, setItem() { throw new Error('QuotaExceededError'); } };
+    const store = createStore('numbers', list, { storage: blocked, label: 'numbers list' });
+    let changes = 0;
+    store.onChange(() => changes++);
+    assert.deepEqual(store.read(), []);
+    store.save([1]);
+    assert.equal(changes, 1);
+    assert.match(warn.mock.calls[1].arguments[0], /^Could not save numbers list/);
+  });
+});
@@ -0,0 +1,116 @@
+// ----- test/visits.test.js -----
+// "New since your last visit" (visits.js): the last-visit baseline across page loads, and how shows are marked
+// new or updated since then
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVisitTracker, VISITS_STORAGE_KEY } from '../visits.js';
+import { memoryStorage } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2024-06-01T09:00:00Z'); // the first page load
+const at = minutes => T0 + minutes * MINUTE;
+const show = (updatedMinutes, id = '101') => ({ id, updated: new Date(at(updatedMinutes)).toISOString() });
+
+describe('createVisitTracker', () => {
+  let storage;
+  // a page load at that many minutes after T0, sharing storage with the earlier ones
+  const load = minutes => createVisitTracker(storage, VISITS_STORAGE_KEY, at(minutes));
+
+  beforeEach(() => {
+    storage = memoryStorage();
+  });
+
+  it('marks nothing new on a first visit', () => {
+    const visits = load(0);
+    assert.equal(visits.since(), null);
+    assert.equal(visits.status(show(-10)), '');
+    assert.equal(visits.status(show(10)), '');
+  });
+
+  it('keeps the baseline for reloads within a visit', () => {
+    load(0);
+    assert.equal(load(20).since(), null);
+    load(120); // a new visit
+    assert.equal(load(140).since(), at(20));
+  });
+
+  it('starts a new visit after half an hour away, from the end of the last one', () => {
+    load(0);
+    load(10);
+    const visits = load(60);
+    assert.equal(visits.since(), at(10));
+    assert.equal(visits.status(show(30)), 'new');
+    assert.equal(visits.status(show(5)), '');
+  });
+
+  it('counts opening a show as activity that extends the visit', () => {
+    load(0).markViewed('101', at(20));
+    assert.equal(load(45).since(), null);
+  });
+
+  it('marks a show updated since the user last opened it', () => {
+    load(0);
+    const visits = load(60);
+    visits.markViewed(101, at(65));
+    assert.equal(visits.viewedAt('101'), at(65));
+    assert.equal(visits.status(show(30)), ''); // updated after the last visit, but already opened since
+    assert.equal(visits.status(show(70)), 'updated');
+    assert.equal(visits.status(show(70, '102')), 'new');
+  });
+
+  it('uses a show\'s last view even from before the last visit', () => {
+    const first = load(0);
+    first.markViewed('101', at(5));
+    const visits = load(120);
+    assert.equal(visits.status(show(30)), 'updated'); // updated after it was opened, before the baseline
+  });
+
+  it('clears every badge with mark all as seen', () => {
+    load(0);
+    const visits = load(60);
+    visits.markViewed('101', at(61));
+    visits.markAllSeen(at(90));
+    assert.equal(visits.status(show(80)), '');
+    assert.equal(visits.status(show(80, '102')), '');
+    assert.equal(visits.status(show(95, '102')), 'new');
+    assert.equal(load(100).status(show(80, '102')), ''); // kept for the next load
+  });
+
+  it('has nothing to say about a show without an update date', () => {
+    load(0);
+    const visits = load(60);
+    assert.equal(visits.status({ id: '101' }), '');
+    assert.equal(visits.status({ id: '101', updated: 'last week' }), '');
+  });
+
+  it('tells listeners about views and mark all as seen', () => {
+    const visits = load(0);
+    let changes = 0;
+    visits.onChange(() => changes++);
+    visits.markViewed('101', at(1));
+    visits.markAllSeen(at(2));
+    assert.equal(changes, 2);
+  });
+
+  it('ignores saved history it cannot read', t => {
+    t.mock.method(console, 'warn', () => {});
+    storage.setItem(VISITS_STORAGE_KEY, JSON.stringify({ lastActive: 'yesterday', since: at(-60), viewed: { 101: 'x', 102: at(-30) } }));
+    const visits = load(0);
+    assert.equal(visits.since(), at(-60)); // no usable last activity: this load continues the visit
+    assert.equal(visits.viewedAt('101'), null);
+    assert.equal(visits.viewedAt('102'), at(-30));
+    storage.setItem(VISITS_STORAGE_KEY, '{ not json');
+    assert.equal(load(0).since(), null);
+  });
+
+  it('works in memory when storage is unavailable', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const blocked = { getItem() { throw new Error('SecurityError'); }, setItem() { throw new Error('QuotaExceededError'); } };
+    const visits = createVisitTracker(blocked, VISITS_STORAGE_KEY, at(0));
+    visits.markViewed('101', at(1));
+    assert.equal(visits.viewedAt('101'), at(1));
+    assert.equal(visits.since(), null);
+    assert.equal(warn.mock.callCount(), 3); // the read, and the writes on load and on the view
+  });
+});
@@ -0,0 +1,74 @@
+// ----- theme.js -----
+// Theme switching for the PodcastApp
+// Loaded in <head> so the saved theme is applied before first paint. The resolved theme is written to
+// <html data-theme>, which selects the token set in style.css; "system" (the default) resolves through
+// prefers-contrast / prefers-color-scheme and follows OS changes while the page is open.
+
+const THEME_STORAGE_KEY = 'podcastapp:theme';
+const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+
+let themePreference = readThemePreference(); // current choice, also kept when storage is blocked
+
+/**
+ * Saved theme preference.
+ * @returns {string} one of THEMES
+ */
+function readThemePreference() {
+  try {
+    const saved = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(saved) ? saved : 'system';
+  } catch (e) {
+    return 'system'; // storage blocked
+  }
+}
+
+/** @returns {string} the current preference, one of THEMES */
+function getThemePreference() {
+  return themePreference;
+}
+
+/**
+ * Theme actually in effect, resolving "system" through the media queries.
+ * @returns {string} "light" | "dark" | "high-contrast"
+ */
+function getActiveTheme() {
+  if (themePreference !== 'system') return themePreference;
+  if (!window.matchMedia) return 'dark';
+  if (window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+  return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+}
+
+/**
+ * Apply and persist a theme, then announce it with a "theme-changed" event on document
+ * (detail: { preference, theme }) so components can redraw generated artwork.
+ * @param {string} pref - one of THEMES
+ */
+function setThemePreference(pref) {
+  themePreference = THEMES.includes(pref) ? pref : 'system';
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, themePreference);
+  } catch (e) {} // keep the choice for this page only
+  applyTheme();
+}
+
+// write the resolved theme to <html data-theme> and notify listeners
+function applyTheme() {
+  const theme = getActiveTheme();
+  document.documentElement.setAttribute('data-theme', theme);
+  document.dispatchEvent(new CustomEvent('theme-changed', { detail: { preference: themePreference, theme } }));
+}
+
+// apply the saved theme immediately (this file runs before <body> is parsed)
+applyTheme();
+
+// follow OS changes while the preference is "system"
+if (window.matchMedia) {
+  ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach(query => {
+    const mq = window.matchMedia(query);
+    const onChange = () => {
+      if (themePreference === 'system') applyTheme();
+    };
+    if (mq.addEventListener) mq.addEventListener('change', onChange);
+    else if (mq.addListener) mq.addListener(onChange); // older Safari
+  });
+}
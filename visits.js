@@ -0,0 +1,92 @@
+// ----- visits.js -----
+// "New since your last visit" tracking for the PodcastApp
+// Remembers when the user was last here and when they last opened each show, so cards can say "New" (updated
+// since the last visit, never opened) or "Updated" (updated since the user last opened it). Kept in localStorage.
+
+import { createStore } from './store.js';
+
+export const VISITS_STORAGE_KEY = 'podcastapp:visits';
+const VISIT_GAP = 30 * 60 * 1000; // a page load this long after the last activity starts a new visit
+
+/**
+ * Create the visit tracker. Creating it counts as activity: a load more than VISIT_GAP after the last one
+ * starts a new visit, whose baseline is the end of the previous one; reloads within a visit keep the baseline.
+ * On a first visit nothing is new. Falls back to memory-only when storage is unavailable.
+ * @param {Storage} [storage] - defaults to window.localStorage
+ * @param {string} [key] - storage key
+ * @param {number} [now] - ms timestamp of this page load
+ * @returns {{since: Function, viewedAt: Function, status: Function, markViewed: Function, markAllSeen: Function, onChange: Function}}
+ */
+export function createVisitTracker(storage, key = VISITS_STORAGE_KEY, now = Date.now()) {
+  const persisted = createStore(key, readVisits, { storage, label: 'visit history' });
+  const state = persisted.read(); // see readVisits
+  if (state.lastActive !== null && now - state.lastActive > VISIT_GAP) state.since = state.lastActive; // a new visit
+  state.lastActive = now;
+  persist(); // nobody is listening yet
+
+  function persist() {
+    persisted.save(state);
+  }
+
+  return {
+    /** @returns {number|null} ms timestamp of the end of the previous visit, null on a first visit */
+    since() {
+      return state.since;
+    },
+    /** @param {string|number} id @returns {number|null} ms timestamp of when the show was last opened */
+    viewedAt(id) {
+      return state.viewed[String(id)] || null;
+    },
+    /**
+     * Whether a show has news for the user.
+     * @param {{id: (string|number), updated?: string}} p
+     * @returns {string} "new" (updated since the last visit and never opened), "updated" (updated since the user
+     *   last opened it) or "" (nothing new, or no update date)
+     */
+    status(p) {
+      const updated = Date.parse(p.updated);
+      if (Number.isNaN(updated)) return '';
+      const viewed = this.viewedAt(p.id);
+      const since = viewed !== null ? viewed : state.since; // the show's own last view wins over the visit's baseline
+      const baseline = Math.max(since === null ? -Infinity : since, state.seenAll === null ? -Infinity : state.seenAll);
+      if (baseline === -Infinity || updated <= baseline) return ''; // first visit: nothing to compare with
+      return viewed !== null ? 'updated' : 'new';
+    },
+    /**
+     * Record that a show's modal was opened.
+     * @param {string|number} id
+     * @param {number} [at] - ms timestamp, defaults to now
+     */
+    markViewed(id, at = Date.now()) {
+      state.viewed[String(id)] = at;
+      state.lastActive = Math.max(state.lastActive || 0, at);
+      persist();
+    },
+    /**
+     * Clear every "New" and "Updated" badge: updates before this moment count as seen.
+     * @param {number} [at] - ms timestamp, defaults to now
+     */
+    markAllSeen(at = Date.now()) {
+      state.seenAll = at;
+      state.lastActive = Math.max(state.lastActive || 0, at);
+      persist();
+    },
+    /** @param {Function} fn - called after every change */
+    onChange(fn) {
+      persisted.onChange(fn);
+    },
+  };
+}
+
+// saved visit state, with times that aren't numbers left out. lastActive: last page load or opened show;
+// since: baseline of this visit (null on the first one); seenAll: last "mark all as seen";
+// viewed: podcast id -> when its modal was last opened (ms timestamps)
+function readVisits(saved) {
+  const state = { lastActive: null, since: null, seenAll: null, viewed: {} };
+  if (!saved || typeof saved !== 'object') return state;
+  const time = v => (Number.isFinite(v) ? v : null);
+  Object.entries(saved.viewed && typeof saved.viewed === 'object' ? saved.viewed : {}).forEach(([id, at]) => {
+    if (Number.isFinite(at)) state.viewed[id] = at;
+  });
+  return { ...state, lastActive: time(saved.lastActive), since: time(saved.since), seenAll: time(saved.seenAll) };
+}